@@ -0,0 +1,340 @@
+'use strict';
+const { abortError } = require('./RandomOrgUtils.js');
+
+/**
+ * Builder for JSON-RPC 2.0 batch requests, created by RandomOrgClient's batch()
+ * method.
+ *
+ * Each method queues a request and returns a Promise for its result, which has
+ * the same form as the result of the RandomOrgClient method of the same name.
+ * Calling send() posts all queued requests to the server as a single HTTP
+ * request, so the advisory delay only has to be waited for once. If the server
+ * rejects the batch, the requests are sent individually instead. Each Promise
+ * is resolved or rejected with the result or error of its own request.
+ *
+ * The signal option of a call only cancels the call while the batch has not
+ * been sent: the call is rejected with a RandomOrgAbortError and its request
+ * is left out of the batch. Once the batch is sent, only the signal supplied
+ * to send() cancels it.
+ *
+ *     let batch = roc.batch();
+ *     let integers = batch.generateIntegers(5, 0, 10);
+ *     let uuids = batch.generateUUIDs(1);
+ *     await batch.send();
+ *     console.log(await integers, await uuids);
+ */
+module.exports = class RandomOrgBatch {
+    // client the requests are created by
+    #client = null;
+    // function used to send the queued requests
+    #sendFunction = null;
+
+    // queued requests, with the functions settling their Promises
+    #entries = [];
+    // Promises returned for the queued requests
+    #calls = [];
+    // Promises resolved once a call has queued its request or settled, as
+    // asynchronous middleware may queue the request after the call returned
+    #pending = [];
+    // true once send() has been called
+    #sent = false;
+    // functions removing the abort listeners of the queued requests
+    #abortListeners = [];
+
+    /**
+     * Constructor.
+     *
+     * ** WARNING** Should only be called by RandomOrgClient's batch() method.
+     * @param {RandomOrgClient} client The client creating the requests.
+     * @param {function(Object[], Object): Promise<void>} sendFunction Function
+     *     used to send the queued requests.
+     */
+    constructor(client, sendFunction) {
+        this.#client = client;
+        this.#sendFunction = sendFunction;
+    }
+
+    /**
+     * Queues a generateIntegers request.
+     * See {@link RandomOrgClient#generateIntegers} for the parameters.
+     * @returns {(Promise<number[]>|Promise<string[]>)} A Promise for the result.
+     */
+    generateIntegers(n, min, max, options = {}) {
+        return this.#add(options, o => this.#client.generateIntegers(n, min, max, o));
+    }
+
+    /**
+     * Queues a generateIntegerSequences request.
+     * See {@link RandomOrgClient#generateIntegerSequences} for the parameters.
+     * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise for the result.
+     */
+    generateIntegerSequences(n, length, min, max, options = {}) {
+        return this.#add(options, o => this.#client.generateIntegerSequences(n, length,
+            min, max, o));
+    }
+
+    /**
+     * Queues a generateDecimalFractions request.
+     * See {@link RandomOrgClient#generateDecimalFractions} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateDecimalFractions(n, decimalPlaces, options = {}) {
+        return this.#add(options, o => this.#client.generateDecimalFractions(n,
+            decimalPlaces, o));
+    }
+
+    /**
+     * Queues a generateGaussians request.
+     * See {@link RandomOrgClient#generateGaussians} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
+        return this.#add(options, o => this.#client.generateGaussians(n, mean,
+            standardDeviation, significantDigits, o));
+    }
+
+    /**
+     * Queues a generateStrings request.
+     * See {@link RandomOrgClient#generateStrings} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateStrings(n, length, characters, options = {}) {
+        return this.#add(options, o => this.#client.generateStrings(n, length,
+            characters, o));
+    }
+
+    /**
+     * Queues a generateUUIDs request.
+     * See {@link RandomOrgClient#generateUUIDs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateUUIDs(n, options = {}) {
+        return this.#add(options, o => this.#client.generateUUIDs(n, o));
+    }
+
+    /**
+     * Queues a generateBlobs request.
+     * See {@link RandomOrgClient#generateBlobs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateBlobs(n, size, options = {}) {
+        return this.#add(options, o => this.#client.generateBlobs(n, size, o));
+    }
+
+    /**
+     * Queues a generateSignedIntegers request.
+     * See {@link RandomOrgClient#generateSignedIntegers} for the parameters.
+     * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegers(n, min, max, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedIntegers(n, min, max, o));
+    }
+
+    /**
+     * Queues a generateSignedIntegerSequences request.
+     * See {@link RandomOrgClient#generateSignedIntegerSequences} for the parameters.
+     * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegerSequences(n, length, min, max, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedIntegerSequences(n,
+            length, min, max, o));
+    }
+
+    /**
+     * Queues a generateSignedDecimalFractions request.
+     * See {@link RandomOrgClient#generateSignedDecimalFractions} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedDecimalFractions(n, decimalPlaces, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedDecimalFractions(n,
+            decimalPlaces, o));
+    }
+
+    /**
+     * Queues a generateSignedGaussians request.
+     * See {@link RandomOrgClient#generateSignedGaussians} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedGaussians(n, mean,
+            standardDeviation, significantDigits, o));
+    }
+
+    /**
+     * Queues a generateSignedStrings request.
+     * See {@link RandomOrgClient#generateSignedStrings} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedStrings(n, length, characters, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedStrings(n, length,
+            characters, o));
+    }
+
+    /**
+     * Queues a generateSignedUUIDs request.
+     * See {@link RandomOrgClient#generateSignedUUIDs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedUUIDs(n, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedUUIDs(n, o));
+    }
+
+    /**
+     * Queues a generateSignedBlobs request.
+     * See {@link RandomOrgClient#generateSignedBlobs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedBlobs(n, size, options = {}) {
+        return this.#add(options, o => this.#client.generateSignedBlobs(n, size, o));
+    }
+
+    /**
+     * Queues a verifySignature request.
+     * See {@link RandomOrgClient#verifySignature} for the parameters.
+     * @returns {Promise<boolean>} A Promise for the result.
+     */
+    verifySignature(random, signature, options = {}) {
+        return this.#add(options, o => this.#client.verifySignature(random, signature, o));
+    }
+
+    /**
+     * Queues a getResult request.
+     * See {@link RandomOrgClient#getResult} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getResult(serialNumber, options = {}) {
+        return this.#add(options, o => this.#client.getResult(serialNumber, o));
+    }
+
+    /**
+     * Queues a createTickets request.
+     * See {@link RandomOrgClient#createTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    createTickets(n, showResult, options = {}) {
+        return this.#add(options, o => this.#client.createTickets(n, showResult, o));
+    }
+
+    /**
+     * Queues a listTickets request.
+     * See {@link RandomOrgClient#listTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    listTickets(ticketType, options = {}) {
+        return this.#add(options, o => this.#client.listTickets(ticketType, o));
+    }
+
+    /**
+     * Queues a getTicket request.
+     * See {@link RandomOrgClient#getTicket} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getTicket(ticketId, options = {}) {
+        return this.#add(options, o => this.#client.getTicket(ticketId, o));
+    }
+
+    /**
+     * Gets the number of requests queued in this batch.
+     * @returns {number} The number of queued requests.
+     */
+    getSize() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Sends all queued requests. A batch can only be sent once.
+     *
+     * The Promise returned by each queued call is settled with the outcome of
+     * its own request; errors of individual requests do not reject send().
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the batch
+     *     when aborted.
+     * @returns {Promise<Object[]>} A Promise which is resolved once all queued
+     *     calls have been settled, with their outcomes in the form returned by
+     *     Promise.allSettled().
+     * @throws {Error} Thrown when the batch has already been sent.
+     */
+    async send(options = {}) {
+        this.#checkNotSent();
+        this.#sent = true;
+
+        await Promise.all(this.#pending);
+        // the signals of the calls no longer apply once the batch is sent
+        this.#abortListeners.forEach(remove => remove());
+        if (this.#entries.length > 0) {
+            await this.#sendFunction(this.#entries, options);
+        }
+
+        return Promise.allSettled(this.#calls);
+    }
+
+    /**
+     * Helper function to queue a call. The call receives the options of the
+     * call, together with the option which makes the client queue its request
+     * in this batch.
+     * @param {Object} options The options of the call.
+     * @param {function(Object): Promise<any>} call Function calling a
+     *     RandomOrgClient method with the supplied options.
+     * @returns {Promise<any>} The Promise returned by the call.
+     */
+    #add = (options, call) => {
+        this.#checkNotSent();
+
+        let queued;
+        this.#pending.push(new Promise(resolve => queued = resolve));
+
+        let promise = call(Object.assign({}, options, { batch: request => {
+            let response = this.#queue(request, options.signal);
+            queued();
+            return response;
+        } }));
+        // a middleware may also settle the call without queueing a request;
+        // errors are reported through the Promise returned to the caller and
+        // the result of send(), they should not be reported as unhandled
+        promise.then(queued, queued);
+        this.#calls.push(promise);
+
+        return promise;
+    }
+
+    /**
+     * Helper function to queue a request and return a Promise for its
+     * response. The request is removed from the batch again if the signal is
+     * aborted before the batch is sent.
+     */
+    #queue = (request, signal) => {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            let entry = { request: request, resolve: resolve, reject: reject };
+            this.#entries.push(entry);
+            if (signal) {
+                let onAbort = () => {
+                    this.#entries.splice(this.#entries.indexOf(entry), 1);
+                    reject(abortError());
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                this.#abortListeners.push(() => signal.removeEventListener('abort', onAbort));
+            }
+        });
+    }
+
+    /** Helper function to ensure no calls are added to a batch which was sent. */
+    #checkNotSent = () => {
+        if (this.#sent) {
+            throw new Error('This batch has already been sent, please create a new '
+                + 'batch with RandomOrgClient.batch().');
+        }
+    }
+}
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Internal estimation of the number of true random bits used by a request,
+ * used by RandomOrgClient. This is not part of the public API.
+ *
+ * A request uses log2 of the number of possible results it may return, rounded
+ * up: each value drawn with replacement uses log2 of the size of its domain,
+ * while the i-th value drawn without replacement uses log2 of the domain less
+ * the i values already drawn.
+ */
+
+// Number of random bits in a version 4 UUID
+const UUID_SIZE = 122;
+
+// Functions returning the bits used by each method, before rounding
+const ESTIMATORS = {
+    generateIntegers: params => sequenceBits(params.n, domain(params.min, params.max),
+        params.replacement),
+    generateIntegerSequences: params => integerSequenceBits(params),
+    generateDecimalFractions: params => sequenceBits(params.n,
+        Math.pow(10, params.decimalPlaces), params.replacement),
+    generateGaussians: params => params.n * params.significantDigits * Math.log2(10),
+    generateStrings: params => sequenceBits(params.n,
+        Math.pow(Array.from(params.characters).length, params.length), params.replacement),
+    generateUUIDs: params => params.n * UUID_SIZE,
+    generateBlobs: params => params.n * params.size
+};
+
+/**
+ * Checks whether the number of bits used by a method can be estimated.
+ * @param {string} method The method, e.g. 'generateIntegers' or
+ *     'generateSignedIntegers'.
+ * @returns {boolean} True if the method is a generate method.
+ */
+exports.supports = function supports(method) {
+    return method.replace('Signed', '') in ESTIMATORS;
+}
+
+/**
+ * Estimates the number of bits used by a request. The parameters are expected
+ * to be valid, see RandomOrgValidator.
+ * @param {string} method The method of the request, e.g. 'generateIntegers'.
+ * @param {Object} params The parameters of the request. Optional parameters
+ *     which are missing take their default values.
+ * @returns {number} The number of bits.
+ */
+exports.estimate = function estimate(method, params) {
+    return Math.ceil(ESTIMATORS[method.replace('Signed', '')](params));
+}
+
+/** Helper function to estimate the bits used by (multiform) integer sequences. */
+function integerSequenceBits(params) {
+    let bits = 0;
+    for (let i = 0; i < params.n; i++) {
+        bits += sequenceBits(multiform(params.length, i), domain(multiform(params.min, i),
+            multiform(params.max, i)), multiform(params.replacement, i));
+    }
+    return bits;
+}
+
+/**
+ * Helper function to estimate the bits used by n values drawn from a domain,
+ * with or without replacement.
+ */
+function sequenceBits(n, domainSize, replacement = true) {
+    if (replacement !== false) {
+        return n * Math.log2(domainSize);
+    }
+
+    let bits = 0;
+    for (let i = 0; i < n; i++) {
+        bits += Math.log2(domainSize - i);
+    }
+    return bits;
+}
+
+/** Helper function to get the number of integers in [min, max]. */
+function domain(min, max) {
+    return max - min + 1;
+}
+
+/**
+ * Helper function to get the value of a multiform parameter for the i-th
+ * sequence.
+ */
+function multiform(value, i) {
+    return Array.isArray(value) ? value[i] : value;
+}
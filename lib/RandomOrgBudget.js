@@ -0,0 +1,261 @@
+'use strict';
+
+const {
+    RandomOrgInsufficientBitsError,
+    RandomOrgInsufficientRequestsError
+} = require('./RandomOrgErrors.js');
+const RandomOrgBitEstimator = require('./RandomOrgBitEstimator.js');
+
+/**
+ * Internal daily budget used by RandomOrgClient, see
+ * RandomOrgClient.setBudget().
+ *
+ * Keeps account of the bits and requests used by the generate methods per UTC
+ * day, in total and per tag, and rejects requests which would exceed a hard
+ * cap before they are sent. A request is charged with its estimated number of
+ * bits when it is dispatched and settled with the bits used reported in its
+ * response, so that concurrent requests cannot exceed a cap together.
+ */
+module.exports = class RandomOrgBudget {
+    // the resources a budget is kept for
+    static #RESOURCES = [ 'bits', 'requests' ];
+
+    // default percentages of a cap at which warnings are emitted
+    static #DEFAULT_WARNINGS = [ 80, 100 ];
+
+    // caps, reservations and warning thresholds, see configure()
+    #config = { tags: {}, warnings: RandomOrgBudget.#DEFAULT_WARNINGS };
+    // called with the data of every warning
+    #onWarning = null;
+
+    // UTC day ('YYYY-MM-DD') for which usage is counted
+    #day = null;
+    // bits and requests used today, in total and per tag
+    #used = null;
+    // bits and requests charged for requests which have not been settled yet
+    #pending = RandomOrgBudget.#counters();
+    // warnings emitted today, so that each is only emitted once
+    #warned = null;
+
+    /**
+     * Constructs an empty budget, without any caps.
+     * @param {function(Object)} onWarning Function called with the data of
+     *     every warning, see RandomOrgClient.setBudget().
+     */
+    constructor(onWarning) {
+        this.#onWarning = onWarning;
+        this.#rollOver();
+    }
+
+    /**
+     * Sets the caps, reservations and warning thresholds of the budget. The
+     * usage counted today is kept.
+     * @param {?Object} config The configuration, see RandomOrgClient.setBudget(),
+     *     or null to remove all caps.
+     * @throws {TypeError} Thrown when the configuration is not an object.
+     */
+    configure(config) {
+        if (config != null && typeof config != 'object') {
+            throw new TypeError('A budget must be an object.');
+        }
+
+        config = config || {};
+        this.#config = {
+            bits: config.bits || {},
+            requests: config.requests || {},
+            tags: config.tags || {},
+            warnings: config.warnings || RandomOrgBudget.#DEFAULT_WARNINGS
+        };
+    }
+
+    /**
+     * Charges a request, if it is sent by a generate method.
+     * @param {Object} request The request.
+     * @param {?string} tag The tag of the call.
+     * @param {{bits: number, requests: number}} allowance The bits and requests
+     *     left to the API key, or -1 if unknown.
+     * @returns {?Object} The charge, which must be passed to settle() or
+     *     release(), or null if the request is not charged.
+     * @throws {RandomOrgInsufficientBitsError} Thrown when the request would
+     *     exceed a cap on bits.
+     * @throws {RandomOrgInsufficientRequestsError} Thrown when the request would
+     *     exceed a cap on requests.
+     */
+    charge(request, tag, allowance) {
+        if (!RandomOrgBitEstimator.supports(request.method)) {
+            return null;
+        }
+        this.#rollOver();
+
+        let charge = {
+            tag: tag,
+            // invalid requests, which the server rejects, are charged nothing
+            bits: RandomOrgBitEstimator.estimate(request.method, request.params) || 0,
+            requests: 1
+        };
+
+        for (let resource of RandomOrgBudget.#RESOURCES) {
+            let available = this.#available(resource, tag, allowance[resource]);
+            if (charge[resource] > available) {
+                let message = 'The request would exceed the budget of this '
+                    + 'RandomOrgClient, ' + available + ' ' + resource + ' remain';
+                throw resource == 'bits'
+                    ? new RandomOrgInsufficientBitsError(message, available)
+                    : new RandomOrgInsufficientRequestsError(message);
+            }
+        }
+
+        this.#add(this.#pending, tag, charge.bits, charge.requests);
+        return charge;
+    }
+
+    /**
+     * Settles the charge of a request which was served.
+     * @param {Object} charge The charge returned by charge().
+     * @param {number} [bitsUsed] The bits used according to the response,
+     *     if known. Otherwise, the estimate is used.
+     */
+    settle(charge, bitsUsed) {
+        this.release(charge);
+        this.#rollOver();
+        this.#add(this.#used, charge.tag, bitsUsed != null ? bitsUsed : charge.bits,
+            charge.requests);
+        this.#warn(charge.tag);
+    }
+
+    /**
+     * Releases the charge of a request which failed.
+     * @param {Object} charge The charge returned by charge().
+     */
+    release(charge) {
+        this.#add(this.#pending, charge.tag, -charge.bits, -charge.requests);
+    }
+
+    /**
+     * Gets the bits and requests used today.
+     * @returns {{day: string, bits: number, requests: number, tags: Object}}
+     *     The UTC day ('YYYY-MM-DD'), the bits and requests used in total
+     *     and the bits and requests used per tag.
+     */
+    getUsage() {
+        this.#rollOver();
+        return JSON.parse(JSON.stringify(Object.assign({ day: this.#day }, this.#used)));
+    }
+
+    /**
+     * Helper function to get the amount of a resource available to a call,
+     * which is limited by the hard caps in total and of its tag. Amounts
+     * reserved for other tags are not available, neither within the hard cap
+     * nor within the allowance of the API key.
+     */
+    #available = (resource, tag, allowance) => {
+        let reserved = this.#reserved(resource, tag);
+        let available = Infinity;
+
+        let hard = this.#caps(null)[resource].hard;
+        if (hard != null) {
+            available = Math.min(available, hard - this.#spent(resource, null) - reserved);
+        }
+        let tagHard = tag != null ? this.#caps(tag)[resource].hard : null;
+        if (tagHard != null) {
+            available = Math.min(available, tagHard - this.#spent(resource, tag));
+        }
+        if (reserved > 0 && allowance >= 0) {
+            available = Math.min(available,
+                allowance - this.#counter(this.#pending, null)[resource] - reserved);
+        }
+        return Math.max(available, 0);
+    }
+
+    /**
+     * Helper function to get the amount of a resource which is reserved for
+     * tags other than the given one and has not been spent by them yet.
+     */
+    #reserved = (resource, tag) => {
+        let reserved = 0;
+        for (let other of Object.keys(this.#config.tags)) {
+            let reserve = this.#config.tags[other].reserve;
+            if (other !== tag && reserve && reserve[resource] != null) {
+                reserved += Math.max(reserve[resource] - this.#spent(resource, other), 0);
+            }
+        }
+        return reserved;
+    }
+
+    /**
+     * Helper function to emit the warnings for the caps which the usage in
+     * total or of a tag has reached.
+     */
+    #warn = tag => {
+        for (let scope of tag != null ? [ null, tag ] : [ null ]) {
+            let caps = this.#caps(scope);
+            for (let resource of RandomOrgBudget.#RESOURCES) {
+                let used = this.#counter(this.#used, scope)[resource];
+                for (let cap of [ 'soft', 'hard' ]) {
+                    let limit = caps[resource][cap];
+                    if (limit == null) {
+                        continue;
+                    }
+                    for (let threshold of this.#config.warnings) {
+                        let id = [ scope, resource, cap, threshold ].join('/');
+                        if (used >= limit * threshold / 100 && !this.#warned.has(id)) {
+                            this.#warned.add(id);
+                            this.#onWarning({
+                                resource: resource,
+                                tag: scope,
+                                cap: cap,
+                                threshold: threshold,
+                                used: used,
+                                limit: limit
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /** Helper function to get the caps in total (tag null) or of a tag. */
+    #caps = tag => {
+        let caps = tag == null ? this.#config : (this.#config.tags[tag] || {});
+        return { bits: caps.bits || {}, requests: caps.requests || {} };
+    }
+
+    /** Helper function to get the amount of a resource used or charged. */
+    #spent = (resource, tag) => {
+        return this.#counter(this.#used, tag)[resource]
+            + this.#counter(this.#pending, tag)[resource];
+    }
+
+    /** Helper function to add bits and requests to counters, in total and of a tag. */
+    #add = (counters, tag, bits, requests) => {
+        for (let counter of tag != null ? [ counters, this.#counter(counters, tag) ]
+                : [ counters ]) {
+            counter.bits += bits;
+            counter.requests += requests;
+        }
+    }
+
+    /** Helper function to get the counter in total (tag null) or of a tag. */
+    #counter = (counters, tag) => {
+        if (tag == null) {
+            return counters;
+        }
+        return counters.tags[tag] = counters.tags[tag] || { bits: 0, requests: 0 };
+    }
+
+    /** Helper function to start counting from zero on a new UTC day. */
+    #rollOver = () => {
+        let day = new Date().toISOString().slice(0, 10);
+        if (day != this.#day) {
+            this.#day = day;
+            this.#used = RandomOrgBudget.#counters();
+            this.#warned = new Set();
+        }
+    }
+
+    /** Helper function to create empty counters. */
+    static #counters = () => {
+        return { bits: 0, requests: 0, tags: {} };
+    }
+}
@@ -1,12 +1,70 @@
 'use strict';
 const {
+    RandomOrgBadHTTPResponseError,
     RandomOrgInsufficientBitsError,
+    RandomOrgInsufficientRequestsError,
+    RandomOrgJSONRPCError,
+    RandomOrgKeyNotRunningError,
+    RandomOrgRANDOMORGError,
     RandomOrgCacheEmptyError
 } = require('./RandomOrgErrors.js');
+const {
+    abortError,
+    throwIfAborted
+} = require('./RandomOrgUtils.js');
+const RandomOrgQueue = require('./RandomOrgQueue.js');
+/* node-import */
+const stream = require('stream');
+/* end-node-import */
 /**
  * Precache class for frequently used requests.
+ *
+ * Errors of the requests are classified, see ERROR_TRANSIENT, ERROR_QUOTA and
+ * ERROR_FATAL: the cache recovers from transient and quota errors by itself,
+ * while a fatal error stops it until clearError() or reset() is called.
  */
 module.exports = class RandomOrgCache {
+    /**
+     * Type of errors which are likely to be resolved by retrying, e.g. HTTP
+     * timeouts, network errors or HTTP status codes 5xx. Requests are retried
+     * with an exponentially increasing delay, starting at 1 second, up to 1
+     * minute. Meanwhile, the values already cached can still be retrieved.
+     */
+    static ERROR_TRANSIENT = 'transient';
+    /**
+     * Type of errors reporting that the daily allowance of bits or requests of
+     * the API key, or the budget of the client, is exhausted. The cache pauses
+     * until the allowance is reset at midnight UTC. Meanwhile, the values
+     * already cached can still be retrieved, after which get() and getOrWait()
+     * throw the error.
+     */
+    static ERROR_QUOTA = 'quota';
+    /**
+     * Type of errors which cannot be resolved by retrying, e.g. invalid
+     * parameters or an API key which does not exist (error 400) or is not
+     * running (error 401). The error is thrown by every call to get() and
+     * getOrWait() until clearError() or reset() is called.
+     */
+    static ERROR_FATAL = 'fatal';
+
+    /**
+     * Order in which the result-sets are returned: the one obtained last
+     * first. The result-sets of a bulk request are returned in reverse.
+     */
+    static ORDER_LIFO = 'lifo';
+    /**
+     * Order in which the result-sets are returned: in the order the server
+     * generated them, e.g. for audit trails.
+     */
+    static ORDER_FIFO = 'fifo';
+
+    // delays in milliseconds before retrying after a transient error
+    static #INITIAL_RETRY_DELAY = 1000;
+    static #MAX_RETRY_DELAY = 60 * 1000;
+
+    // HTTP status codes of transient errors, in addition to 5xx
+    static #TRANSIENT_STATUS_CODES = [ 408, 429 ];
+
     // function used to send a request
     #requestFunction = null;
 
@@ -20,8 +78,9 @@ module.exports = class RandomOrgCache {
     // size of a single request in bits
     #requestSize = -1;
 
-    // stores cached arrays of values
-    #stack = [];
+    // stores cached arrays of values, in the order they are returned in,
+    // see ORDER_LIFO and ORDER_FIFO
+    #stack = null;
     // number of arrays to try to maintain in #stack
     #cacheSize = 10;
 
@@ -33,9 +92,22 @@ module.exports = class RandomOrgCache {
     #requestsUsed = 0;
     // ensures #populate() does not issue parallel requests
     #currentlyPopulating = false;
+    // functions waking the calls of getOrWait() which wait for values, see
+    // #wait()
+    #waiters = [];
 
-    // an error which will be thrown on the next call to get() or getOrWait()
+    // the last error of a request, if the cache has not recovered from it
+    // yet, and its type, e.g. ERROR_TRANSIENT
     #error = null;
+    #errorType = null;
+    // timer retrying the request after a transient or quota error
+    #retryTimer = null;
+    // delay before the next retry after a transient error
+    #retryDelay = 0;
+    // function called with every error of a request, and its type
+    #onError = null;
+    // whether the cache returns the random object and signature of the values
+    #signed = false;
 
     /**
      * Initialize class and start stack population
@@ -52,9 +124,33 @@ module.exports = class RandomOrgCache {
      *     number of results in a single request, else 0.
      * @param {number} singleRequestSize Size of a single request in bits for
      *     adjusting bulk requests if bits are in short supply on the server.
+     * @param {{onError?: function(Error, Object), signed?: boolean,
+     *     order?: string}} options An object which may contain any of the
+     *     following optional parameters:
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of a request and an object containing its type ('type',
+     *     e.g. ERROR_TRANSIENT) and the time the request is retried ('retryAt',
+     *     a Date, or null for fatal errors). Errors thrown by the function are
+     *     ignored.
+     * @param {boolean} [options.signed=false] Whether the request is signed, in
+     *     which case get() returns the values together with the random object
+     *     and signature they came from, see #addResponse().
+     * @param {string} [options.order='lifo'] The order in which the result-sets
+     *     are returned, ORDER_LIFO or ORDER_FIFO (default 'lifo').
+     * @throws {TypeError} Thrown when the order is invalid.
      */
-    constructor(requestFunction, request, cacheSize, bulkRequestNumber, requestNumber, singleRequestSize) {
+    constructor(requestFunction, request, cacheSize, bulkRequestNumber, requestNumber,
+            singleRequestSize, options = {}) {
         this.#requestFunction = requestFunction;
+        this.#onError = options.onError || null;
+        this.#signed = options.signed === true;
+
+        let order = options.order || RandomOrgCache.ORDER_LIFO;
+        if (order !== RandomOrgCache.ORDER_LIFO && order !== RandomOrgCache.ORDER_FIFO) {
+            throw new TypeError('The order of a cache must be \'' + RandomOrgCache.ORDER_LIFO
+                + '\' or \'' + RandomOrgCache.ORDER_FIFO + '\'.');
+        }
+        this.#stack = new RandomOrgQueue(order === RandomOrgCache.ORDER_FIFO);
 
         this.#request = request;
         
@@ -95,25 +191,23 @@ module.exports = class RandomOrgCache {
                             this.#addResponse(response, true);
                         } catch (e) {
                             // not enough bits remaining for a bulk request
-                            if (e instanceof RandomOrgInsufficientBitsError) {
-                                let bitsLeft = e.getBitsLeft();
-                                if (bitsLeft > this.#requestSize) {
-                                    // if possible, adjust request for the largest possible size
-                                    let adjustedBulk = Math.floor(bitsLeft/this.#requestSize);
-                                    this.#request.params.n = adjustedBulk * this.#requestNumber;
-
-                                    response = await this.#requestFunction(this.#request);
-                                    this.#addResponse(response, true);
+                            if (e instanceof RandomOrgInsufficientBitsError
+                                    && e.getBitsLeft() > this.#requestSize) {
+                                // if possible, adjust request for the largest possible size
+                                let adjustedBulk = Math.floor(e.getBitsLeft()/this.#requestSize);
+                                let adjustedRequest = this.#resize(this.#request,
+                                    adjustedBulk * this.#requestNumber);
 
-                                    // reset to original bulk request size
-                                    this.#request.params.n = this.#bulkRequestNumber * this.#requestNumber;
-                                } else {
-                                    // request size cannot be adjusted
-                                    this.#error = e;
-                                }                                
+                                try {
+                                    response = await this.#requestFunction(adjustedRequest);
+                                    this.#addResponse(response, true);
+                                } catch (e) {
+                                    this.#handleError(e);
+                                }
                             } else {
-                                // Any other error thrown during in the request function
-                                this.#error = e;
+                                // request size cannot be adjusted, or any other
+                                // error thrown by the request function
+                                this.#handleError(e);
                             }
                         }
                     } else {
@@ -126,7 +220,7 @@ module.exports = class RandomOrgCache {
                         response = await this.#requestFunction(this.#request);
                         this.#addResponse(response, false);
                     } catch(e) {
-                        this.#error = e;
+                        this.#handleError(e);
                     }
                 } else {
                     // the stack is full
@@ -143,6 +237,9 @@ module.exports = class RandomOrgCache {
      */
     stop() {
         this.#paused = true;
+
+        // calls of getOrWait() no longer wait once the cache is empty
+        this.#notify();
     }
 
     /**
@@ -169,19 +266,59 @@ module.exports = class RandomOrgCache {
     }
 
     /**
-     * Gets the next response.
+     * Discards the error the cache has not recovered from yet, if any, and
+     * resumes populating the cache immediately, e.g. after a fatal error was
+     * resolved or to retry before the scheduled time.
+     */
+    clearError() {
+        clearTimeout(this.#retryTimer);
+        this.#retryTimer = null;
+        this.#retryDelay = 0;
+        this.#error = null;
+        this.#errorType = null;
+
+        // check if it needs to be repopulated
+        this.#refresh();
+    }
+
+    /**
+     * Discards the values cached and the error the cache has not recovered
+     * from yet, if any, and starts populating the cache again.
+     */
+    reset() {
+        this.#stack.clear();
+        this.clearError();
+    }
+
+    /**
+     * Gets the last error of a request, if the cache has not recovered from
+     * it yet.
+     * @returns {?{error: Error, type: string}} The error and its type, e.g.
+     *     ERROR_TRANSIENT, or null.
+     */
+    getError() {
+        return this.#error != null ? { error: this.#error, type: this.#errorType } : null;
+    }
+
+    /**
+     * Gets the next response. For caches of signed values, see
+     * RandomOrgClient.createSignedIntegerCache(), this is an object containing
+     * the values ('data'), the random object ('random') and signature
+     * ('signature') of the response they came from, and the position of the
+     * values in random.data ('start' and 'end').
      * Note that if the cache is empty, if was constructed with unsuitable parameter
      * values or if the daily allowance of bits/requests has been reached, the appropriate
-     * error will be thrown.
-     * @returns {any[]} The next appropriate response for the request this RandomOrgCache
-     *     represents or, if stack is empty throws an error.
+     * error will be thrown, see ERROR_FATAL and ERROR_QUOTA.
+     * @returns {(any[]|Object)} The next appropriate response for the request
+     *     this RandomOrgCache represents or, if stack is empty throws an error.
      * @throws RandomOrgCacheEmptyError if the cache is empty.
      */
     get() {
-        if (this.#error != null) {
+        if (this.#errorType == RandomOrgCache.ERROR_FATAL
+                || (this.#errorType == RandomOrgCache.ERROR_QUOTA && this.#stack.length == 0)) {
             throw this.#error;
         }
-        if (this.#stack && this.#stack.length == 0) {
+        if (this.#stack.length == 0) {
             if (this.#paused) {
                 throw new RandomOrgCacheEmptyError('The RandomOrgCache stack '
                     + 'is empty and the cache is paused. Please call resume() to '
@@ -191,7 +328,7 @@ module.exports = class RandomOrgCache {
                     + 'is empty, please wait for it to repopulate itself.');
             }
         } else {
-            let data = this.#stack.pop();
+            let data = this.#stack.take();
 
             // check if it needs to be repopulated
             this.#refresh();
@@ -206,28 +343,145 @@ module.exports = class RandomOrgCache {
      * if the cache is empty and has been paused, i.e. is not being populated. If
      * the cache was constructed with unsuitable parameter values or the daily allowance
      * of bits/requests has been reached, the appropriate error will also be thrown.
-     * @returns {Promise<any[]>} The next appropriate response for the request this
+     * 
+     * Waiting does not poll the cache: the calls waiting are resumed in the
+     * order they were made as soon as a response is added to the cache, the
+     * cache is stopped or an error occurs.
+     * @param {{signal?: AbortSignal, timeout?: number}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {AbortSignal} [options.signal] Signal which cancels the wait when
+     *     aborted. The cache continues to populate itself.
+     * @param {number} [options.timeout] Maximum time in milliseconds to wait
+     *     for a value. The cache continues to populate itself (default: no
+     *     limit).
+     * @returns {Promise<any[]|Object>} The next appropriate response for the request this
      * RandomOrgCache represents.
-     * @throws RandomOrgCacheEmptyError if the cache is empty and is paused.
+     * @throws RandomOrgCacheEmptyError if the cache is empty and is paused, or
+     *     is still empty when options.timeout has elapsed.
+     * @throws RandomOrgAbortError if the wait is aborted through options.signal.
      */
-    async getOrWait() {
-        try {
-            let values = this.get();
-            return values;
-        } catch (e) {
-            if (e instanceof RandomOrgCacheEmptyError) {
-                if (this.#paused) {
-                    // The cache is paused and will not return any values
+    async getOrWait(options = {}) {
+        let deadline = options.timeout != null ? Date.now() + options.timeout : null;
+
+        while (true) {
+            throwIfAborted(options.signal);
+            try {
+                return this.get();
+            } catch (e) {
+                if (!(e instanceof RandomOrgCacheEmptyError) || this.#paused) {
+                    // The cache is paused and will not return any values, or
+                    // it could not be populated
                     throw e;
                 }
-                let cachedValues = await this.#populate();
-                if (cachedValues == 0) {
-                    // The cache has not yet repopulated.
-                    await new Promise(r => setTimeout(r, 50));
-                }
-                return this.getOrWait();
             }
+
+            // The cache has not yet repopulated.
+            this.#populate();
+            await this.#wait(options.signal, deadline, options.timeout);
+        }
+    }
+
+    /**
+     * Returns an async iterator over the result-sets of the cache, see
+     * values(), so that the cache can be used in for await...of loops:
+     *
+     *     for await (const values of cache) { ... }
+     * @returns {AsyncGenerator<any[]|Object>} The iterator.
+     */
+    [Symbol.asyncIterator]() {
+        return this.values();
+    }
+
+    /**
+     * Returns an async iterator over the result-sets of the cache. Every
+     * result-set is obtained with getOrWait(), so the iterator waits while
+     * the cache repopulates itself. Once the cache has been stopped, the
+     * iterator returns the values still cached and then ends.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the iteration
+     *     when aborted.
+     * @returns {AsyncGenerator<any[]|Object>} The iterator.
+     * @throws RandomOrgAbortError if the iteration is aborted through
+     *     options.signal.
+     */
+    async *values(options = {}) {
+        while (true) {
+            let values = await this.#next(options.signal);
+            if (values === undefined) {
+                return;
+            }
+            yield values;
+        }
+    }
+
+    /**
+     * Returns a NodeJS Readable stream in object mode, which reads the
+     * result-sets of the cache like values(). A result-set is only requested
+     * from the cache when the stream's buffer has room for it, so a slow
+     * consumer does not use up the cache. The stream ends once the cache has
+     * been stopped and the values still cached have been read.
+     * @param {{highWaterMark?: number}} options An object which may contain the
+     *     following optional parameter:
+     * @param {number} [options.highWaterMark=1] Number of result-sets the
+     *     stream buffers (default 1).
+     * @returns {stream.Readable} The stream.
+     * @throws {Error} Thrown when NodeJS streams are not available, i.e. in
+     *     browsers.
+     */
+    toReadable(options = {}) {
+        if (typeof stream === 'undefined') {
+            throw new Error('toReadable() is only available in NodeJS, please use '
+                + 'toReadableStream() instead.');
+        }
+
+        let cache = this;
+        let controller = new AbortController();
+        return new stream.Readable({
+            objectMode: true,
+            highWaterMark: options.highWaterMark || 1,
+            read() {
+                cache.#next(controller.signal).then(values => {
+                    this.push(values === undefined ? null : values);
+                }, e => this.destroy(e));
+            },
+            destroy(e, callback) {
+                // stop waiting for the next result-set
+                controller.abort();
+                callback(e);
+            }
+        });
+    }
+
+    /**
+     * Returns a WHATWG ReadableStream, which reads the result-sets of the
+     * cache like values(). A result-set is only requested from the cache when
+     * the stream's queue has room for it. The stream closes once the cache has
+     * been stopped and the values still cached have been read.
+     * @param {{highWaterMark?: number}} options An object which may contain the
+     *     following optional parameter:
+     * @param {number} [options.highWaterMark=1] Number of result-sets the
+     *     stream queues (default 1).
+     * @returns {ReadableStream} The stream.
+     * @throws {Error} Thrown when ReadableStream is not available.
+     */
+    toReadableStream(options = {}) {
+        if (typeof ReadableStream === 'undefined') {
+            throw new Error('ReadableStream is not available.');
         }
+
+        let controller = new AbortController();
+        return new ReadableStream({
+            pull: async streamController => {
+                let values = await this.#next(controller.signal);
+                if (values === undefined) {
+                    streamController.close();
+                } else {
+                    streamController.enqueue(values);
+                }
+            },
+            cancel: () => controller.abort()
+        }, { highWaterMark: options.highWaterMark || 1 });
     }
 
     /**
@@ -257,6 +511,69 @@ module.exports = class RandomOrgCache {
         return this.#requestsUsed;
     }
 
+    /**
+     * Helper function to get the next result-set for values() and the streams,
+     * or undefined once the cache has been stopped and is empty.
+     * @param {?AbortSignal} signal Signal which cancels the wait when aborted.
+     * @returns {Promise<any[]|Object|undefined>} The result-set.
+     */
+    #next = async signal => {
+        try {
+            return await this.getOrWait({ signal: signal });
+        } catch (e) {
+            if (e instanceof RandomOrgCacheEmptyError && e.wasPaused()) {
+                return undefined;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Helper function to wait until the waiting calls of getOrWait() are
+     * notified, see #notify().
+     * @param {?AbortSignal} signal Signal which cancels the wait when aborted.
+     * @param {?number} deadline Time in milliseconds since the epoch after
+     *     which the wait is cancelled, or null.
+     * @param {?number} timeout The timeout of the call, for the error message.
+     * @returns {Promise<void>} A Promise which is resolved when the waiting
+     *     calls are notified.
+     */
+    #wait = (signal, deadline, timeout) => {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let waiter = () => finish(null);
+            let onAbort = () => finish(abortError());
+            let finish = e => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                let i = this.#waiters.indexOf(waiter);
+                if (i != -1) {
+                    this.#waiters.splice(i, 1);
+                }
+                e ? reject(e) : resolve();
+            };
+
+            this.#waiters.push(waiter);
+            if (deadline != null) {
+                timer = setTimeout(() => finish(new RandomOrgCacheEmptyError('The '
+                    + 'RandomOrgCache stack is still empty after waiting ' + timeout
+                    + ' ms.')), deadline - Date.now());
+            }
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    }
+
+    /** Helper function to resume the calls of getOrWait() which wait for values. */
+    #notify = () => {
+        let waiters = this.#waiters;
+        this.#waiters = [];
+        waiters.forEach(waiter => waiter());
+    }
+
     /**
      * Helper function to check if the cache needs to be repopulated.
      */
@@ -271,6 +588,104 @@ module.exports = class RandomOrgCache {
         }
     }
 
+    /**
+     * Helper function to get a copy of the bulk request for fewer results.
+     * The array-type parameters of multiform sequences hold the values of the
+     * original request repeated for every result-set, so they are truncated
+     * to n values.
+     * @param {Object} request The bulk request.
+     * @param {number} n The number of results to request.
+     * @returns {Object} The adjusted request.
+     */
+    #resize = (request, n) => {
+        let params = Object.assign({}, request.params, { n: n });
+        for (let name of [ 'length', 'min', 'max', 'replacement', 'base' ]) {
+            if (Array.isArray(params[name])) {
+                params[name] = params[name].slice(0, n);
+            }
+        }
+        return Object.assign({}, request, { params: params });
+    }
+
+    /**
+     * Helper function to handle an error of a request according to its type,
+     * scheduling a retry unless it is fatal.
+     * @param {Error} e The error.
+     */
+    #handleError = e => {
+        let type = RandomOrgCache.#classify(e);
+        let retryAt = null;
+        if (type == RandomOrgCache.ERROR_TRANSIENT) {
+            this.#retryDelay = Math.min(this.#retryDelay * 2
+                || RandomOrgCache.#INITIAL_RETRY_DELAY, RandomOrgCache.#MAX_RETRY_DELAY);
+            retryAt = Date.now() + this.#retryDelay;
+        } else if (type == RandomOrgCache.ERROR_QUOTA) {
+            // setUTCHours() rolls 24:00 over to midnight of the following day
+            retryAt = new Date().setUTCHours(24, 0, 0, 0);
+        }
+
+        this.#error = e;
+        this.#errorType = type;
+        // fatal and quota errors are thrown by getOrWait() if the cache is empty
+        this.#notify();
+        if (retryAt != null) {
+            clearTimeout(this.#retryTimer);
+            // retry without keeping a NodeJS process alive just for this
+            this.#retryTimer = setTimeout(this.#retry, retryAt - Date.now());
+            if (this.#retryTimer.unref) {
+                this.#retryTimer.unref();
+            }
+        }
+
+        if (this.#onError != null) {
+            try {
+                this.#onError(e, {
+                    type: type,
+                    retryAt: retryAt != null ? new Date(retryAt) : null
+                });
+            } catch (listenerError) {
+                // errors of the function are left to it, the cache recovers
+                // from the error of the request regardless
+            }
+        }
+    }
+
+    /** Helper function to retry the request after a transient or quota error. */
+    #retry = () => {
+        this.#retryTimer = null;
+        this.#error = null;
+        this.#errorType = null;
+        this.#refresh();
+    }
+
+    /**
+     * Helper function to get the type of an error of a request.
+     * @param {Error} e The error.
+     * @returns {string} ERROR_TRANSIENT, ERROR_QUOTA or ERROR_FATAL.
+     */
+    static #classify = e => {
+        if (e instanceof RandomOrgInsufficientBitsError
+                || e instanceof RandomOrgInsufficientRequestsError) {
+            return RandomOrgCache.ERROR_QUOTA;
+        }
+        if (e instanceof RandomOrgBadHTTPResponseError) {
+            let status = e.getStatus();
+            return status >= 500 || RandomOrgCache.#TRANSIENT_STATUS_CODES.includes(status)
+                ? RandomOrgCache.ERROR_TRANSIENT : RandomOrgCache.ERROR_FATAL;
+        }
+        if (e instanceof RandomOrgKeyNotRunningError || e instanceof RandomOrgJSONRPCError) {
+            return RandomOrgCache.ERROR_FATAL;
+        }
+        if (e instanceof RandomOrgRANDOMORGError) {
+            // errors 1xx report that the server is unavailable, the others
+            // that the request or the API key is invalid
+            return e.getCode() < 200 ? RandomOrgCache.ERROR_TRANSIENT
+                : RandomOrgCache.ERROR_FATAL;
+        }
+        // timeouts, network errors and other errors thrown by the transport
+        return RandomOrgCache.ERROR_TRANSIENT;
+    }
+
     /**
      * Helper function to add a response to the stack.
      * @param {any[]} response The response received from the server.
@@ -279,14 +694,47 @@ module.exports = class RandomOrgCache {
     #addResponse = (response, bulk) => {
         this.#requestsUsed++;
         this.#bitsUsed += response.result.bitsUsed;
+        this.#retryDelay = 0;
 
         if (bulk) {
             let data = response.result.random.data;
             for (let i = 0; i < data.length; i += this.#requestNumber) {
-                this.#stack.push(data.slice(i, i + this.#requestNumber));
+                this.#stack.push(this.#item(response, i, i + this.#requestNumber));
             }
         } else {
-            this.#stack.push(response.result.random.data);
+            this.#stack.push(this.#item(response, 0, response.result.random.data.length));
+        }
+        this.#notify();
+    }
+
+    /**
+     * Helper function to get the item of the stack for a result-set. For signed
+     * requests, the result-set is returned with the random object and signature
+     * of the whole response, which may hold several result-sets, and the
+     * position of the result-set within random.data, so that it can be
+     * verified:
+     * * **data**: the result-set, i.e. random.data.slice(start, end)
+     * * **random**: random field as returned from the server
+     * * **signature**: signature string
+     * * **start**: index of the first value of the result-set in random.data
+     * * **end**: index after the last value of the result-set in random.data
+     * @param {Object} response The response received from the server.
+     * @param {number} start Index of the first value of the result-set.
+     * @param {number} end Index after the last value of the result-set.
+     * @returns {(any[]|Object)} The item.
+     */
+    #item = (response, start, end) => {
+        let random = response.result.random;
+        let data = random.data.slice(start, end);
+        if (!this.#signed) {
+            return data;
         }
+        return {
+            data: data,
+            random: random,
+            signature: response.result.signature,
+            start: start,
+            end: end
+        };
     }
 }
\ No newline at end of file
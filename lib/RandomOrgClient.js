@@ -1,6 +1,7 @@
 'use strict';
 
 const {
+    RandomOrgAbortError,
     RandomOrgBadHTTPResponseError,
     RandomOrgInsufficientBitsError,
     RandomOrgInsufficientRequestsError,
@@ -9,10 +10,20 @@ const {
     RandomOrgRANDOMORGError,
     RandomOrgSendTimeoutError
 } = require('./RandomOrgErrors.js');
+const RandomOrgBatch = require('./RandomOrgBatch.js');
+const RandomOrgBitEstimator = require('./RandomOrgBitEstimator.js');
+const RandomOrgBudget = require('./RandomOrgBudget.js');
 const RandomOrgCache = require('./RandomOrgCache.js');
-/* node-import */
-const XMLHttpRequest = require('xmlhttprequest').XMLHttpRequest;
-/* end-node-import */
+const RandomOrgEventEmitter = require('./RandomOrgEventEmitter.js');
+const RandomOrgScheduler = require('./RandomOrgScheduler.js');
+const RandomOrgTransports = require('./RandomOrgTransports.js');
+const RandomOrgValidator = require('./RandomOrgValidator.js');
+const RandomOrgVerifier = require('./RandomOrgVerifier.js');
+const {
+    abortable,
+    sleep,
+    throwIfAborted
+} = require('./RandomOrgUtils.js');
 
 /**
  * RandomOrgClient main class through which API functions are accessed.
@@ -23,15 +34,25 @@ const XMLHttpRequest = require('xmlhttprequest').XMLHttpRequest;
  * The class also provides access to the creation of a convenience class, RandomOrgCache,
  * for precaching API responses when the request is known in advance.
  * 
- * This class will only allow the creation of one instance per API key. If an
+ * The constructor only allows the creation of one instance per API key. If an
  * instance of this class already exists for a given key, that instance will be
- * returned instead of a new instance.
+ * returned instead of a new instance. Use create() to obtain a separate instance
+ * with its own options; instances using the same key share its rate-limit state.
+ * Instances can be unregistered with dispose().
  * 
  * This class obeys most of the guidelines set forth in https://api.random.org/json-rpc/4
  * All requests respect the server's advisoryDelay returned in any responses, or use
- * DEFAULT_DELAY if no advisoryDelay is returned. If the supplied API key is paused, i.e.,
+ * DEFAULT_DELAY if no advisoryDelay is returned. Requests are sent one at a time,
+ * also when issued concurrently. Requests with a higher priority (options.priority,
+ * see PRIORITY_HIGH, PRIORITY_NORMAL and PRIORITY_BACKGROUND) are sent first; caches
+ * are refilled with background priority. If the supplied API key is paused, i.e.,
  * has exceeded its daily bit/request allowance, this implementation will back off until
- * midnight UTC.
+ * the next midnight UTC. The back-off can be inspected with getBackoffUntil() and
+ * isBackedOff(), and is reported through the 'backoffStart' and 'backoffEnd' events
+ * (see on()).
+ * 
+ * Calls can be tagged with options.tag, e.g. by caller, to cap the bits and
+ * requests they use per day, see setBudget().
  */
 module.exports = class RandomOrgClient {
     // Basic API
@@ -64,6 +85,14 @@ module.exports = class RandomOrgClient {
     /** Blob format literal, hex encoding. */
     static BLOB_FORMAT_HEX = 'hex';
 
+    // Transport literals
+    /** Transport literal, native fetch() (browsers and NodeJS v18+). */
+    static TRANSPORT_FETCH = 'fetch';
+    /** Transport literal, NodeJS https module (default in NodeJS). */
+    static TRANSPORT_HTTPS = 'https';
+    /** Transport literal, XMLHttpRequest. */
+    static TRANSPORT_XHR = 'xhr';
+
     // Default values
     /** Default value for the replacement parameter (true). */
     static DEFAULT_REPLACEMENT = true;
@@ -86,6 +115,31 @@ module.exports = class RandomOrgClient {
     static DEFAULT_HTTP_TIMEOUT = 120 * 1000;
     /** Maximum number of characters allowed in a signature verficiation URL. */
     static MAX_URL_LENGTH = 2046;
+    /** Default value for the endpoint parameter. */
+    static DEFAULT_ENDPOINT = 'https://api.random.org/json-rpc/4/invoke';
+    /** Default value for the signatureFormUrl parameter. */
+    static DEFAULT_SIGNATURE_FORM_URL = 'https://api.random.org/signatures/form';
+    /** Priority of requests which should be sent before any others. */
+    static PRIORITY_HIGH = 1;
+    /** Default priority of requests. */
+    static PRIORITY_NORMAL = 0;
+    /** Priority of requests which refill caches. */
+    static PRIORITY_BACKGROUND = -1;
+    /**
+     * Default values for the retry parameter. By default, failed requests are
+     * not retried (maxAttempts is 1).
+     */
+    static DEFAULT_RETRY_POLICY = {
+        maxAttempts: 1,
+        initialDelay: 1000,
+        maxDelay: 30 * 1000,
+        multiplier: 2,
+        jitter: 0.5,
+        retryableStatusCodes: [ 408, 429, 500, 502, 503, 504 ],
+        retryableErrors: [ RandomOrgSendTimeoutError ],
+        retryNetworkErrors: true,
+        retryNonIdempotent: false
+    };
 
     // Default back-off to use if no advisoryDelay back-off supplied by server (1 second)
     static #DEFAULT_DELAY = 1*1000;
@@ -94,27 +148,52 @@ module.exports = class RandomOrgClient {
     // this value (1 hour).
     static #ALLOWANCE_STATE_REFRESH_SECONDS = 3600 * 1000;
 
-    // Maintains usage statistics from server.
-    #bitsLeft = -1;
-    #requestsLeft = -1;
+    // Rate-limit state shared by all instances using the same API key, see
+    // #keyStateFor()
+    #keyState = null;
 
-    // Back-off info for when the API key is detected as not running, probably
-    // because the key has exceeded its daily usage limit. Back-off runs until
-    // midnight UTC.
-    #backoff = -1;
-    #backoffError = '';
+    // Listeners for the events emitted by the client
+    #events = new RandomOrgEventEmitter();
 
     #apiKey = '';
     #blockingTimeout = RandomOrgClient.DEFAULT_BLOCKING_TIMEOUT;
     #httpTimeout = RandomOrgClient.DEFAULT_HTTP_TIMEOUT;
 
-    // Maintain info to obey server advisory delay
-    #advisoryDelay = 0;
-    #lastResponseReceivedTime = 0;
+    // Function used to deliver requests to the server
+    #transport = null;
+
+    // URLs of the JSON-RPC endpoint and of the signature verification form
+    #endpoint = RandomOrgClient.DEFAULT_ENDPOINT;
+    #signatureFormUrl = RandomOrgClient.DEFAULT_SIGNATURE_FORM_URL;
+
+    // Verifies signatures offline, if a public key was supplied
+    #verifier = null;
+
+    // Policy for retrying requests which failed to reach the server
+    #retryPolicy = RandomOrgClient.DEFAULT_RETRY_POLICY;
+
+    // Whether request parameters are validated before requests are sent
+    #validation = true;
+
+    // Middleware registered with use(), in the order it is run
+    #middleware = [];
+
+    // Daily caps and accounting of the bits and requests used, see setBudget()
+    #budget = new RandomOrgBudget(warning => this.#events.emit('budgetWarning', warning));
+
+    // Caches created by this instance, stopped when it is disposed
+    #caches = [];
+    #disposed = false;
 
     // Maintains a dictionary of API keys and their instances.
     static #keyIndexedInstances = {};
 
+    // Maintains a dictionary of API keys and the state shared by their instances.
+    static #keyIndexedStates = {};
+
+    // True while create() constructs an unregistered instance
+    static #creating = false;
+
     static #ERROR_CODES = [ 100, 101, 200, 201, 202, 203, 204, 300,
         301, 302, 303, 304, 305, 306, 307, 400, 401, 402, 403, 404,
         405, 420, 421, 422, 423, 424, 425, 500, 32000 ];
@@ -122,12 +201,17 @@ module.exports = class RandomOrgClient {
     /**
      * Constructor. Ensures only one instance of RandomOrgClient exists per API
      * key. Creates a new instance if the supplied key isn't already known,
-     * otherwise returns the previously instantiated one.
+     * otherwise returns the previously instantiated one and ignores the
+     * supplied options. Use {@link RandomOrgClient.create} to create a
+     * separate instance.
      * @constructor
      * @param {string} apiKey API key of instance to create/find, obtained from
      *     RANDOM.ORG, see https://api.random.org/api-keys
-     * @param {{blockingTimeout?: number, httpTimeout?: number}} options An object
-     *     which may contains any of the following optional parameters:
+     * @param {{blockingTimeout?: number, httpTimeout?: number, transport?: string|
+     *     function(string, string, Object): Promise<Object>, endpoint?: string,
+     *     signatureFormUrl?: string, publicKey?: string, retry?: Object,
+     *     validation?: boolean, budget?: Object, stateStore?: Object,
+     *     coordinator?: Object}} options An object which may contains any of the following optional parameters:
      * @param {number} [options.blockingTimeout = 24 * 60 * 60 * 1000] Maximum
      *     time in milliseconds to wait before being allowed to send a request.
      *     Note this is a hint not a guarantee. The advisory delay from server
@@ -136,16 +220,136 @@ module.exports = class RandomOrgClient {
      * @param {number} [options.httpTimeout = 120 * 1000] Maximum time in
      *     milliseconds to wait for the server response to a request (default
      *     120*1000).
+     * @param {(string|function(string, string, Object): Promise<Object>)}
+     *     [options.transport] The transport used to deliver requests to the
+     *     server. Either one of the built-in transports ('fetch', 'https' or
+     *     'xhr') or a custom function, which is called with the URL, the
+     *     JSON-encoded request and an object containing the httpTimeout
+     *     ('timeout') and the AbortSignal of the request, if any ('signal'),
+     *     and returns a Promise for an object containing the HTTP status code
+     *     ('status') and the response text ('body'). See RandomOrgTransports
+     *     (default: 'https' in NodeJS, otherwise 'fetch' if available and 'xhr'
+     *     as a fallback).
+     * @see {@link RandomOrgClient#TRANSPORT_FETCH} for 'fetch'.
+     * @see {@link RandomOrgClient#TRANSPORT_HTTPS} for 'https'.
+     * @see {@link RandomOrgClient#TRANSPORT_XHR} for 'xhr'.
+     * @param {string} [options.endpoint='https://api.random.org/json-rpc/4/invoke']
+     *     URL of the JSON-RPC endpoint requests are sent to, e.g. a relay or a
+     *     local emulator (default 'https://api.random.org/json-rpc/4/invoke').
+     * @param {string} [options.signatureFormUrl='https://api.random.org/signatures/form']
+     *     URL of the signature verification form used by createUrl() and
+     *     createHtml() (default 'https://api.random.org/signatures/form').
+     * @param {string} [options.publicKey] PEM-encoded public key used by
+     *     verifySignatureOffline(), i.e. RANDOM.ORG's public key. This is not
+     *     included in the library and must be obtained from RANDOM.ORG.
+     * @param {Object} [options.retry] Policy for retrying requests which fail
+     *     to reach the server. Requests are only retried when this contains a
+     *     maxAttempts value greater than 1. Retries still obey the server's
+     *     advisory delay. Any values not supplied are taken from
+     *     DEFAULT_RETRY_POLICY:
+     * * **maxAttempts**: maximum number of attempts per request, including
+     *       the first one (default 1).
+     * * **initialDelay**: delay in milliseconds before the first retry, which
+     *       is multiplied by **multiplier** for every further retry (default
+     *       1000 and 2), up to **maxDelay** (default 30000).
+     * * **jitter**: fraction of the delay by which it is randomly reduced, in
+     *       the [0, 1] range (default 0.5).
+     * * **retryableStatusCodes**: HTTP status codes which are retried (default
+     *       408, 429, 500, 502, 503 and 504).
+     * * **retryableErrors**: error classes thrown by the transport which are
+     *       retried (default [RandomOrgSendTimeoutError], i.e. HTTP timeouts).
+     * * **retryNetworkErrors**: whether other errors thrown by the transport,
+     *       e.g. refused connections, are retried (default true).
+     * * **retryNonIdempotent**: whether createTickets() and signed requests
+     *       using a ticketId are retried. The first attempt may have reached
+     *       the server, so a retry could create tickets twice or fail because
+     *       the ticket was used (default false).
+     * @param {boolean} [options.validation=true] Whether the parameters of the
+     *     generate methods and of the methods creating caches are checked
+     *     before a request is sent. Invalid parameters are rejected with the
+     *     RandomOrgRANDOMORGError the server would return, e.g. error 202 if a
+     *     parameter is out of range, without using a request (default true).
+     * @param {Object} [options.budget] Daily caps on the bits and requests used
+     *     by this instance, see setBudget() (default: no caps).
+     * @param {Object} [options.stateStore] Store which persists the rate-limit
+     *     state of the API key, i.e. the advisory delay, the time of the last
+     *     response, the back-off and the usage, so that a restarted process
+     *     obeys them. The state is restored from the store when the instance
+     *     is constructed, unless the state known to the client is more recent,
+     *     and saved after every response. The store then applies to all
+     *     instances using the API key. See RandomOrgStateStores for the
+     *     built-in stores and the interface of custom stores. Errors of the
+     *     store are reported with a stateError event, see on() (default: the
+     *     state is not persisted).
+     * @param {Object} [options.coordinator] Coordinator which shares the
+     *     rate-limit state of the API key with clients in other processes on
+     *     the same host, e.g. NodeJS cluster workers. A request is only sent
+     *     once the coordinator has granted this process exclusive access to
+     *     the API key, with the advisory delay, back-off and usage of the
+     *     response received last by any process. The coordinator then applies
+     *     to all instances using the API key. See RandomOrgFileCoordinator for
+     *     the built-in coordinator and the interface of custom coordinators.
+     *     Errors releasing the access are reported with a stateError event
+     *     (default: requests are only coordinated within this process).
      */
     constructor(apiKey, options = {}) {
-        if (RandomOrgClient.#keyIndexedInstances && RandomOrgClient.#keyIndexedInstances[apiKey]) {
-            return RandomOrgClient.#keyIndexedInstances[apiKey];
+        let registered = RandomOrgClient.#keyIndexedInstances[apiKey];
+        if (registered && !RandomOrgClient.#creating) {
+            return registered;
         } else {
             this.#apiKey = apiKey;
             this.#blockingTimeout = options.blockingTimeout || 24 * 60 * 60 * 1000;
             this.#httpTimeout = options.httpTimeout || 120 * 1000;
+            this.#transport = RandomOrgTransports.resolve(options.transport);
+            this.#endpoint = options.endpoint || RandomOrgClient.DEFAULT_ENDPOINT;
+            this.#signatureFormUrl = options.signatureFormUrl
+                || RandomOrgClient.DEFAULT_SIGNATURE_FORM_URL;
+            if (options.publicKey) {
+                this.#verifier = new RandomOrgVerifier(options.publicKey);
+            }
+            this.#retryPolicy = Object.assign({}, RandomOrgClient.DEFAULT_RETRY_POLICY,
+                options.retry);
+            this.#validation = options.validation !== false;
+            if (options.budget) {
+                this.#budget.configure(options.budget);
+            }
 
-            RandomOrgClient.#keyIndexedInstances[apiKey] = this;
+            this.#keyState = RandomOrgClient.#keyStateFor(apiKey);
+            if (options.stateStore) {
+                this.#useStateStore(options.stateStore);
+            }
+            if (options.coordinator) {
+                this.#useCoordinator(options.coordinator);
+            }
+            this.#keyState.clients.push(this);
+
+            if (!RandomOrgClient.#creating) {
+                RandomOrgClient.#keyIndexedInstances[apiKey] = this;
+            }
+        }
+    }
+
+    /**
+     * Creates a new instance of RandomOrgClient, even if an instance already
+     * exists for the supplied API key. Unlike the constructor, this always
+     * applies the supplied options, e.g. a different httpTimeout or transport.
+     * 
+     * The new instance is not returned by the constructor for this API key.
+     * All instances using the same API key share its rate-limit state: their
+     * requests are sent one at a time and obey the advisory delay, back-off and
+     * usage information of responses received by any of them. Call dispose()
+     * once the instance is no longer needed.
+     * @param {string} apiKey API key of the instance to create, obtained from
+     *     RANDOM.ORG, see https://api.random.org/api-keys
+     * @param {Object} options The options of the instance, see the constructor.
+     * @returns {RandomOrgClient} The new instance.
+     */
+    static create(apiKey, options = {}) {
+        RandomOrgClient.#creating = true;
+        try {
+            return new RandomOrgClient(apiKey, options);
+        } finally {
+            RandomOrgClient.#creating = false;
         }
     }
 
@@ -162,9 +366,10 @@ module.exports = class RandomOrgClient {
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the random
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, pregeneratedRandomization?:
-     *     Object}} options An object which may contains any of the following
-     *     optional parameters:
+     * @param {{replacement?: boolean, base?: number,
+     *     pregeneratedRandomization?: Object, signal?: AbortSignal}} options
+     *     An object which may contains any of the following optional
+     *     parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -183,10 +388,14 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {(Promise<number[]>|Promise<string[]>)} A Promise which, if
      *     resolved successfully, represents an array of true random integers.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -201,7 +410,7 @@ module.exports = class RandomOrgClient {
      * */
     async generateIntegers(n, min, max, options = {}) {
         let request = this.#integerRequest(n, min, max, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -231,8 +440,9 @@ module.exports = class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     pregeneratedRandomization?: Object}} options An object which may contains
-     *     any of the following optional parameters:
+     *     pregeneratedRandomization?: Object, signal?: AbortSignal}} options
+     *     An object which may contains any of the following optional
+     *     parameters:
      * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
      *     the random numbers should be picked with replacement. If true, the
      *     resulting numbers may contain duplicate values, otherwise the numbers
@@ -257,11 +467,15 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise which, if
      *     resolved successfully, represents an array of true random integer
      *     sequences.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -276,7 +490,7 @@ module.exports = class RandomOrgClient {
      */
     async generateIntegerSequences(n, length, min, max, options = {}) {
         let request = this.#integerSequenceRequest(n, length, min, max, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -289,8 +503,9 @@ module.exports = class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must be
      *     within the [1,20] range.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     signal?: AbortSignal}} options An object which may contains any of
+     *     the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -307,10 +522,14 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random decimal fractions.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -325,7 +544,7 @@ module.exports = class RandomOrgClient {
      */
     async generateDecimalFractions(n, decimalPlaces, options = {}) {
         let request = this.#decimalFractionRequest(n, decimalPlaces, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -343,8 +562,9 @@ module.exports = class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{pregeneratedRandomization?: Object}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, signal?: AbortSignal}}
+     *     options An object which may contains any of the following optional
+     *     parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -357,10 +577,14 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random numbers from a Gaussian distribution.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -376,7 +600,7 @@ module.exports = class RandomOrgClient {
     async generateGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
         let request = this.#gaussianRequest(n, mean, standardDeviation,
             significantDigits, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -389,8 +613,9 @@ module.exports = class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     signal?: AbortSignal}} options An object which may contains any of
+     *     the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
      *     of strings may contain duplicates, otherwise the strings will all be
@@ -407,10 +632,14 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<string[]>} A Promise which, if resolved successfully,
      *     represents an array of true random strings.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -425,7 +654,7 @@ module.exports = class RandomOrgClient {
      */
     async generateStrings(n, length, characters, options = {}) {
         let request = this.#stringRequest(n, length, characters, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -436,8 +665,9 @@ module.exports = class RandomOrgClient {
      * See: https://api.random.org/json-rpc/4/basic#generateUUIDs
      * @param {number} n How many random UUIDs you need. Must be within the
      *     [1,1e3] range.
-     * @param {{pregeneratedRandomization?: Object}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, signal?: AbortSignal}}
+     *     options An object which may contains any of the following optional
+     *     parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -450,10 +680,14 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<string[]>} A Promise which, if resolved successfully,
      *     represents an array of true random UUIDs.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -468,7 +702,7 @@ module.exports = class RandomOrgClient {
      */
     async generateUUIDs(n, options = {}) {
         let request = this.#UUIDRequest(n, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     /**
@@ -480,8 +714,9 @@ module.exports = class RandomOrgClient {
      *     [1,100] range.
      * @param {number} size The size of each blob, measured in bits. Must be
      *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{format?: string, pregeneratedRandomization?: Object, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {string} [options.format='base64'] Specifies the format in which
      *     the blobs will be returned. Values allowed are 'base64' and 'hex'
      *     (default 'base64').
@@ -497,12 +732,16 @@ module.exports = class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random blobs as strings.
      * @see {@link RandomOrgClient#BLOB_FORMAT_BASE64} for 'base64' (default).
      * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -517,7 +756,7 @@ module.exports = class RandomOrgClient {
      */
     async generateBlobs(n, size, options = {}) {
         let request = this.#blobRequest(n, size, options);
-        return this.#extractBasic(this.#sendRequest(request));
+        return this.#extractBasic(this.#sendRequest(request, options));
     }
 
     // SIGNED API
@@ -536,10 +775,11 @@ module.exports = class RandomOrgClient {
      *     random numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the
      *     random numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, pregeneratedRandomization?:
-     *     Object, licenseData?: Object, userData?: Object|number|string, ticketId?:
-     *     string}} options An object which may contains any of the following
-     *     optional parameters:
+     * @param {{replacement?: boolean, base?: number,
+     *     pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -575,6 +815,8 @@ module.exports = class RandomOrgClient {
      *     for ticketId will cause RANDOM.ORG to record that the ticket was used
      *     to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
      *     A Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -583,6 +825,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -597,7 +841,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedIntegers(n, min, max, options = {}) {
         let request = this.#integerRequest(n, min, max, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -631,9 +875,10 @@ module.exports = class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|number|string, ticketId?: string}} options An object which may
-     *     contains any of the following optional parameters:
+     *     pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
      *     the random numbers should be picked with replacement. If true, the
      *     resulting numbers may contain duplicate values, otherwise the numbers
@@ -675,6 +920,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
      *     A Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -683,6 +930,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -697,7 +946,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedIntegerSequences(n, length, min, max, options = {}) {
         let request = this.#integerSequenceRequest(n, length, min, max, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -713,9 +962,10 @@ module.exports = class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must
      *     be within the [1,20] range.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contains
+     *     any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -749,6 +999,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -757,6 +1009,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -771,7 +1025,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedDecimalFractions(n, decimalPlaces, options = {}) {
         let request = this.#decimalFractionRequest(n, decimalPlaces, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -790,9 +1044,10 @@ module.exports = class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|number|string, ticketId?: string}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -822,6 +1077,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -830,6 +1087,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -845,7 +1104,7 @@ module.exports = class RandomOrgClient {
     async generateSignedGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
         let request = this.#gaussianRequest(n, mean, standardDeviation, significantDigits,
             options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -862,9 +1121,10 @@ module.exports = class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contains
+     *     any of the following optional parameters:
      * @param {boolean} [options.replacement=null] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
      *     of strings may contain duplicates, otherwise the strings will all be
@@ -898,6 +1158,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -906,6 +1168,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -920,7 +1184,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedStrings(n, length, characters, options = {}) {
         let request = this.#stringRequest(n, length, characters, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -934,9 +1198,10 @@ module.exports = class RandomOrgClient {
      * https://api.random.org/json-rpc/4/signed#generateSignedUUIDs
      * @param {number} n How many random UUIDs you need. Must be within the
      *     [1,1e3] range.
-     * @param {{pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|string|number, ticketId?: string}} options An object which may
-     *     contain any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|string|number, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contain any of the
+     *     following optional parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -966,6 +1231,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -974,6 +1241,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -988,7 +1257,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedUUIDs(n, options = {}) {
         let request = this.#UUIDRequest(n, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -1003,9 +1272,10 @@ module.exports = class RandomOrgClient {
      *     [1,100] range.
      * @param {number} size The size of each blob, measured in bits. Must be
      *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contain any of the following optional parameters:
+     * @param {{format?: string, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contain
+     *     any of the following optional parameters:
      * @param {string} [options.format='base64'] Specifies the format in which the
      *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
      *     'base64').
@@ -1038,6 +1308,8 @@ module.exports = class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -1048,6 +1320,8 @@ module.exports = class RandomOrgClient {
      * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1062,7 +1336,7 @@ module.exports = class RandomOrgClient {
      */
     async generateSignedBlobs(n, size, options = {}) {
         let request = this.#blobRequest(n, size, options, true);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     // OTHER METHODS
@@ -1078,10 +1352,16 @@ module.exports = class RandomOrgClient {
      *     through one of the Signed API methods.
      * @param {string} signature The signature field from the same response that
      *     the random field originates from.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<boolean>} A Promise which, if resolved successfully,
      *     represents whether the result could be verified (true) or not (false).
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1094,23 +1374,135 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async verifySignature(random, signature) {
+    async verifySignature(random, signature, options = {}) {
         let params = {
             random: random,
             signature: signature
         };
         let request = this.#generateRequest(RandomOrgClient.#VERIFY_SIGNATURE_METHOD, params);
-        return this.#extractVerification(this.#sendRequest(request));
+        return this.#extractVerification(this.#sendRequest(request, options));
+    }
+
+    /**
+     * Verifies the signature of a response previously received from one of the
+     * methods in the Signed API locally, using the public key supplied in the
+     * constructor options, instead of sending a request to the server.
+     * 
+     * No requests are used, so this also works without network access, e.g.
+     * to audit archived results. See RandomOrgVerifier.
+     * @param {Object} random The random field from a response returned by RANDOM.ORG
+     *     through one of the Signed API methods.
+     * @param {string} signature The signature field from the same response that
+     *     the random field originates from.
+     * @returns {Promise<boolean>} A Promise which, if resolved successfully,
+     *     represents whether the result could be verified (true) or not (false).
+     * @throws {Error} Thrown when no public key was supplied in the constructor
+     *     options.
+     */
+    async verifySignatureOffline(random, signature) {
+        if (this.#verifier == null) {
+            throw new Error('No public key has been supplied. Please supply '
+                + 'RANDOM.ORG\'s public key in the publicKey option of the '
+                + 'RandomOrgClient constructor to verify signatures offline.');
+        }
+        return this.#verifier.verify(random, signature);
+    }
+
+    /**
+     * @typedef {Object} Usage The usage of an API key, as returned by the
+     *     getUsage() and getCachedUsage() methods.
+     * @property {string} status A string indicating the API key's current
+     *     status, which may be 'stopped', 'paused' or 'running'. An API key
+     *     must be running for it to be able to serve requests.
+     * @property {string} creationTime The timestamp in ISO 8601 format at
+     *     which the API key was created.
+     * @property {number} bitsLeft The (estimated) number of remaining true
+     *     random bits available to the API key.
+     * @property {number} requestsLeft The (estimated) number of remaining API
+     *     requests available to the API key.
+     * @property {number} totalBits The number of bits used by the API key
+     *     since it was created.
+     * @property {number} totalRequests The number of requests used by the API
+     *     key since it was created.
+     */
+
+    /**
+     * Returns the usage of the API key. If cached usage info is older than an
+     * hour, or options.forceRefresh is true, fresh info is obtained from the
+     * server.
+     * 
+     * See: https://api.random.org/json-rpc/4/basic#getUsage
+     * @param {{forceRefresh?: boolean, signal?: AbortSignal, priority?: number}}
+     *     options An object which may contain any of the following optional
+     *     parameters:
+     * @param {boolean} [options.forceRefresh=false] Whether to obtain fresh
+     *     info from the server even if the cached info is recent (default false).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
+     * @returns {Promise<Usage>} A Promise which, if resolved successfully,
+     *     represents the usage of the API key.
+     * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
+     *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
+     * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
+     *     stopped.
+     * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
+     *     requests allowance has been exceeded.
+     * @throws {RandomOrgBadHTTPResponseError} Thrown when a HTTP 200 OK response
+     *     is not received.
+     * @throws {RandomOrgRANDOMORGError} Thrown when the server returns a RANDOM.ORG
+     *     Error.
+     * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
+     */
+    async getUsage(options = {}) {
+        let update = Date.now() > (this.#keyState.lastResponseReceivedTime + RandomOrgClient.#ALLOWANCE_STATE_REFRESH_SECONDS);
+        if (this.#keyState.usage == null || update || options.forceRefresh) {
+            await this.#getUsage(options);
+        }
+        return this.getCachedUsage();
+    }
+
+    /**
+     * Returns the usage of the API key known to the client, without contacting
+     * the server. The info is obtained by getUsage(), getBitsLeft() and
+     * getRequestsLeft(), and kept up to date with the usage reported in the
+     * responses to other requests.
+     * @returns {?Usage} The usage of the API key, or null if it is not known
+     *     yet. Before the first getUsage request, only bitsLeft and
+     *     requestsLeft may be known, the other values are null.
+     */
+    getCachedUsage() {
+        let state = this.#keyState;
+        if (state.usage == null && state.bitsLeft < 0) {
+            return null;
+        }
+
+        return Object.assign({
+            status: null,
+            creationTime: null,
+            totalBits: null,
+            totalRequests: null
+        }, state.usage, {
+            bitsLeft: state.bitsLeft,
+            requestsLeft: state.requestsLeft
+        });
     }
 
     /**
      * Returns the (estimated) number of remaining true random bits available to
      * the client. If cached usage info is older than an hour, fresh info is
      * obtained from the server.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number>} A Promise which, if resolved successfully,
      *     represents the number of bits remaining.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1123,22 +1515,28 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async getBitsLeft() {
-        let update = Date.now() > (this.#lastResponseReceivedTime + RandomOrgClient.#ALLOWANCE_STATE_REFRESH_SECONDS);
-        if (this.#bitsLeft < 0 || update) {
-            await this.#getUsage();
+    async getBitsLeft(options = {}) {
+        let update = Date.now() > (this.#keyState.lastResponseReceivedTime + RandomOrgClient.#ALLOWANCE_STATE_REFRESH_SECONDS);
+        if (this.#keyState.bitsLeft < 0 || update) {
+            await this.#getUsage(options);
         }
-        return this.#bitsLeft;
+        return this.#keyState.bitsLeft;
     }
 
     /**
      * Returns the (estimated) number of remaining API requests available to the
      * client. If cached usage info is older than an hour, fresh info is
      * obtained from the server.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number>} A Promise which, if resolved successfully,
      *     represents the number of requests remaining.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1151,12 +1549,134 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async getRequestsLeft() {
-        let update = Date.now() > (this.#lastResponseReceivedTime + RandomOrgClient.#ALLOWANCE_STATE_REFRESH_SECONDS);
-        if (this.#requestsLeft < 0 || update) {
-            await this.#getUsage();
+    async getRequestsLeft(options = {}) {
+        let update = Date.now() > (this.#keyState.lastResponseReceivedTime + RandomOrgClient.#ALLOWANCE_STATE_REFRESH_SECONDS);
+        if (this.#keyState.requestsLeft < 0 || update) {
+            await this.#getUsage(options);
+        }
+        return this.#keyState.requestsLeft;
+    }
+
+    /**
+     * Estimates the number of true random bits a request would use, without
+     * sending it. The estimate is log2 of the number of possible results,
+     * rounded up, which is how the server counts the bits used: e.g. 10
+     * integers in [1, 6] use ceil(10 * log2(6)) = 26 bits. Values requested
+     * without replacement use fewer bits than values requested with
+     * replacement.
+     * @param {string} method The name of a basic or signed generate method,
+     *     e.g. 'generateIntegers' or 'generateSignedIntegerSequences'.
+     * @param {Object} params The parameters of the request, named as in the
+     *     API, e.g. { n: 10, min: 1, max: 6 }. Optional parameters, e.g.
+     *     replacement, take their default values when missing. Array values
+     *     can be used for the parameters of multiform integer sequences.
+     * @returns {number} The estimated number of bits.
+     * @throws {TypeError} Thrown when the method is not a generate method.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid.
+     */
+    estimateBits(method, params = {}) {
+        if (typeof method != 'string' || !RandomOrgBitEstimator.supports(method)) {
+            throw new TypeError('Cannot estimate the bits used by \'' + method + '\'');
+        }
+        RandomOrgValidator.validate(method, params);
+        return RandomOrgBitEstimator.estimate(method, params);
+    }
+
+    /**
+     * Checks whether the API key can serve a request, given its usage known to
+     * the client, see getCachedUsage(). The number of bits the request would
+     * use is estimated with estimateBits() and compared to the bits left. The
+     * request cannot be served either if no requests are left, the client is
+     * backed off or the API key has been stopped.
+     * 
+     * No request is sent to the server, so the result is only as recent as the
+     * last response received for the API key. Call getUsage() first to make
+     * sure the usage is known.
+     * @param {string} method The name of a basic or signed generate method,
+     *     see estimateBits().
+     * @param {Object} params The parameters of the request, see estimateBits().
+     * @returns {?boolean} True if the request can be served, false if it
+     *     cannot, or null if the usage of the API key is not known yet.
+     * @throws {TypeError} Thrown when the method is not a generate method.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid.
+     */
+    canAfford(method, params = {}) {
+        let bits = this.estimateBits(method, params);
+        let usage = this.getCachedUsage();
+
+        if (usage == null) {
+            return null;
+        } else if ((usage.status != null && usage.status != 'running')
+                || usage.requestsLeft == 0 || this.isBackedOff()) {
+            return false;
         }
-        return this.#requestsLeft;
+        return usage.bitsLeft < 0 ? null : bits <= usage.bitsLeft;
+    }
+
+    /**
+     * Sets daily caps on the bits and requests used by the generate methods of
+     * this instance, including the requests of its caches and batches. Usage
+     * is counted per UTC day, from the bits used reported in each response,
+     * in total and per tag. Calls are tagged with options.tag, e.g.
+     * generateIntegers(5, 1, 6, { tag: 'game' }), and caches with the tag
+     * option of the method creating them.
+     * 
+     * A call which would exceed a hard cap, given the bits it is estimated to
+     * use (see estimateBits()), is rejected without contacting the server,
+     * with a RandomOrgInsufficientBitsError whose getBitsLeft() returns the
+     * bits still available to it, or a RandomOrgInsufficientRequestsError.
+     * Soft caps are never enforced. A 'budgetWarning' event is emitted (see
+     * on()) once per day when the usage reaches each of the warning
+     * percentages of a soft or hard cap.
+     * 
+     * A tag can reserve bits and requests, e.g. for critical signed draws.
+     * Until the tag has used its reservation, the reserved amount is not
+     * available to other calls, neither within the hard caps nor within the
+     * allowance of the API key, so that e.g. caches cannot starve the tag:
+     * 
+     *     roc.setBudget({
+     *         bits: { soft: 150000, hard: 200000 },
+     *         requests: { hard: 900 },
+     *         tags: {
+     *             cache: { bits: { hard: 50000 } },
+     *             critical: { reserve: { bits: 20000, requests: 50 } }
+     *         },
+     *         warnings: [ 50, 80, 100 ]
+     *     });
+     * 
+     * The budget only applies to this instance, not to other instances using
+     * the same API key.
+     * @param {?Object} budget The caps of the budget, or null to remove all
+     *     caps. It may contain any of the following optional parameters:
+     * * **bits**: an object with the soft ('soft') and hard ('hard') cap on
+     *       the bits used per day, in total.
+     * * **requests**: an object with the soft and hard cap on the requests
+     *       used per day, in total.
+     * * **tags**: an object containing, per tag, the caps on the bits
+     *       ('bits') and requests ('requests') used by calls with the tag, in
+     *       the same format, and the bits and requests reserved for the tag
+     *       ('reserve').
+     * * **warnings**: the percentages of the caps at which warnings are
+     *       emitted (default [ 80, 100 ]).
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     * @throws {TypeError} Thrown when the budget is not an object.
+     */
+    setBudget(budget) {
+        this.#budget.configure(budget);
+        return this;
+    }
+
+    /**
+     * Gets the bits and requests used today by the generate methods of this
+     * instance, as counted by its budget, see setBudget(). The usage is
+     * counted also if no caps are set.
+     * @returns {{day: string, bits: number, requests: number, tags: Object}}
+     *     An object containing the UTC day ('day', 'YYYY-MM-DD'), the bits
+     *     ('bits') and requests ('requests') used in total and, per tag, the
+     *     bits and requests used by calls with the tag ('tags').
+     */
+    getBudgetUsage() {
+        return this.#budget.getUsage();
     }
 
     /**
@@ -1168,6 +1688,10 @@ module.exports = class RandomOrgClient {
      * initially. See: https://api.random.org/json-rpc/4/signed#getResult
      * @param {number} serialNumber An integer containing the serial number
      *     associated with the response you wish to retrieve.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Object>} A Promise which, if resolved successfully,
      *     represents an object with the following structure, identical to that
      *     returned by the original request:
@@ -1176,6 +1700,8 @@ module.exports = class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1188,12 +1714,12 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async getResult(serialNumber) {
+    async getResult(serialNumber, options = {}) {
         let params = {
             serialNumber: serialNumber
         };
         let request = this.#generateKeyedRequest(RandomOrgClient.#GET_RESULT_METHOD, params);
-        return this.#extractSigned(this.#sendRequest(request));
+        return this.#extractSigned(this.#sendRequest(request, options));
     }
 
     /**
@@ -1248,6 +1774,10 @@ module.exports = class RandomOrgClient {
      * * **false**: getTicket will return only the basic ticket information.
      * * **true**: the full random and signature objects from the response that
      *     was used to satisfy the ticket is returned. 
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<NewTicket[]>} A Promise which, if resolved successfully,
      *     represents an array of ticket objects with the following structure:
      * * **ticketId**: A string value that uniquely identifies the ticket.
@@ -1257,6 +1787,8 @@ module.exports = class RandomOrgClient {
      *     first in their respective chains.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1269,13 +1801,13 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async createTickets(n, showResult) {
+    async createTickets(n, showResult, options = {}) {
         let params = {
             n: n,
             showResult: showResult
         };
         let request = this.#generateKeyedRequest(RandomOrgClient.#CREATE_TICKET_METHOD, params);
-        return this.#extractResult(this.#sendRequest(request));
+        return this.#extractResult(this.#sendRequest(request, options));
     }
 
     /**
@@ -1291,12 +1823,18 @@ module.exports = class RandomOrgClient {
      *     have a next ticket.
      * * **'tail'** returns tickets that have a previous ticket but do not have a
      *       next ticket.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Ticket[]>} A Promise which, if resolved successfully,
      *     represents an array of ticket objects, as returned from the server.
      *     **NOTE:** The objects returned from this method do not contain "result"
      *     fields, even if tickets were created with "showResult" set to true.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1309,12 +1847,12 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async listTickets(ticketType) {
+    async listTickets(ticketType, options = {}) {
         let params = {
             ticketType: ticketType
         };
         let request = this.#generateKeyedRequest(RandomOrgClient.#LIST_TICKET_METHOD, params);
-        return this.#extractResult(this.#sendRequest(request));
+        return this.#extractResult(this.#sendRequest(request, options));
     }
 
     /**
@@ -1326,6 +1864,10 @@ module.exports = class RandomOrgClient {
      * See: https://api.random.org/json-rpc/4/signed#getTicket
      * @param {string} ticketId A string containing a ticket identifier returned
      *     by a prior call to the {@link createTickets} method. 
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Ticket>} A Promise which, if resolved successfully,
      *     represents an object containing the following information:
      * * **ticketId**: A string value that uniquely identifies the ticket.
@@ -1358,6 +1900,8 @@ module.exports = class RandomOrgClient {
      *     data property, and a signature field, required to verify the result.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1370,12 +1914,205 @@ module.exports = class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    async getTicket(ticketId) {
+    async getTicket(ticketId, options = {}) {
         let params = {
             ticketId: ticketId
         };
         let request = this.#generateRequest(RandomOrgClient.#GET_TICKET_METHOD, params);
-        return this.#extractResult(this.#sendRequest(request));
+        return this.#extractResult(this.#sendRequest(request, options));
+    }
+
+    /**
+     * Creates a builder for a JSON-RPC 2.0 batch request.
+     * 
+     * Calls queued in the batch are sent to the server as a single HTTP
+     * request when its send() method is called, so the advisory delay is only
+     * waited for once instead of after every request. If the server rejects
+     * the batch, the requests are sent individually. Each queued call returns a
+     * Promise which is settled with the result or error of its own request.
+     * @returns {RandomOrgBatch} An empty batch.
+     */
+    batch() {
+        return new RandomOrgBatch(this, this.#sendBatch);
+    }
+
+    /**
+     * Gets the time until which this client backs off, because the server
+     * reported that the API key's daily requests allowance is exceeded. During
+     * the back-off, requests are rejected with a
+     * RandomOrgInsufficientRequestsError without contacting the server. The
+     * back-off ends at the next midnight UTC, when the allowance is reset.
+     * @returns {?Date} The end of the back-off, or null if the client is not
+     *     backing off.
+     */
+    getBackoffUntil() {
+        return this.isBackedOff() ? new Date(this.#keyState.backoff) : null;
+    }
+
+    /**
+     * Checks whether this client is backing off, see getBackoffUntil().
+     * @returns {boolean} True if requests are currently rejected because of a
+     *     back-off, false otherwise.
+     */
+    isBackedOff() {
+        if (this.#keyState.backoff != -1 && Date.now() >= this.#keyState.backoff) {
+            this.#endBackoff();
+        }
+        return this.#keyState.backoff != -1;
+    }
+
+    /**
+     * Registers a middleware, which is run around every request sent by this
+     * client, including requests of caches and batches. Middleware is run in
+     * the order it was registered.
+     * 
+     * A middleware is a function receiving the JSON-RPC request object and a
+     * function next(). It may modify the request, e.g. to add userData or to
+     * tag the request id, before calling next(), optionally with a different
+     * request object, which passes the request on to the next middleware or
+     * sends it to the server. next() returns a Promise for the JSON-RPC
+     * response, which the middleware may inspect, modify or replace before
+     * returning it. Errors returned by the server are thrown by next() as the
+     * corresponding error classes, e.g. RandomOrgInsufficientBitsError.
+     * 
+     * A middleware may also return a response without calling next(), e.g. a
+     * cached or synthetic response for tests, in which case no request is
+     * sent to the server.
+     * 
+     *     roc.use(async (request, next) => {
+     *         request.id = traceId + '-' + request.id;
+     *         let response = await next();
+     *         log(request.method, response.result);
+     *         return response;
+     *     });
+     * @param {function(Object, function(Object=): Promise<Object>): Promise<Object>}
+     *     middleware The middleware to register.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     * @throws {TypeError} Thrown when the middleware is not a function.
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new TypeError('A middleware must be a function.');
+        }
+        this.#middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Registers a listener for an event emitted by this client. The following
+     * events are emitted:
+     * * **request**: a request is sent to the server, which happens again
+     *       for every retry. The listener receives an object containing the
+     *       JSON-RPC id ('id') and method ('method') of the request and the
+     *       number of the attempt ('attempt', starting at 1). The requests of
+     *       a batch are reported individually.
+     * * **response**: a successful response was received. The listener
+     *       receives an object containing the 'id' and 'method' of the request,
+     *       the time in milliseconds the server took to respond ('latency') and,
+     *       for methods which report them, the 'bitsUsed', 'bitsLeft' and
+     *       'requestsLeft' values of the response.
+     * * **error**: a request sent by this client failed. The listener
+     *       receives an object containing the 'id' and 'method' of the request
+     *       and the error it is rejected with ('error').
+     * * **advisoryDelay**: the client waits for the server's advisory delay
+     *       before sending a request. The listener receives an object
+     *       containing the time in milliseconds it waits ('delay').
+     * * **usageUpdated**: the usage of the API key known to the client has
+     *       changed. The listener receives the usage, as returned by
+     *       getCachedUsage().
+     * * **keyNotRunning**: the server reported that the API key is stopped.
+     *       The listener receives an object containing the error ('error').
+     * * **backoffStart**: the server reported that the API key's daily
+     *       requests allowance is exceeded, and the client backs off until the
+     *       next midnight UTC. The listener receives an object containing the
+     *       end of the back-off ('until', a Date) and the error thrown for
+     *       requests made during the back-off ('error').
+     * * **backoffEnd**: the back-off is over and requests are sent to the
+     *       server again. The listener receives an empty object.
+     * * **budgetWarning**: the bits or requests used today have reached a
+     *       warning percentage of a cap of the budget, see setBudget(). The
+     *       listener receives an object containing the resource ('resource',
+     *       'bits' or 'requests'), the tag of the cap ('tag', null for the
+     *       caps in total), the kind of cap ('cap', 'soft' or 'hard'), the
+     *       percentage ('threshold'), the amount used ('used') and the cap
+     *       ('limit').
+     * * **stateError**: the state store or the coordinator failed, see the
+     *       stateStore and coordinator options. The listener receives an
+     *       object containing the action which failed ('action', 'load' or
+     *       'save' for the state store, 'release' for the coordinator) and the
+     *       error ('error'). Requests are sent regardless.
+     * 
+     * The usageUpdated, keyNotRunning, backoffStart, backoffEnd and stateError
+     * events concern the API key, and are emitted by all instances using the
+     * key.
+     * Errors thrown by listeners are ignored, so listeners should handle
+     * their own errors.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data
+     *     every time the event is emitted.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    on(event, listener) {
+        this.#events.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Registers a listener which is only called the next time an event is
+     * emitted, see on() for the events.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    once(event, listener) {
+        this.#events.once(event, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener registered with on() or once().
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener The listener to remove.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    off(event, listener) {
+        this.#events.off(event, listener);
+        return this;
+    }
+
+    /**
+     * Disposes of this instance. Its caches are stopped, requests which have
+     * not been sent yet are rejected, and further requests are rejected with
+     * an Error. If this instance is the one returned by the constructor for its
+     * API key, it is unregistered, so the next construction with this key
+     * creates a new instance.
+     * 
+     * The rate-limit state of the API key, e.g. a back-off, is kept for the
+     * other and future instances using the key.
+     */
+    dispose() {
+        if (this.#disposed) {
+            return;
+        }
+        this.#disposed = true;
+
+        this.#caches.forEach(cache => cache.stop());
+        this.#caches = [];
+
+        let clients = this.#keyState.clients;
+        clients.splice(clients.indexOf(this), 1);
+
+        if (RandomOrgClient.#keyIndexedInstances[this.#apiKey] === this) {
+            delete RandomOrgClient.#keyIndexedInstances[this.#apiKey];
+        }
+    }
+
+    /**
+     * Checks whether this instance has been disposed, see dispose().
+     * @returns {boolean} True if this instance has been disposed.
+     */
+    isDisposed() {
+        return this.#disposed;
     }
 
     /**
@@ -1385,7 +2122,8 @@ module.exports = class RandomOrgClient {
      * used in this method, provided that the signature can be verified. This
      * URL is also shown under "Show Technical Details" when the online Signature
      * Verification Form is used to validate a signature. See:
-     * https://api.random.org/signatures/form
+     * https://api.random.org/signatures/form (or the signatureFormUrl supplied
+     * to the constructor).
      * @param {Object} random The random field from a response returned by
      *     RANDOM.ORG through one of the Signed API methods.
      * @param {string} signature The signature field from the same response
@@ -1398,7 +2136,7 @@ module.exports = class RandomOrgClient {
         let formattedRandom = this.#formatUrl(JSON.stringify(random));
         let formattedSignature = this.#formatUrl(signature);
         
-        let url = 'https://api.random.org/signatures/form?format=json';    
+        let url = this.#signatureFormUrl + '?format=json';
         url += '&random=' + formattedRandom;
         url += '&signature=' + formattedSignature;
         
@@ -1418,6 +2156,7 @@ module.exports = class RandomOrgClient {
      * the signature can be verified. The same HTML form is also shown under
      * "Show Technical Details" when the online Signature Verification Form is
      * used to validate a signature. See: https://api.random.org/signatures/form
+     * (or the signatureFormUrl supplied to the constructor).
      * @param {Object} random The random field from a response returned by
      *     RANDOM.ORG through one of the Signed API methods.
      * @param {string} signature The signature field from the same response
@@ -1425,7 +2164,8 @@ module.exports = class RandomOrgClient {
      * @returns {string} A string containing the code for the HTML form.
      */
     createHtml(random, signature) {
-        let s = '<form action=\'https://api.random.org/signatures/form\' method=\'post\'>\n';
+        let s = '<form action=\'' + this.#escapeAttribute(this.#signatureFormUrl)
+            + '\' method=\'post\'>\n';
         s += '  ' + this.#inputHTML('hidden', 'format', 'json') + '\n';
         s += '  ' + this.#inputHTML('hidden', 'random', JSON.stringify(random)) + '\n';
         s += '  ' + this.#inputHTML('hidden', 'signature', signature) + '\n';
@@ -1446,7 +2186,9 @@ module.exports = class RandomOrgClient {
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the random
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, cacheSize?: number}} options
+     * @param {{replacement?: boolean, base?: number, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
      *     An object which may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
@@ -1456,31 +2198,22 @@ module.exports = class RandomOrgClient {
      *     numbers. Values allowed are 2, 8, 10 and 16 (default 10).
      * @param {number} [options.cacheSize=20] The number of result-sets for the
      *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random integers.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createIntegerCache(n, min, max, options = {}) {
-        let cacheSize = options.cacheSize || 20;
-        if (cacheSize < 2) {
-            cacheSize = 2;
-        }
-
-        let request = this.#integerRequest(n, min, max, options);
-
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = Math.ceil(Math.log(max - min + 1) / Math.log(2) * n);
-        let bulkN = 0;
-        
-        // If possible, make requests more efficient by bulk-ordering from the
-        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
-        // request size if requests can't be fulfilled.
-        if (!('replacement' in options) || options.replacement === true) {
-            bulkN = cacheSize / 2;
-            request.params.n = n * bulkN;
-        }
-
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize,
-            bulkN, n, maxRequestSize);
+        return this.#integerCache(n, min, max, options);
     }
 
     /**
@@ -1510,8 +2243,10 @@ module.exports = class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     cacheSize?: number}} options An object which may contain any of the
-     *     following optional parameters:
+     *     cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object
+     *     which may contain any of the following optional parameters:
      * @param {boolean|boolean[]} replacement Specifies whether the random numbers
      *     should be picked with replacement. If true, the resulting numbers may
      *     contain duplicate values, otherwise the numbers will all be unique. For
@@ -1525,64 +2260,22 @@ module.exports = class RandomOrgClient {
      *     by its index (default 10).
      * @param {number} cacheSize The number of result-sets for the cache to try
      *     to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random integer sequences.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createIntegerSequenceCache(n, length, min, max, options = {}) {
-        let cacheSize = options.cacheSize || 20;
-        if (cacheSize < 2) {
-            cacheSize = 2;
-        }
-        
-        let maxRequestSize = Math.ceil(Math.log(this.#maxValue(max) - this.#minValue(min), + 1)
-            / Math.log(2) * n * this.#maxValue(length));
-
-        // If possible, make requests more efficient by bulk-ordering from the
-        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
-        // request size if requests can't be fulfilled.
-        let bulkN = 0;
-
-        // if replacement is an array, check if all values are set to true
-        let repl;
-        if (options.replacement && Array.isArray(options.replacement)) {
-            repl = options.replacement.every(x => x === true);
-        } else {
-            repl = options.replacement || true;
-        }
-
-        // if bulk requests can be used, make adjustments to array-type parameters
-        if (repl) {
-            bulkN = cacheSize / 2;
-            
-            if (Array.isArray(length)) {
-                length = this.#adjust(length, bulkN);
-            }
-
-            if (Array.isArray(min)) {
-                min = this.#adjust(min, bulkN);
-            }
-
-            if (Array.isArray(max)) {
-                max = this.#adjust(max, bulkN);
-            }
-
-            if (options.replacement && Array.isArray(options.replacement)) {
-                options.replacement = this.#adjust(options.replacement, bulkN);
-            }
-
-            if (options.base && Array.isArray(options.base)) {
-                options.base = this.#adjust(options.base, bulkN);
-            }
-        }
-
-        let request = this.#integerSequenceRequest(n, length, min, max,
-            options);
-
-        if (repl) {
-            request.params.n = bulkN * n;
-        }
-
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN, n, maxRequestSize);
+        return this.#integerSequenceCache(n, length, min, max, options);
     }
 
     /**
@@ -1594,7 +2287,9 @@ module.exports = class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must
      *     be within the [1,20] range.
-     * @param {{replacement?: boolean, cacheSize?: number}} options An object which
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object which
      *     may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
@@ -1602,32 +2297,22 @@ module.exports = class RandomOrgClient {
      *     (default true).
      * @param {number} [options.cacheSize=20] The number of result-sets for the cache
      *     to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random decimal fractions.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createDecimalFractionCache(n, decimalPlaces, options = {}) {
-        let cacheSize = options.cacheSize || 20;
-        if (cacheSize < 2) {
-            cacheSize = 2;
-        }
-
-        let request = this.#decimalFractionRequest(n, decimalPlaces, options);
-
-        let bulkN = 0;
-        
-        // If possible, make requests more efficient by bulk-ordering from the
-        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
-        // request size if requests can't be fulfilled.
-        if (!('replacement' in options) || options.replacement === true) {
-            bulkN = cacheSize / 2;
-            request.params.n = n * bulkN;
-        }
-
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = Math.ceil(Math.log(10) / Math.log(2) * decimalPlaces * n);
-
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN,
-            n, maxRequestSize);
+        return this.#decimalFractionCache(n, decimalPlaces, options);
     }
 
     /**
@@ -1643,32 +2328,29 @@ module.exports = class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{cacheSize?: number}} options An object which may contain the following
-     *     optional parameter:
+     * @param {{cacheSize?: number, tag?: string,
+     *     onError?: function(Error, Object),
+     *     order?: string}} options An object which may contain
+     *     any of the following optional parameters:
      * @param {number} [options.cacheSize=20] The number of result-sets for the cache
      *     to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random numbers from a Gaussian
      *     distribution.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createGaussianCache(n, mean, standardDeviation, significantDigits, options = {}) {
-        let cacheSize = options.cacheSize || 20;
-        if (cacheSize < 2) {
-            cacheSize = 2;
-        }
-
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = Math.ceil(Math.log(Math.pow(10, significantDigits)) / Math.log(2) * n);
-
-        // make requests more efficient by bulk-ordering from the server.
-        // Initially set at cacheSize/2, but cache will auto-shrink bulk request
-        // size if requests can't be fulfilled.
-        let bulkN = cacheSize / 2;
-        let request = this.#gaussianRequest(n * bulkN, mean, standardDeviation,
-            significantDigits);
-
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN,
-            n, maxRequestSize);
+        return this.#gaussianCache(n, mean, standardDeviation, significantDigits, options);
     }
 
     /**
@@ -1683,7 +2365,9 @@ module.exports = class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, cacheSize?: number}} options An object which
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object which
      *     may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
@@ -1691,259 +2375,1368 @@ module.exports = class RandomOrgClient {
      *     unique (default true).
      * @param {number} [options.cacheSize=20] The number of result-sets for the
      *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random strings.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createStringCache(n, length, characters, options = {}) {
-        let cacheSize = options.cacheSize || 20;
-        if (cacheSize < 2) {
-            cacheSize = 2;
-        }
-
-        let request = this.#stringRequest(n, length, characters, options);
+        return this.#stringCache(n, length, characters, options);
+    }
 
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = Math.ceil(Math.log(characters.length) / Math.log(2) * length * n);
-        
-        // If possible, make requests more efficient by bulk-ordering from the
-        // server. Initially set at cache_size/2, but cache will auto-shrink bulk
-        // request size if requests can't be fulfilled.
+    /**
+     * Gets a RandomOrgCache to obtain UUIDs.
+     * 
+     * The RandomOrgCache can be polled for new results conforming to the output
+     * format of the input request.
+     * @param {number} n How many random UUIDs you need. Must be within the
+     *     [1,1e3] range.
+     * @param {{cacheSize?: number, tag?: string,
+     *     onError?: function(Error, Object),
+     *     order?: string}} options An object which may contain
+     *     any of the following optional parameters:
+     * @param {number} [options.cacheSize=10] The number of result-sets for the cache
+     *     to try to maintain at any given time (default 10, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for arrays of true random UUIDs.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createUUIDCache(n, options = {}) {
+        return this.#UUIDCache(n, options);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain random blobs.
+     * 
+     * The RandomOrgCache can be polled for new results conforming to the output
+     * format of the input request.
+     * @param {number} n How many random blobs you need. n*(cacheSize/2) must be
+     *     within the [1,100] range.
+     * @param {number} size The size of each blob, measured in bits. Must be
+     *     within the [1,1048576] range and must be divisible by 8.
+     * @param {{format?: string, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object
+     *     which may contain any of the following optional parameters:
+     * @param {string} [options.format=base64] Specifies the format in which the
+     *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
+     *     'base64').
+     * @param {number} [options.cacheSize=10] The number of result-sets for the cache
+     *     to try to maintain at any given time (default 10, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for arrays of true random blobs as strings.
+     * @see {@link RandomOrgClient#BLOB_FORMAT_BASE64} for 'base64' (default).
+     * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createBlobCache(n, size, options = {}) {
+        return this.#blobCache(n, size, options);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random integers.
+     * 
+     * Like createIntegerCache(), but the values are obtained with signed
+     * requests. The cache returns the values together with the random object
+     * and signature of the response they came from. A bulk response holds the
+     * values of several calls to get() under one signature, so the position
+     * of the values within random.data is returned as well. The values can be
+     * verified with verifySignature(random, signature). The ticketId option
+     * is not supported, as every ticket can only be used once.
+     * @param {number} n How many random integers you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} min The lower boundary for the range from which the random
+     *     numbers will be picked. Must be within the [-1e9,1e9] range.
+     * @param {number} max The upper boundary for the range from which the random
+     *     numbers will be picked. Must be within the [-1e9,1e9] range.
+     * @param {{replacement?: boolean, base?: number, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     numbers should be picked with replacement (default true).
+     * @param {number} [options.base=10] The base that will be used to display the
+     *     numbers. Values allowed are 2, 8, 10 and 16 (default 10).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random integers
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedIntegerCache(n, min, max, options = {}) {
+        return this.#integerCache(n, min, max, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random integer sequences.
+     * 
+     * Like createIntegerSequenceCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random integer sequences you need. Must be within
+     *     the [1,1e3] range.
+     * @param {(number|number[])} length The length of each array of random
+     *     integers requested, or an array with n lengths for multiform
+     *     sequences, see createIntegerSequenceCache().
+     * @param {(number|number[])} min The lower boundary for the range from which
+     *     the random numbers will be picked, or an array with n boundaries for
+     *     multiform sequences.
+     * @param {(number|number[])} max The upper boundary for the range from which
+     *     the random numbers will be picked, or an array with n boundaries for
+     *     multiform sequences.
+     * @param {{replacement?: boolean|boolean[], base?: number|number[],
+     *     cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
+     *     the random numbers should be picked with replacement, or an array with
+     *     n values for multiform sequences (default true).
+     * @param {(number|number[])} [options.base=10] The base that will be used to
+     *     display the numbers, or an array with n bases for multiform sequences.
+     *     Values allowed are 2, 8, 10 and 16 (default 10).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random integer sequences
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedIntegerSequenceCache(n, length, min, max, options = {}) {
+        return this.#integerSequenceCache(n, length, min, max, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random decimal fractions.
+     * 
+     * Like createDecimalFractionCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random decimal fractions you need. Must be
+     *     within the [1,1e4] range.
+     * @param {number} decimalPlaces The number of decimal places to use. Must
+     *     be within the [1,20] range.
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     numbers should be picked with replacement (default true).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random decimal fractions
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedDecimalFractionCache(n, decimalPlaces, options = {}) {
+        return this.#decimalFractionCache(n, decimalPlaces, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random numbers from a Gaussian distribution.
+     * 
+     * Like createGaussianCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random numbers you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} mean The distribution's mean. Must be within the
+     *     [-1e6,1e6] range.
+     * @param {number} standardDeviation The distribution's standard deviation.
+     *     Must be within the [-1e6,1e6] range.
+     * @param {number} significantDigits The number of significant digits to use.
+     *     Must be within the [2,20] range.
+     * @param {{cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random numbers from a Gaussian distribution
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedGaussianCache(n, mean, standardDeviation, significantDigits, options = {}) {
+        return this.#gaussianCache(n, mean, standardDeviation, significantDigits, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random strings.
+     * 
+     * Like createStringCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random strings you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} length The length of each string. Must be within the [1,20]
+     *     range. All strings will be of the same length.
+     * @param {string} characters A string that contains the set of characters
+     *     that are allowed to occur in the random strings. The maximum number
+     *     of characters is 80.
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     strings should be picked with replacement (default true).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random strings
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedStringCache(n, length, characters, options = {}) {
+        return this.#stringCache(n, length, characters, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed UUIDs.
+     * 
+     * Like createUUIDCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random UUIDs you need. Must be within the
+     *     [1,1e3] range.
+     * @param {{cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {number} [options.cacheSize=10] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 10, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random UUIDs
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedUUIDCache(n, options = {}) {
+        return this.#UUIDCache(n, options, true);
+    }
+
+    /**
+     * Gets a RandomOrgCache to obtain signed random blobs.
+     * 
+     * Like createBlobCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random blobs you need. n*(cacheSize/2) must be
+     *     within the [1,100] range.
+     * @param {number} size The size of each blob, measured in bits. Must be
+     *     within the [1,1048576] range and must be divisible by 8.
+     * @param {{format?: string, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {string} [options.format=base64] Specifies the format in which the
+     *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
+     *     'base64').
+     * @param {number} [options.cacheSize=10] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 10, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random blobs as strings
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedBlobCache(n, size, options = {}) {
+        return this.#blobCache(n, size, options, true);
+    }
+
+    /**
+     * Core send request function. Passes the request through the middleware
+     * registered with use() before it is dispatched, see #dispatch().
+     * @param {Object} request Request object to send.
+     * @param {Object} options The options of the request, see #dispatch().
+     * @returns {Promise<Object>} A Promise which, if resolved successfully,
+     *     represents the response provided by the server or the middleware.
+     */
+    #sendRequest = async (request, options = {}) => {
+        if (this.#middleware.length == 0) {
+            return this.#dispatch(request, options);
+        }
+
+        let run = async (i, request) => {
+            if (i == this.#middleware.length) {
+                return this.#dispatch(request, options);
+            }
+
+            let called = false;
+            let next = async (nextRequest = request) => {
+                if (called) {
+                    throw new Error('next() was called multiple times by a middleware.');
+                }
+                called = true;
+                return run(i + 1, nextRequest);
+            };
+            return this.#middleware[i](request, next);
+        };
+
+        // requests of caches are sent repeatedly, so middleware must not
+        // modify the original
+        let response = await run(0, JSON.parse(JSON.stringify(request)));
+        if (response == null) {
+            throw new Error('A middleware did not return a response for request '
+                + request.id + '.');
+        }
+        return response;
+    }
+
+    /**
+     * Dispatches a request, i.e. queues it in a batch or schedules it to be
+     * sent to the server, after charging it to the budget, see setBudget().
+     * @param {Object} request Request object to send.
+     * @param {{signal?: AbortSignal, priority?: number, batch?: function(Object):
+     *     Promise<Object>, tag?: string}} options An object which may contain
+     *     any of the following optional parameters:
+     * @param {AbortSignal} [options.signal] Signal which cancels both the wait
+     *     for the advisory delay and the HTTP request when aborted.
+     * @param {number} [options.priority=0] Priority of the request in the
+     *     client's request queue, e.g. PRIORITY_BACKGROUND (default 0).
+     * @param {function(Object): Promise<Object>} [options.batch] Function used
+     *     by RandomOrgBatch to queue the request instead of sending it.
+     * @param {string} [options.tag] Tag of the call, which the request is
+     *     charged to in the budget.
+     * @returns {Promise<Object>} A Promise which, if resolved successfully,
+     *     represents the response provided by the server. Else, it may be rejected
+     *     with one of the following errors:
+     * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
+     *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted.
+     * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
+     *     stopped.
+     * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
+     *     requests allowance has been exceeded.
+     * @throws {RandomOrgInsufficientBitsError} Thrown when the API key's server
+     *     bits allowance has been exceeded, or the request would exceed a cap
+     *     of the budget.
+     * @throws {RandomOrgBadHTTPResponseError} Thrown when a HTTP 200 OK response
+     *     is not received.
+     * @throws {RandomOrgRANDOMORGError} Thrown when the server returns a RANDOM.ORG
+     *     Error.
+     * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
+     */
+    #dispatch = async (request, { signal = null, batch = null,
+            priority = RandomOrgClient.PRIORITY_NORMAL, tag = null } = {}) => {
+        let charge = this.#budget.charge(request, tag, {
+            bits: this.#keyState.bitsLeft,
+            requests: this.#keyState.requestsLeft
+        });
+
+        let response;
+        try {
+            response = await (batch != null ? batch(request)
+                : this.#schedule(request, signal, priority));
+        } catch (e) {
+            if (charge != null) {
+                this.#budget.release(charge);
+            }
+            throw e;
+        }
+
+        if (charge != null) {
+            this.#budget.settle(charge, response.result.bitsUsed);
+        }
+        return response;
+    }
+
+    /**
+     * Schedules a request to be sent to the server, see #dispatch().
+     * @param {Object} request Request object to send.
+     * @param {?AbortSignal} signal Signal which cancels the request when aborted.
+     * @param {number} [priority=0] Priority of the request in the client's
+     *     request queue.
+     * @returns {Promise<Object>} A Promise which, if resolved successfully,
+     *     represents the response provided by the server.
+     */
+    #schedule = (request, signal, priority = RandomOrgClient.PRIORITY_NORMAL) => {
+        // the response is handled before the next request is started, so
+        // that it obeys the advisory delay of this response
+        return this.#keyState.scheduler.schedule(() => this.#coordinate(async () => {
+            try {
+                let { response, latency } = await this.#post(request, signal);
+                return this.#handleResponse(request, response, latency);
+            } catch (e) {
+                this.#emitError(request, e);
+                throw e;
+            } finally {
+                this.#saveState();
+            }
+        }, signal), { priority: priority, signal: signal });
+    }
+
+    /**
+     * Sends a request of a cache, with background priority so that it does not
+     * delay other requests.
+     * @param {Object} request Request object to send.
+     * @param {?string} [tag=null] Tag of the cache, see setBudget().
+     * @returns {Promise<Object>} A Promise which, if resolved successfully,
+     *     represents the response provided by the server.
+     */
+    #sendCacheRequest = (request, tag = null) => {
+        return this.#sendRequest(request, {
+            priority: RandomOrgClient.PRIORITY_BACKGROUND,
+            tag: tag
+        });
+    }
+
+    /**
+     * Sends the requests queued in a RandomOrgBatch as a single JSON-RPC batch
+     * and settles the Promise of each queued request with its own response.
+     * 
+     * If the server does not accept the batch, the requests are sent
+     * individually instead.
+     * @param {{request: Object, resolve: function(Object), reject: function(Error)}[]}
+     *     entries The queued requests.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the batch when
+     *     aborted.
+     * @returns {Promise<void>} A Promise which is resolved once the Promises of
+     *     all queued requests have been settled.
+     */
+    #sendBatch = async (entries, { signal = null } = {}) => {
+        if (entries.length == 1) {
+            await this.#schedule(entries[0].request, signal)
+                .then(entries[0].resolve, entries[0].reject);
+            return;
+        }
+
+        let accepted;
+        try {
+            accepted = await this.#keyState.scheduler.schedule(() => this.#coordinate(async () => {
+                let responses, latency;
+                try {
+                    ({ response: responses, latency } = await this.#post(
+                        entries.map(entry => entry.request), signal));
+                } catch (e) {
+                    entries.forEach(entry => this.#emitError(entry.request, e));
+                    throw e;
+                }
+                if (!Array.isArray(responses)) {
+                    // the requests sent individually must still obey the
+                    // advisory delay, an error response does not contain one
+                    this.#keyState.advisoryDelay = RandomOrgClient.#DEFAULT_DELAY;
+                    this.#keyState.lastResponseReceivedTime = Date.now();
+                    return false;
+                }
+
+                for (let entry of entries) {
+                    let response = responses.find(r => r.id === entry.request.id);
+                    try {
+                        if (response == null) {
+                            throw new RandomOrgJSONRPCError('Error: no response was returned '
+                                + 'for request ' + entry.request.id + ' of the batch.');
+                        }
+                        entry.resolve(this.#handleResponse(entry.request, response, latency));
+                    } catch (e) {
+                        this.#emitError(entry.request, e);
+                        entry.reject(e);
+                    }
+                }
+                this.#saveState();
+                return true;
+            }, signal), { signal: signal });
+        } catch (e) {
+            entries.forEach(entry => entry.reject(e));
+            return;
+        }
+
+        if (!accepted) {
+            // The server rejected the batch as a whole, send the requests
+            // individually instead.
+            for (let entry of entries) {
+                await this.#schedule(entry.request, signal)
+                    .then(entry.resolve, entry.reject);
+            }
+        }
+    }
+
+    /**
+     * Helper function to get the rate-limit state of an API key, which is
+     * shared by all instances using the key, creating it if necessary.
+     * @param {string} apiKey The API key.
+     * @returns {Object} The state of the API key.
+     */
+    static #keyStateFor = apiKey => {
+        if (!RandomOrgClient.#keyIndexedStates[apiKey]) {
+            RandomOrgClient.#keyIndexedStates[apiKey] = {
+                // serializes outgoing requests
+                scheduler: new RandomOrgScheduler(),
+                // usage statistics from server
+                bitsLeft: -1,
+                requestsLeft: -1,
+                // other values of the last getUsage response, see getCachedUsage()
+                usage: null,
+                // info to obey server advisory delay
+                advisoryDelay: 0,
+                lastResponseReceivedTime: 0,
+                // back-off info, see #startBackoff()
+                backoff: -1,
+                backoffError: '',
+                backoffTimer: null,
+                // store persisting the state, see #useStateStore(), and the
+                // Promise of the state being loaded from it
+                store: null,
+                restoring: null,
+                // coordinator sharing the state with other processes, see
+                // #useCoordinator()
+                coordinator: null,
+                // instances using the key, which are notified of events
+                clients: []
+            };
+        }
+        return RandomOrgClient.#keyIndexedStates[apiKey];
+    }
+
+    /**
+     * Helper function to create caches for integers, see createIntegerCache().
+     */
+    #integerCache = (n, min, max, options, signed = false) => {
+        let cacheSize = options.cacheSize || 20;
+        if (cacheSize < 2) {
+            cacheSize = 2;
+        }
+
+        let request = this.#integerRequest(n, min, max, options, signed);
+        let bulkN = 0;
+        
+        // If possible, make requests more efficient by bulk-ordering from the
+        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
+        // request size if requests can't be fulfilled.
+        if (!('replacement' in options) || options.replacement === true) {
+            bulkN = cacheSize / 2;
+            request.params.n = n * bulkN;
+        }
+
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
+    }
+
+    /**
+     * Helper function to create caches for integer sequences, see
+     * createIntegerSequenceCache().
+     */
+    #integerSequenceCache = (n, length, min, max, options, signed = false) => {
+        let cacheSize = options.cacheSize || 20;
+        if (cacheSize < 2) {
+            cacheSize = 2;
+        }
+
+        // If possible, make requests more efficient by bulk-ordering from the
+        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
+        // request size if requests can't be fulfilled.
+        let bulkN = 0;
+
+        // if replacement is an array, check if all values are set to true
+        let repl;
+        if (options.replacement && Array.isArray(options.replacement)) {
+            repl = options.replacement.every(x => x === true);
+        } else {
+            repl = options.replacement || true;
+        }
+
+        // if bulk requests can be used, make adjustments to array-type parameters
+        if (repl) {
+            bulkN = cacheSize / 2;
+            
+            if (Array.isArray(length)) {
+                length = this.#adjust(length, bulkN);
+            }
+
+            if (Array.isArray(min)) {
+                min = this.#adjust(min, bulkN);
+            }
+
+            if (Array.isArray(max)) {
+                max = this.#adjust(max, bulkN);
+            }
+
+            if (options.replacement && Array.isArray(options.replacement)) {
+                options.replacement = this.#adjust(options.replacement, bulkN);
+            }
+
+            if (options.base && Array.isArray(options.base)) {
+                options.base = this.#adjust(options.base, bulkN);
+            }
+        }
+
+        // the array-type parameters already have bulkN * n values
+        let request = this.#integerSequenceRequest(repl ? bulkN * n : n, length, min, max,
+            options, signed);
+
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
+    }
+
+    /**
+     * Helper function to create caches for decimal fractions, see
+     * createDecimalFractionCache().
+     */
+    #decimalFractionCache = (n, decimalPlaces, options, signed = false) => {
+        let cacheSize = options.cacheSize || 20;
+        if (cacheSize < 2) {
+            cacheSize = 2;
+        }
+
+        let request = this.#decimalFractionRequest(n, decimalPlaces, options, signed);
+
+        let bulkN = 0;
+        
+        // If possible, make requests more efficient by bulk-ordering from the
+        // server. Initially set at cacheSize/2, but cache will auto-shrink bulk
+        // request size if requests can't be fulfilled.
+        if (!('replacement' in options) || options.replacement === true) {
+            bulkN = cacheSize / 2;
+            request.params.n = n * bulkN;
+        }
+
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
+    }
+
+    /**
+     * Helper function to create caches for Gaussians, see createGaussianCache().
+     */
+    #gaussianCache = (n, mean, standardDeviation, significantDigits, options, signed = false) => {
+        let cacheSize = options.cacheSize || 20;
+        if (cacheSize < 2) {
+            cacheSize = 2;
+        }
+
+        // make requests more efficient by bulk-ordering from the server.
+        // Initially set at cacheSize/2, but cache will auto-shrink bulk request
+        // size if requests can't be fulfilled.
+        let bulkN = cacheSize / 2;
+        let request = this.#gaussianRequest(n * bulkN, mean, standardDeviation,
+            significantDigits, options, signed);
+
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
+    }
+
+    /**
+     * Helper function to create caches for strings, see createStringCache().
+     */
+    #stringCache = (n, length, characters, options, signed = false) => {
+        let cacheSize = options.cacheSize || 20;
+        if (cacheSize < 2) {
+            cacheSize = 2;
+        }
+
+        let request = this.#stringRequest(n, length, characters, options, signed);
+        
+        // If possible, make requests more efficient by bulk-ordering from the
+        // server. Initially set at cache_size/2, but cache will auto-shrink bulk
+        // request size if requests can't be fulfilled.
         let bulkN = 0;
         if (!('replacement' in options) || options.replacement === true) {
             bulkN = cacheSize / 2;
             request.params.n = n * bulkN;
         }
         
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN,
-            n, maxRequestSize);
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
     }
 
     /**
-     * Gets a RandomOrgCache to obtain UUIDs.
-     * 
-     * The RandomOrgCache can be polled for new results conforming to the output
-     * format of the input request.
-     * @param {number} n How many random UUIDs you need. Must be within the
-     *     [1,1e3] range.
-     * @param {{cacheSize?: number}} options An object which may contain the following
-     *     optional parameter:
-     * @param {number} [options.cacheSize=10] The number of result-sets for the cache
-     *     to try to maintain at any given time (default 10, minimum 2).
-     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
-     *     can be polled for arrays of true random UUIDs.
+     * Helper function to create caches for UUIDs, see createUUIDCache().
      */
-    createUUIDCache(n, options = {}) {
+    #UUIDCache = (n, options, signed = false) => {
         let cacheSize = options.cacheSize || 10;
         if (cacheSize < 2) {
             cacheSize = 2;
         }
 
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = n * RandomOrgClient.UUID_SIZE;
-
         // make requests more efficient by bulk-ordering from the server. Initially
         // set at cacheSize/2, but cache will auto-shrink bulk request size if
         // requests can't be fulfilled.
         let bulkN = cacheSize / 2;
-        let request = this.#UUIDRequest(n * bulkN);
+        let request = this.#UUIDRequest(n * bulkN, options, signed);
 
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN,
-            n, maxRequestSize);
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
     }
 
     /**
-     * Gets a RandomOrgCache to obtain random blobs.
-     * 
-     * The RandomOrgCache can be polled for new results conforming to the output
-     * format of the input request.
-     * @param {number} n How many random blobs you need. n*(cacheSize/2) must be
-     *     within the [1,100] range.
-     * @param {number} size The size of each blob, measured in bits. Must be
-     *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, cacheSize?: number}} options An object which may
-     *     contain any of the following optional parameters:
-     * @param {string} [options.format=base64] Specifies the format in which the
-     *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
-     *     'base64').
-     * @param {number} [options.cacheSize=10] The number of result-sets for the cache
-     *     to try to maintain at any given time (default 10, minimum 2).
-     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
-     *     can be polled for arrays of true random blobs as strings.
-     * @see {@link RandomOrgClient#BLOB_FORMAT_BASE64} for 'base64' (default).
-     * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
+     * Helper function to create caches for blobs, see createBlobCache().
      */
-    createBlobCache(n, size, options = {}) {
+    #blobCache = (n, size, options, signed = false) => {
         let cacheSize = options.cacheSize || 10;
         if (cacheSize < 2) {
             cacheSize = 2;
         }
 
-        // max single request size, in bits, for adjusting bulk requests later
-        let maxRequestSize = n * size;
-
         // make requests more efficient by bulk-ordering from the server. Initially
         // set at cacheSize/2, but cache will auto-shrink bulk request size if
         // requests can't be fulfilled.
         let bulkN = cacheSize / 2;
-        let request = this.#blobRequest(n * bulkN, size, options);
+        let request = this.#blobRequest(n * bulkN, size, options, signed);
+
+        return this.#createCache(request, cacheSize, bulkN, n, options, signed);
+    }
+
+    /** Helper function to create a cache which is stopped when this instance is disposed. */
+    #createCache = (request, cacheSize, bulkRequestNumber, requestNumber, options = {},
+            signed = false) => {
+        if (signed) {
+            // a ticket can only be used by a single request
+            request.params.ticketId = null;
+        }
 
-        return new RandomOrgCache(this.#sendRequest.bind(this), request, cacheSize, bulkN,
-            n, maxRequestSize);
+        // bits used by a single result-set, for adjusting bulk requests later.
+        // The array-type parameters of multiform sequences start with the
+        // values of the first result-set.
+        let singleRequestSize = RandomOrgBitEstimator.estimate(request.method,
+            Object.assign({}, request.params, { n: requestNumber }));
+
+        let cache = new RandomOrgCache(request => this.#sendCacheRequest(request, options.tag),
+            request, cacheSize, bulkRequestNumber, requestNumber, singleRequestSize,
+            { onError: options.onError, signed: signed, order: options.order });
+        this.#caches.push(cache);
+        return cache;
     }
 
     /**
-     * Core send request function.
-     * @param {Object} request Request object to send.
-     * @returns {Promise<Object>} A Promise which, if resolved successfully,
-     *     represents the response provided by the server. Else, it may be rejected
-     *     with one of the following errors:
-     * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
-     *     before the request can be sent.
-     * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
-     *     stopped.
-     * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
-     *     requests allowance has been exceeded.
-     * @throws {RandomOrgInsufficientBitsError} Thrown when the API key's server
-     *     bits allowance has been exceeded.
-     * @throws {RandomOrgBadHTTPResponseError} Thrown when a HTTP 200 OK response
-     *     is not received.
-     * @throws {RandomOrgRANDOMORGError} Thrown when the server returns a RANDOM.ORG
-     *     Error.
-     * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
+     * Helper function to back off until the next midnight UTC, after the
+     * server reported that the API key's requests allowance is exceeded. The
+     * back-off applies to all instances using the API key.
+     * @param {string} message The message of the error thrown for requests
+     *     made during the back-off.
+     * @param {number} [until] The end of the back-off in milliseconds since
+     *     the epoch, when restoring a saved back-off (default: the next
+     *     midnight UTC).
+     */
+    #startBackoff = (message, until = new Date().setUTCHours(24, 0, 0, 0)) => {
+        // by default, setUTCHours() rolls 24:00 over to midnight of the
+        // following day
+        let state = this.#keyState;
+        let started = state.backoff == -1;
+
+        state.backoff = until;
+        state.backoffError = message;
+
+        if (started) {
+            // end the back-off on time even if no further requests are made,
+            // without keeping a NodeJS process alive just for this
+            clearTimeout(state.backoffTimer);
+            state.backoffTimer = setTimeout(this.#endBackoff, until - Date.now());
+            if (state.backoffTimer.unref) {
+                state.backoffTimer.unref();
+            }
+
+            this.#emitToKey('backoffStart', {
+                until: new Date(until),
+                error: new RandomOrgInsufficientRequestsError(message)
+            });
+        }
+    }
+
+    /** Helper function to clear the back-off once it is over. */
+    #endBackoff = () => {
+        let state = this.#keyState;
+        if (state.backoff == -1) {
+            return;
+        }
+
+        clearTimeout(state.backoffTimer);
+        state.backoffTimer = null;
+        state.backoff = -1;
+        state.backoffError = '';
+
+        this.#emitToKey('backoffEnd', {});
+    }
+
+    /**
+     * Helper function to persist the rate-limit state of the API key with a
+     * state store, restoring the state saved in it.
+     * @param {Object} store The state store, see RandomOrgStateStores.
+     * @throws {TypeError} Thrown when the store does not implement load() and
+     *     save().
+     */
+    #useStateStore = store => {
+        if (typeof store.load !== 'function' || typeof store.save !== 'function') {
+            throw new TypeError('A state store must implement load() and save().');
+        }
+
+        let state = this.#keyState;
+        state.store = store;
+
+        let reportError = e => this.#emitStateError('load', e);
+        try {
+            let saved = store.load(this.#apiKey);
+            if (saved != null && typeof saved.then === 'function') {
+                state.restoring = saved.then(this.#restoreState, reportError)
+                    .finally(() => state.restoring = null);
+            } else {
+                this.#restoreState(saved);
+            }
+        } catch (e) {
+            // the client is being constructed, listeners can only be
+            // registered once it has been returned
+            Promise.resolve(e).then(reportError);
+        }
+    }
+
+    /**
+     * Helper function to restore the rate-limit state saved by #saveState().
+     * The advisory delay and usage are only restored if they are more recent
+     * than those known to the client, and the usage only if it was received
+     * today, before the allowance was reset at midnight UTC. A back-off is
+     * restored if it is not over yet.
+     * @param {?Object} saved The saved state, or null if none was saved.
+     */
+    #restoreState = saved => {
+        let state = this.#keyState;
+        if (saved == null) {
+            return;
+        }
+
+        if (saved.lastResponseReceivedTime > state.lastResponseReceivedTime) {
+            state.advisoryDelay = saved.advisoryDelay;
+            state.lastResponseReceivedTime = saved.lastResponseReceivedTime;
+
+            let day = time => new Date(time).toISOString().slice(0, 10);
+            if (day(saved.lastResponseReceivedTime) == day(Date.now())) {
+                state.bitsLeft = saved.bitsLeft;
+                state.requestsLeft = saved.requestsLeft;
+                state.usage = saved.usage;
+                this.#emitToKey('usageUpdated', this.getCachedUsage());
+            }
+        }
+
+        if (saved.backoff > Date.now() && state.backoff == -1) {
+            this.#startBackoff(saved.backoffError, saved.backoff);
+        }
+    }
+
+    /**
+     * Helper function to save the rate-limit state of the API key in its
+     * state store, if any. Errors of the store are reported with a stateError
+     * event.
+     */
+    #saveState = () => {
+        let state = this.#keyState;
+        if (state.store == null) {
+            return;
+        }
+
+        let reportError = e => this.#emitStateError('save', e);
+        try {
+            Promise.resolve(state.store.save(this.#apiKey, this.#stateSnapshot()))
+                .catch(reportError);
+        } catch (e) {
+            reportError(e);
+        }
+    }
+
+    /** Helper function to get the rate-limit state of the API key to persist or share. */
+    #stateSnapshot = () => {
+        let state = this.#keyState;
+        return {
+            advisoryDelay: state.advisoryDelay,
+            lastResponseReceivedTime: state.lastResponseReceivedTime,
+            backoff: state.backoff,
+            backoffError: state.backoffError,
+            bitsLeft: state.bitsLeft,
+            requestsLeft: state.requestsLeft,
+            usage: state.usage
+        };
+    }
+
+    /**
+     * Helper function to share the rate-limit state of the API key with other
+     * processes through a coordinator.
+     * @param {Object} coordinator The coordinator, see RandomOrgFileCoordinator.
+     * @throws {TypeError} Thrown when the coordinator does not implement
+     *     acquire() and release().
+     */
+    #useCoordinator = coordinator => {
+        if (typeof coordinator.acquire !== 'function'
+                || typeof coordinator.release !== 'function') {
+            throw new TypeError('A coordinator must implement acquire() and release().');
+        }
+        this.#keyState.coordinator = coordinator;
+    }
+
+    /**
+     * Helper function to run a task sending a request while this process has
+     * exclusive access to the API key, if a coordinator is used. The state
+     * shared by the other processes is restored before the task is run, and
+     * the state after the task is shared with them. Errors releasing the
+     * access are reported with a stateError event.
+     * @param {function(): Promise<*>} task The task.
+     * @param {?AbortSignal} signal Signal which cancels waiting for access.
+     * @returns {Promise<*>} A Promise which represents the result of the task.
+     */
+    #coordinate = async (task, signal) => {
+        let coordinator = this.#keyState.coordinator;
+        if (coordinator == null) {
+            return task();
+        }
+
+        this.#restoreState(await coordinator.acquire(this.#apiKey, signal));
+        try {
+            return await task();
+        } finally {
+            try {
+                await coordinator.release(this.#apiKey, this.#stateSnapshot());
+            } catch (e) {
+                this.#emitStateError('release', e);
+            }
+        }
+    }
+
+    /**
+     * Helper function to post a request, or an array of requests, to the
+     * server, retrying according to the retry policy.
+     * @param {(Object|Object[])} body The request(s) to send.
+     * @param {AbortSignal} signal Signal which cancels the request, may be null.
+     * @returns {Promise<{response: (Object|Object[]), latency: number}>} A
+     *     Promise which, if resolved successfully, represents the parsed
+     *     response body and the time in milliseconds the server took to
+     *     respond.
      */
-    #sendRequest = async function (request) {
+    #post = async (body, signal) => {
+        throwIfAborted(signal);
+
+        if (this.#disposed) {
+            throw new Error('This RandomOrgClient has been disposed, please create '
+                + 'a new instance.');
+        }
+
+        // obey the advisory delay and back-off of the saved state
+        if (this.#keyState.restoring != null) {
+            await this.#keyState.restoring;
+        }
+
         // If a back-off is set, no more requests can be issued until the required 
         // back-off time is up.
-        if (this.#backoff != -1) {            
+        if (this.#keyState.backoff != -1) {            
             // Time not yet up, throw error.
-            if (Date.now() < this.#backoff) {
-                throw new RandomOrgInsufficientRequestsError(this.#backoffError);
+            if (Date.now() < this.#keyState.backoff) {
+                throw new RandomOrgInsufficientRequestsError(this.#keyState.backoffError);
             // Time is up, clear back-off.
             } else {
-                this.#backoff = -1;
-                this.#backoffError = null;
+                this.#endBackoff();
             }
         }
 
-        let wait = this.#advisoryDelay - (Date.now() - this.#lastResponseReceivedTime);
-
-        if (this.#blockingTimeout != -1 && wait > this.#blockingTimeout) {
-            throw new RandomOrgSendTimeoutError('The server advisory delay of ' 
-                + wait + 'millis is greater than the defined maximum allowed '
-                + 'blocking time of ' + this.#blockingTimeout + 'millis.');
-        }
-
-        if (wait > 0) { await new Promise(r => setTimeout(r, wait)); }
+        let httpResponse = null;
+        let latency = 0;
+        for (let attempt = 1; httpResponse == null; attempt++) {
+            await this.#waitForAdvisoryDelay(signal);
 
-        let httpTimeout = this.#httpTimeout;
+            [].concat(body).forEach(request => this.#events.emit('request', {
+                id: request.id,
+                method: request.method,
+                attempt: attempt
+            }));
+            let sent = Date.now();
 
-        return new Promise(function(resolve) {
-            let xhr = new XMLHttpRequest();
-            xhr.open('POST', 'https://api.random.org/json-rpc/4/invoke');
-            xhr.setRequestHeader('Content-Type', 'application/json');
-            xhr.ontimeout = function() {
-                throw new RandomOrgSendTimeoutError('The maximum '
-                    + 'allowed blocking time of ' + httpTimeout + 'millis has '
-                    + 'been exceeded while waiting for the server to respond.');
-            };
-            xhr.onload = function() {
-                if (this.status >= 200 && this.status < 300) {
-                    resolve(xhr.responseText);
-                } else {
-                    throw new RandomOrgBadHTTPResponseError('Error: '
-                        + xhr.status);
-               }
-            };
-            xhr.onerror = function(e) {
-                // undocumented error.
-                if (e instanceof Error) {
-                    throw e;
-                } else {
-                    console.info('** An error occurred during the transaction.');
-                    throw new Error(xhr.responseText);
+            try {
+                // custom transports may ignore the signal, so stop waiting for them
+                httpResponse = await abortable(this.#transport(this.#endpoint,
+                    JSON.stringify(body), { timeout: this.#httpTimeout, signal: signal }),
+                    signal);
+                latency = Date.now() - sent;
+
+                if (httpResponse.status < 200 || httpResponse.status >= 300) {
+                    throw new RandomOrgBadHTTPResponseError('Error: ' + httpResponse.status,
+                        httpResponse.status);
                 }
-            };
-            xhr.timeout = httpTimeout;
-            xhr.send(JSON.stringify(request));
-        })
-        .then(response => {
-            // parse response to get an object
-            response = JSON.parse(response);
-
-            // check for errors
-            if (response.error) {
-                let code = response.error.code;
-                let message = response.error.message;
-                let data = response.error.data;
-
-                if (code == 401) {
-                    throw new RandomOrgKeyNotRunningError('Error '
-                        + code + ': ' + message);
-                } else if (code == 402) {
-                    let midnightUTC = new Date().setUTCHours(0,0,0,0);
-                    this.#backoff = +midnightUTC;
-                    this.#backoffError = 'Error ' + code + ': ' + message;
-
-                    this.#requestsLeft = data[1];
-
-                    throw new RandomOrgInsufficientRequestsError(this.#backoffError);
-                } else if (code == 403) {
-                    this.#bitsLeft = data[1];
-                    throw new RandomOrgInsufficientBitsError('Error'
-                        + code + ': ' + message, this.#bitsLeft);
-                } else if (RandomOrgClient.#ERROR_CODES.includes(code)) {
-                    // RandomOrgRANDOMORGError from RANDOM.ORG Errors: 
-                    // https://api.random.org/json-rpc/4/error-codes
-                    throw new RandomOrgRANDOMORGError('Error '
-                        + code + ': ' + message, code);
-                } else {
-                    // RandomOrgJSONRPCError from JSON-RPC Errors: 
-                    // https://api.random.org/json-rpc/4/error-codes
-                    throw new RandomOrgJSONRPCError('Error '
-                        + code + ': ' + message);
+            } catch (e) {
+                httpResponse = null;
+                if (attempt >= this.#retryPolicy.maxAttempts
+                        || ![].concat(body).every(request => this.#isRetryable(request, e))) {
+                    throw e;
                 }
+                await sleep(this.#retryDelay(attempt), signal);
             }
+        }
+
+        // parse response to get an object
+        return { response: JSON.parse(httpResponse.body), latency: latency };
+    }
 
-            // Methods which do not update fields such as requestsLeft, bitsLeft or
-            // advisoryDelay.
-            let independent_methods = [
-                RandomOrgClient.#VERIFY_SIGNATURE_METHOD,
-                RandomOrgClient.#GET_RESULT_METHOD,
-                RandomOrgClient.#CREATE_TICKET_METHOD,
-                RandomOrgClient.#LIST_TICKET_METHOD,
-                RandomOrgClient.#GET_TICKET_METHOD
-            ];
-
-            // Update information
-            if (!independent_methods.includes(request.method)) {
-                this.#requestsLeft = response.result.requestsLeft;
-                this.#bitsLeft = response.result.bitsLeft;
-                if (response.result.advisoryDelay) {
-                    this.#advisoryDelay = response.result.advisoryDelay;
-                } else {
-                    // Use default if none from server.
-                    this.#advisoryDelay = RandomOrgClient.#DEFAULT_DELAY;
+    /**
+     * Helper function to check a response for errors and update the usage
+     * information of the client.
+     * @param {Object} request The request the response belongs to.
+     * @param {Object} response The response returned by the server.
+     * @param {number} latency The time in milliseconds the server took to
+     *     respond, reported in the 'response' event.
+     * @returns {Object} The response.
+     */
+    #handleResponse = (request, response, latency) => {
+        // check for errors
+        if (response.error) {
+            let code = response.error.code;
+            let message = response.error.message;
+            let data = response.error.data;
+
+            if (code == 401) {
+                let error = new RandomOrgKeyNotRunningError('Error '
+                    + code + ': ' + message);
+                if (this.#keyState.usage != null) {
+                    this.#keyState.usage.status = 'stopped';
+                    this.#emitToKey('usageUpdated', this.getCachedUsage());
                 }
+                this.#emitToKey('keyNotRunning', { error: error });
+                throw error;
+            } else if (code == 402) {
+                this.#keyState.requestsLeft = data[1];
+                this.#emitToKey('usageUpdated', this.getCachedUsage());
+                this.#startBackoff('Error ' + code + ': ' + message);
+
+                throw new RandomOrgInsufficientRequestsError(this.#keyState.backoffError);
+            } else if (code == 403) {
+                this.#keyState.bitsLeft = data[1];
+                this.#emitToKey('usageUpdated', this.getCachedUsage());
+                throw new RandomOrgInsufficientBitsError('Error'
+                    + code + ': ' + message, this.#keyState.bitsLeft);
+            } else if (RandomOrgClient.#ERROR_CODES.includes(code)) {
+                // RandomOrgRANDOMORGError from RANDOM.ORG Errors: 
+                // https://api.random.org/json-rpc/4/error-codes
+                throw new RandomOrgRANDOMORGError('Error '
+                    + code + ': ' + message, code);
+            } else {
+                // RandomOrgJSONRPCError from JSON-RPC Errors: 
+                // https://api.random.org/json-rpc/4/error-codes
+                throw new RandomOrgJSONRPCError('Error '
+                    + code + ': ' + message);
+            }
+        }
+
+        // Methods which do not update fields such as requestsLeft, bitsLeft or
+        // advisoryDelay.
+        let independent_methods = [
+            RandomOrgClient.#VERIFY_SIGNATURE_METHOD,
+            RandomOrgClient.#GET_RESULT_METHOD,
+            RandomOrgClient.#CREATE_TICKET_METHOD,
+            RandomOrgClient.#LIST_TICKET_METHOD,
+            RandomOrgClient.#GET_TICKET_METHOD
+        ];
+
+        // Update information
+        if (!independent_methods.includes(request.method)) {
+            this.#keyState.requestsLeft = response.result.requestsLeft;
+            this.#keyState.bitsLeft = response.result.bitsLeft;
+            if (request.method == RandomOrgClient.#GET_USAGE_METHOD) {
+                this.#keyState.usage = {
+                    status: response.result.status,
+                    creationTime: response.result.creationTime,
+                    totalBits: response.result.totalBits,
+                    totalRequests: response.result.totalRequests
+                };
+            } else if (this.#keyState.usage != null && response.result.bitsUsed != null) {
+                // keep the totals of the last getUsage request up to date
+                this.#keyState.usage.totalBits += response.result.bitsUsed;
+                this.#keyState.usage.totalRequests++;
+            }
+            this.#emitToKey('usageUpdated', this.getCachedUsage());
+            if (response.result.advisoryDelay) {
+                this.#keyState.advisoryDelay = response.result.advisoryDelay;
             } else {
-                // Use default advisoryDelay.
-                this.#advisoryDelay = RandomOrgClient.#DEFAULT_DELAY;
+                // Use default if none from server.
+                this.#keyState.advisoryDelay = RandomOrgClient.#DEFAULT_DELAY;
             }
-            this.#lastResponseReceivedTime = Date.now();
-             
-            return response;
+        } else {
+            // Use default advisoryDelay.
+            this.#keyState.advisoryDelay = RandomOrgClient.#DEFAULT_DELAY;
+        }
+        this.#keyState.lastResponseReceivedTime = Date.now();
+
+        this.#events.emit('response', {
+            id: request.id,
+            method: request.method,
+            latency: latency,
+            bitsUsed: response.result.bitsUsed,
+            bitsLeft: response.result.bitsLeft,
+            requestsLeft: response.result.requestsLeft
+        });
+
+        return response;
+    }
+
+    /** Helper function to emit an 'error' event for a failed request. */
+    #emitError = (request, error) => {
+        this.#events.emit('error', {
+            id: request.id,
+            method: request.method,
+            error: error
         });
     }
 
+    /**
+     * Helper function to report an error of the state store or coordinator on
+     * all instances using the API key.
+     * @param {string} action The failed action: 'load', 'save' or 'release'.
+     * @param {Error} error The error.
+     */
+    #emitStateError = (action, error) => {
+        this.#emitToKey('stateError', { action: action, error: error });
+    }
+
+    /**
+     * Helper function to emit an event concerning the API key on all instances
+     * using the key.
+     * @param {string} event The name of the event.
+     * @param {Object} data The event's data.
+     */
+    #emitToKey = (event, data) => {
+        this.#keyState.clients.forEach(client => client.#events.emit(event, data));
+    }
+
+    /**
+     * Helper function to wait until the server's advisory delay since the last
+     * response has passed.
+     * @param {AbortSignal} signal Signal which cancels the wait, may be null.
+     * @throws {RandomOrgSendTimeoutError} Thrown when the advisory delay is
+     *     greater than the blocking timeout.
+     */
+    #waitForAdvisoryDelay = async signal => {
+        let wait = this.#keyState.advisoryDelay - (Date.now() - this.#keyState.lastResponseReceivedTime);
+
+        if (this.#blockingTimeout != -1 && wait > this.#blockingTimeout) {
+            throw new RandomOrgSendTimeoutError('The server advisory delay of ' 
+                + wait + 'millis is greater than the defined maximum allowed '
+                + 'blocking time of ' + this.#blockingTimeout + 'millis.');
+        }
+
+        if (wait > 0) {
+            this.#events.emit('advisoryDelay', { delay: wait });
+            await sleep(wait, signal);
+        }
+    }
+
+    /**
+     * Helper function to determine whether a request which failed with the
+     * supplied error should be sent again, according to the retry policy.
+     * @param {Object} request The request which failed.
+     * @param {Error} error The error thrown when sending the request.
+     * @returns {boolean} True if the request should be retried.
+     */
+    #isRetryable = (request, error) => {
+        let policy = this.#retryPolicy;
+
+        if (error instanceof RandomOrgAbortError) {
+            return false;
+        }
+
+        // Repeating these requests could create tickets twice or fail because
+        // the ticket has already been used by the first attempt.
+        let nonIdempotent = request.method == RandomOrgClient.#CREATE_TICKET_METHOD
+            || (request.params != null && request.params.ticketId != null);
+        if (nonIdempotent && !policy.retryNonIdempotent) {
+            return false;
+        }
+
+        if (error instanceof RandomOrgBadHTTPResponseError) {
+            return policy.retryableStatusCodes.includes(error.getStatus());
+        }
+        if (policy.retryableErrors.some(errorClass => error instanceof errorClass)) {
+            return true;
+        }
+
+        // any other error thrown by the transport, e.g. a refused connection
+        return policy.retryNetworkErrors && !(error instanceof RandomOrgSendTimeoutError);
+    }
+
+    /**
+     * Helper function to calculate the delay before the next attempt: an
+     * exponential backoff, reduced by a random jitter.
+     * @param {number} attempt The number of the attempt which failed.
+     * @returns {number} The delay in milliseconds.
+     */
+    #retryDelay = attempt => {
+        let policy = this.#retryPolicy;
+        let delay = Math.min(policy.maxDelay,
+            policy.initialDelay * Math.pow(policy.multiplier, attempt - 1));
+        return delay * (1 - policy.jitter * Math.random());
+    }
+
     /**
      * Issues a getUsage request and returns the information on the usage
      * of the API key associated with this client, as it is returned by the
      * server. Can also be used to update bits and requests left.
+     * @param {{signal?: AbortSignal}} options The options of the public method
+     *     this is called from.
      * @returns {Promise} A Promise, which if resolved successfully, represents
      *     the result field as returned by the server.
      */
-    #getUsage = async () => {
+    #getUsage = async (options = {}) => {
         let request = this.#generateKeyedRequest(RandomOrgClient.#GET_USAGE_METHOD, {});
-        return this.#extractResult(this.#sendRequest(request));
+        return this.#extractResult(this.#sendRequest(request, options));
     }
 
     /**
@@ -1965,12 +3758,16 @@ module.exports = class RandomOrgClient {
     }
 
     /**
-     * Adds generic request parameters and API key to custom request.
+     * Adds generic request parameters and API key to custom request, after
+     * validating the parameters unless validation is disabled.
      * @param {string} method Method to send request to.
      * @param {Object} params Custom parameters to generate request around.
      * @returns {Object} Fleshed out request object.
      */
     #generateKeyedRequest = (method, params) => {
+        if (this.#validation) {
+            RandomOrgValidator.validate(method, params);
+        }
         params['apiKey'] = this.#apiKey;
         return this.#generateRequest(method, params);
     }
@@ -2187,38 +3984,6 @@ module.exports = class RandomOrgClient {
         return Array.from({ length: n }, () => original).flat();
     }
 
-    /**
-     * Helper function for creating an integer sequence cache.
-     * @param {(number|number[])} a An array of integers (or a single value).
-     * @returns {number} Largest value in the array (or a, unchanged, if it
-     *     is not an array).
-     */
-    #maxValue = a => {
-        if (Array.isArray(a)) {
-            return a.reduce(function(x, y) {
-                return Math.max(x, y);
-            });
-        } else {
-            return a;
-        }
-    }
-
-    /**
-     * Helper function for creating an integer sequence cache.
-     * @param {(number|number[])} a An array of integers (or a single value).
-     * @returns {number} Smallest value in the array (or a, unchanged, if it
-     *     is not an array).
-     */
-    #minValue = a => {
-        if (Array.isArray(a)) {
-            return a.reduce(function(x, y) {
-                return Math.min(x, y);
-            });
-        } else {
-            return a;
-        }
-    }
-
     /** Helper function to make a string URL-safe (base64 and percent-encoding) */
     #formatUrl = s => {
         let pattern = /^([0-9a-zA-Z+/]{4})*(([0-9a-zA-Z+/]{2}==)|([0-9a-zA-Z+/]{3}=))?$/;
@@ -2248,7 +4013,16 @@ module.exports = class RandomOrgClient {
 
     /** Helper function to create a HTML input tag */
     #inputHTML = (type, name, value) => {
-        return '<input type=\'' + type + '\' name=\'' + name + '\' value=\'' + value + '\' />';
+        return '<input type=\'' + type + '\' name=\'' + name + '\' value=\''
+            + this.#escapeAttribute(value) + '\' />';
+    }
+
+    /**
+     * Helper function to escape a value for an HTML attribute delimited by
+     * single quotes, e.g. a random object with apostrophes in its userData.
+     */
+    #escapeAttribute = value => {
+        return String(value).replace(/&/g, '&amp;').replace(/'/g, '&#39;');
     }
 
     /** Helper function to generate UUIDs to be used as "id" in requests to the server. */
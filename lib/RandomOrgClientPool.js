@@ -0,0 +1,481 @@
+'use strict';
+
+const {
+    RandomOrgAbortError,
+    RandomOrgInsufficientBitsError,
+    RandomOrgInsufficientRequestsError,
+    RandomOrgKeyNotRunningError
+} = require('./RandomOrgErrors.js');
+const RandomOrgClient = require('./RandomOrgClient.js');
+
+/**
+ * Pool of RandomOrgClient instances for several API keys, which spreads calls
+ * across the keys.
+ *
+ * Each call is routed to the key with the most bits left, and among keys with
+ * the same number of bits, the most requests left, as reported by the clients'
+ * getBitsLeft() and getRequestsLeft() methods. Keys which are backed off
+ * because their requests allowance is exceeded, or which have no requests
+ * left, are skipped. Keys which are reported as stopped are skipped for the
+ * lifetime of the pool, and keys whose usage cannot be looked up are skipped
+ * for the call. If a call fails with a RandomOrgInsufficientBitsError,
+ * RandomOrgInsufficientRequestsError or RandomOrgKeyNotRunningError, it is
+ * sent again using the next key, and the error of the last key is thrown if
+ * all keys fail. If no key can be used at all, the call fails with a
+ * RandomOrgInsufficientRequestsError, or a RandomOrgKeyNotRunningError if all
+ * keys are stopped.
+ *
+ * Signed values, serial numbers and tickets belong to the key which created
+ * them. Signed calls using a ticketId are sent with the key which created the
+ * ticket through this pool, and getApiKey() returns the key a signed response
+ * was created with. getResult() and listTickets() must be given the key in
+ * options.apiKey. All methods accept options.apiKey to send a call with a
+ * specific key, in which case it is not sent again using other keys.
+ *
+ *     let pool = new RandomOrgClientPool([ 'API_KEY_1', 'API_KEY_2' ]);
+ *     let integers = await pool.generateIntegers(5, 0, 10);
+ */
+module.exports = class RandomOrgClientPool {
+    // clients of the pool, indexed by API key
+    #clients = {};
+    // API keys which have been reported as stopped
+    #stopped = new Set();
+    // API keys indexed by the IDs of the tickets created through this pool
+    #ticketKeys = {};
+    // API keys indexed by the hashedApiKey of the signed values they created
+    #hashedKeys = {};
+
+    /**
+     * Constructor. Creates a separate RandomOrgClient for each API key, see
+     * {@link RandomOrgClient.create}.
+     * @param {string[]} apiKeys The API keys of the pool, obtained from
+     *     RANDOM.ORG, see https://api.random.org/api-keys
+     * @param {Object} options The options of the clients, see the constructor
+     *     of RandomOrgClient.
+     * @throws {TypeError} Thrown when no API keys are supplied.
+     */
+    constructor(apiKeys, options = {}) {
+        if (!Array.isArray(apiKeys) || apiKeys.length == 0) {
+            throw new TypeError('RandomOrgClientPool requires at least one API key.');
+        }
+
+        for (let apiKey of apiKeys) {
+            if (!this.#clients[apiKey]) {
+                this.#clients[apiKey] = RandomOrgClient.create(apiKey, options);
+            }
+        }
+    }
+
+    /**
+     * Routes a generateIntegers request.
+     * See {@link RandomOrgClient#generateIntegers} for the parameters.
+     * @returns {(Promise<number[]>|Promise<string[]>)} A Promise for the result.
+     */
+    generateIntegers(n, min, max, options = {}) {
+        return this.#route(client => client.generateIntegers(n, min, max, options), options);
+    }
+
+    /**
+     * Routes a generateIntegerSequences request.
+     * See {@link RandomOrgClient#generateIntegerSequences} for the parameters.
+     * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise for the result.
+     */
+    generateIntegerSequences(n, length, min, max, options = {}) {
+        return this.#route(client => client.generateIntegerSequences(n, length, min, max,
+            options), options);
+    }
+
+    /**
+     * Routes a generateDecimalFractions request.
+     * See {@link RandomOrgClient#generateDecimalFractions} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateDecimalFractions(n, decimalPlaces, options = {}) {
+        return this.#route(client => client.generateDecimalFractions(n, decimalPlaces,
+            options), options);
+    }
+
+    /**
+     * Routes a generateGaussians request.
+     * See {@link RandomOrgClient#generateGaussians} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
+        return this.#route(client => client.generateGaussians(n, mean, standardDeviation,
+            significantDigits, options), options);
+    }
+
+    /**
+     * Routes a generateStrings request.
+     * See {@link RandomOrgClient#generateStrings} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateStrings(n, length, characters, options = {}) {
+        return this.#route(client => client.generateStrings(n, length, characters, options),
+            options);
+    }
+
+    /**
+     * Routes a generateUUIDs request.
+     * See {@link RandomOrgClient#generateUUIDs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateUUIDs(n, options = {}) {
+        return this.#route(client => client.generateUUIDs(n, options), options);
+    }
+
+    /**
+     * Routes a generateBlobs request.
+     * See {@link RandomOrgClient#generateBlobs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateBlobs(n, size, options = {}) {
+        return this.#route(client => client.generateBlobs(n, size, options), options);
+    }
+
+    /**
+     * Routes a generateSignedIntegers request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedIntegers} for the parameters.
+     * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegers(n, min, max, options = {}) {
+        return this.#route(client => client.generateSignedIntegers(n, min, max, options),
+            options);
+    }
+
+    /**
+     * Routes a generateSignedIntegerSequences request. A request using a
+     * ticketId is sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedIntegerSequences} for the parameters.
+     * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegerSequences(n, length, min, max, options = {}) {
+        return this.#route(client => client.generateSignedIntegerSequences(n, length, min, max,
+            options), options);
+    }
+
+    /**
+     * Routes a generateSignedDecimalFractions request. A request using a
+     * ticketId is sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedDecimalFractions} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedDecimalFractions(n, decimalPlaces, options = {}) {
+        return this.#route(client => client.generateSignedDecimalFractions(n, decimalPlaces,
+            options), options);
+    }
+
+    /**
+     * Routes a generateSignedGaussians request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedGaussians} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedGaussians(n, mean, standardDeviation, significantDigits, options = {}) {
+        return this.#route(client => client.generateSignedGaussians(n, mean, standardDeviation,
+            significantDigits, options), options);
+    }
+
+    /**
+     * Routes a generateSignedStrings request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedStrings} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedStrings(n, length, characters, options = {}) {
+        return this.#route(client => client.generateSignedStrings(n, length, characters,
+            options), options);
+    }
+
+    /**
+     * Routes a generateSignedUUIDs request. A request using a ticketId is sent
+     * with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedUUIDs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedUUIDs(n, options = {}) {
+        return this.#route(client => client.generateSignedUUIDs(n, options), options);
+    }
+
+    /**
+     * Routes a generateSignedBlobs request. A request using a ticketId is sent
+     * with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedBlobs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedBlobs(n, size, options = {}) {
+        return this.#route(client => client.generateSignedBlobs(n, size, options), options);
+    }
+
+    /**
+     * Routes a verifySignature request. Signatures can be verified with any key.
+     * See {@link RandomOrgClient#verifySignature} for the parameters.
+     * @returns {Promise<boolean>} A Promise for the result.
+     */
+    verifySignature(random, signature, options = {}) {
+        return this.#route(client => client.verifySignature(random, signature, options),
+            options);
+    }
+
+    /**
+     * Sends a getResult request with the key supplied in options.apiKey, which
+     * must be the key that created the result, see getApiKey().
+     * See {@link RandomOrgClient#getResult} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     * @throws {Error} Thrown when the pool has several keys and options.apiKey
+     *     is not supplied.
+     */
+    async getResult(serialNumber, options = {}) {
+        let client = this.#requireClient(options, 'getResult');
+        return this.#track(client, await client.getResult(serialNumber, options));
+    }
+
+    /**
+     * Routes a createTickets request. The tickets can be used by signed calls
+     * through this pool, which are then sent with the same key.
+     * See {@link RandomOrgClient#createTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    createTickets(n, showResult, options = {}) {
+        return this.#route(client => client.createTickets(n, showResult, options), options);
+    }
+
+    /**
+     * Sends a listTickets request with the key supplied in options.apiKey.
+     * See {@link RandomOrgClient#listTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     * @throws {Error} Thrown when the pool has several keys and options.apiKey
+     *     is not supplied.
+     */
+    listTickets(ticketType, options = {}) {
+        return this.#requireClient(options, 'listTickets').listTickets(ticketType, options);
+    }
+
+    /**
+     * Routes a getTicket request. Tickets can be looked up with any key.
+     * See {@link RandomOrgClient#getTicket} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getTicket(ticketId, options = {}) {
+        return this.#route(client => client.getTicket(ticketId, options), options);
+    }
+
+    /**
+     * Gets the API key a signed response or ticket was created with, if it
+     * was returned by this pool.
+     * @param {Object} random The random field of a signed response, or a
+     *     ticket, i.e. an object containing a hashedApiKey or ticketId field.
+     * @returns {?string} The API key, or null if it is not known.
+     */
+    getApiKey(random) {
+        if (random == null) {
+            return null;
+        }
+        return this.#hashedKeys[random.hashedApiKey] || this.#ticketKeys[random.ticketId]
+            || null;
+    }
+
+    /**
+     * Gets the API keys of the pool.
+     * @returns {string[]} The API keys.
+     */
+    getApiKeys() {
+        return Object.keys(this.#clients);
+    }
+
+    /**
+     * Gets the client used for an API key of the pool, e.g. to create caches
+     * or to register event listeners.
+     * @param {string} apiKey The API key.
+     * @returns {?RandomOrgClient} The client, or null if the key is not part of
+     *     the pool.
+     */
+    getClient(apiKey) {
+        return this.#clients[apiKey] || null;
+    }
+
+    /**
+     * Checks whether an API key is used for calls, i.e. whether it has not been
+     * reported as stopped and is not backed off.
+     * @param {string} apiKey The API key.
+     * @returns {boolean} True if the key is available.
+     */
+    isAvailable(apiKey) {
+        let client = this.#clients[apiKey];
+        return client != null && !this.#stopped.has(apiKey) && !client.isBackedOff();
+    }
+
+    /** Disposes of the clients of the pool, see {@link RandomOrgClient#dispose}. */
+    dispose() {
+        Object.values(this.#clients).forEach(client => client.dispose());
+    }
+
+    /**
+     * Helper function to send a call with the best available key, and with the
+     * next best keys if it fails because the key's allowance is exceeded or
+     * the key is stopped.
+     * @param {function(RandomOrgClient): Promise<any>} call Function sending
+     *     the call with the supplied client.
+     * @param {Object} options The options of the call.
+     * @returns {Promise<any>} A Promise for the result of the call.
+     */
+    #route = async (call, options) => {
+        let pinned = this.#pinnedKey(options);
+        if (pinned != null) {
+            return this.#send(pinned, call);
+        }
+
+        let apiKeys = await this.#rankKeys(options);
+        if (apiKeys.length == 0) {
+            throw this.#unavailableError();
+        }
+
+        let error = null;
+        for (let apiKey of apiKeys) {
+            try {
+                return await this.#send(apiKey, call);
+            } catch (e) {
+                if (!(e instanceof RandomOrgInsufficientBitsError
+                        || e instanceof RandomOrgInsufficientRequestsError
+                        || e instanceof RandomOrgKeyNotRunningError)) {
+                    throw e;
+                }
+                error = e;
+            }
+        }
+        throw error;
+    }
+
+    /** Helper function to send a call with a key and keep track of the key's state. */
+    #send = async (apiKey, call) => {
+        let client = this.#clients[apiKey];
+        try {
+            return this.#track(client, await call(client));
+        } catch (e) {
+            if (e instanceof RandomOrgKeyNotRunningError) {
+                this.#stopped.add(apiKey);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Helper function to remember the key which created the tickets or signed
+     * values of a response.
+     * @param {RandomOrgClient} client The client which received the response.
+     * @param {any} result The result returned by the client.
+     * @returns {any} The result.
+     */
+    #track = (client, result) => {
+        let apiKey = Object.keys(this.#clients).find(key => this.#clients[key] === client);
+        let objects = Array.isArray(result) ? result : [ result, result && result.random ];
+
+        for (let object of objects) {
+            if (object && typeof object === 'object') {
+                if (object.hashedApiKey) {
+                    this.#hashedKeys[object.hashedApiKey] = apiKey;
+                }
+                if (object.ticketId) {
+                    this.#ticketKeys[object.ticketId] = apiKey;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Helper function to find the key a call must be sent with: the key in
+     * options.apiKey, or the key which created the ticket in options.ticketId.
+     * @param {Object} options The options of the call.
+     * @returns {?string} The key, or null if the call can use any key.
+     * @throws {Error} Thrown when options.apiKey is not part of the pool.
+     */
+    #pinnedKey = options => {
+        if (options.apiKey != null) {
+            if (!this.#clients[options.apiKey]) {
+                throw new Error('The API key ' + options.apiKey + ' is not part of this pool.');
+            }
+            return options.apiKey;
+        }
+        if (options.ticketId != null && this.#ticketKeys[options.ticketId]) {
+            return this.#ticketKeys[options.ticketId];
+        }
+        return null;
+    }
+
+    /** Helper function to get the client for a call which must be sent with a specific key. */
+    #requireClient = (options, method) => {
+        let apiKeys = this.getApiKeys();
+        if (options.apiKey == null && apiKeys.length > 1) {
+            throw new Error(method + '() depends on the API key, please supply it '
+                + 'in options.apiKey.');
+        }
+        return this.#clients[this.#pinnedKey(options) || apiKeys[0]];
+    }
+
+    /**
+     * Helper function to sort the available keys by the number of bits left,
+     * then by the number of requests left, highest first. Keys whose usage
+     * cannot be looked up are skipped, unless no other key is left.
+     * @param {Object} options The options of the call, whose signal is also
+     *     used to obtain the usage of the keys.
+     * @returns {Promise<string[]>} A Promise for the sorted keys.
+     */
+    #rankKeys = async options => {
+        let usage = [];
+        let error = null;
+
+        for (let apiKey of this.getApiKeys()) {
+            if (!this.isAvailable(apiKey)) {
+                continue;
+            }
+
+            let client = this.#clients[apiKey];
+            try {
+                let bitsLeft = await client.getBitsLeft({ signal: options.signal });
+                let requestsLeft = await client.getRequestsLeft({ signal: options.signal });
+                if (requestsLeft != 0) {
+                    usage.push({ apiKey: apiKey, bitsLeft: bitsLeft, requestsLeft: requestsLeft });
+                }
+            } catch (e) {
+                if (e instanceof RandomOrgKeyNotRunningError) {
+                    this.#stopped.add(apiKey);
+                } else if (e instanceof RandomOrgAbortError) {
+                    throw e;
+                } else if (!(e instanceof RandomOrgInsufficientRequestsError)) {
+                    // the other keys may still be usable
+                    error = e;
+                }
+            }
+        }
+
+        if (usage.length == 0 && error != null) {
+            throw error;
+        }
+        usage.sort((a, b) => (b.bitsLeft - a.bitsLeft) || (b.requestsLeft - a.requestsLeft));
+        return usage.map(u => u.apiKey);
+    }
+
+    /**
+     * Helper function to create the error thrown when no key can be used: a
+     * RandomOrgKeyNotRunningError if all keys are stopped, else a
+     * RandomOrgInsufficientRequestsError.
+     */
+    #unavailableError = () => {
+        let message = 'Error: none of the API keys of the pool is available, they are '
+            + 'backed off, stopped or have no requests left.';
+        if (this.getApiKeys().every(apiKey => this.#stopped.has(apiKey))) {
+            return new RandomOrgKeyNotRunningError(message);
+        }
+        return new RandomOrgInsufficientRequestsError(message);
+    }
+}
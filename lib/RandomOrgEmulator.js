@@ -0,0 +1,970 @@
+'use strict';
+/* node-import */
+const nodeCrypto = require('crypto');
+const http = require('http');
+/* end-node-import */
+
+/**
+ * Offline emulator of the RANDOM.ORG JSON-RPC API (Release 4), for testing.
+ *
+ * The emulator implements every method used by RandomOrgClient and returns
+ * responses shaped like those of the server, without any network access. The
+ * values it returns are pseudo-random. In NodeJS, signed responses are signed
+ * with the emulator's own RSA key pair, so they can be verified offline with
+ * its publicKey; otherwise they can only be verified by the emulator itself.
+ * Each API key has a bits and requests allowance which
+ * is reduced by every request, and errors can be injected to test how an
+ * application handles them.
+ *
+ * The emulator is used by supplying its transport to a RandomOrgClient:
+ *
+ *     let emulator = new RandomOrgEmulator();
+ *     let roc = new RandomOrgClient('YOUR_API_KEY_HERE', { transport: emulator.transport });
+ *
+ * In NodeJS, createServer() can be used instead to serve the emulator over
+ * HTTP, e.g. for clients configured with a custom endpoint.
+ */
+module.exports = class RandomOrgEmulator {
+    /** Default daily bits allowance of an emulated API key. */
+    static DEFAULT_BITS_ALLOWANCE = 250000;
+    /** Default daily requests allowance of an emulated API key. */
+    static DEFAULT_REQUESTS_ALLOWANCE = 1000;
+    /** Default advisory delay returned by the emulator, in milliseconds. */
+    static DEFAULT_ADVISORY_DELAY = 10;
+
+    // Error messages, indexed by error code, see
+    // https://api.random.org/json-rpc/4/error-codes
+    static #MESSAGES = {
+        202: d => 'Parameter \'' + d[0] + '\' is out of range. Allowable values are ['
+            + d[1] + ', ' + d[2] + ']',
+        203: d => 'Parameter \'' + d[0] + '\' is too long. The maximum length is ' + d[1],
+        204: d => 'Parameter \'' + d[0] + '\' is too short. The minimum length is ' + d[1],
+        300: d => 'Parameter \'' + d[0] + '\' must be less than or equal to parameter \''
+            + d[1] + '\'',
+        301: d => 'You requested ' + d[0] + ' values without replacement but the domain '
+            + 'you specified only contains ' + d[1],
+        400: () => 'The API key you specified does not exist',
+        401: () => 'The API key you specified is not running',
+        402: () => 'The API key you specified has exceeded its daily request allowance',
+        403: d => 'The API key you specified does not have sufficient bits left to serve '
+            + 'the request, ' + d[1] + ' bits remain',
+        404: () => 'The requested result could not be found',
+        420: d => 'Ticket \'' + d[0] + '\' does not exist',
+        421: d => 'Ticket \'' + d[0] + '\' exists but is not for the API key you specified',
+        422: d => 'Ticket \'' + d[0] + '\' has already been used',
+        [-32600]: () => 'Invalid Request',
+        [-32601]: () => 'Method not found',
+        [-32602]: d => 'Invalid params: ' + d[0],
+        [-32700]: () => 'Parse error'
+    };
+
+    static #LICENSE = {
+        type: 'developer',
+        text: 'Random values licensed strictly for development and testing only',
+        infoUrl: null
+    };
+
+    // Emulated API keys, indexed by key
+    #keys = {};
+    // If true, unknown API keys are registered on first use
+    #acceptAnyKey = true;
+    // Tickets, indexed by ticketId
+    #tickets = {};
+    // RSA key pair used to sign results (NodeJS only), created when needed
+    #keyPair = null;
+    // Maps issued signatures to the serialized random objects they sign, used
+    // if no key pair is available
+    #signatures = {};
+    // Errors to be returned instead of regular responses
+    #injectedErrors = [];
+
+    #bitsAllowance = RandomOrgEmulator.DEFAULT_BITS_ALLOWANCE;
+    #requestsAllowance = RandomOrgEmulator.DEFAULT_REQUESTS_ALLOWANCE;
+    #advisoryDelay = RandomOrgEmulator.DEFAULT_ADVISORY_DELAY;
+    #batchRequests = true;
+
+    /**
+     * Constructor.
+     * @param {{apiKeys?: string[], bitsAllowance?: number, requestsAllowance?:
+     *     number, advisoryDelay?: number, batchRequests?: boolean}} options An
+     *     object which may contain any of the following optional parameters:
+     * @param {string[]} [options.apiKeys] The API keys known to the emulator.
+     *     Requests using other keys fail with error 400. If not supplied, any
+     *     API key is accepted.
+     * @param {number} [options.bitsAllowance=250000] Bits allowance of each
+     *     API key (default 250000).
+     * @param {number} [options.requestsAllowance=1000] Requests allowance of
+     *     each API key (default 1000).
+     * @param {number} [options.advisoryDelay=10] Advisory delay in milliseconds
+     *     returned with every response (default 10).
+     * @param {boolean} [options.batchRequests=true] Whether JSON-RPC batch
+     *     requests are accepted. If false, batches are rejected with error
+     *     -32600 (default true).
+     */
+    constructor(options = {}) {
+        if (options.bitsAllowance != null) {
+            this.#bitsAllowance = options.bitsAllowance;
+        }
+        if (options.requestsAllowance != null) {
+            this.#requestsAllowance = options.requestsAllowance;
+        }
+        if (options.advisoryDelay != null) {
+            this.#advisoryDelay = options.advisoryDelay;
+        }
+        if (options.batchRequests != null) {
+            this.#batchRequests = options.batchRequests;
+        }
+        if (options.apiKeys) {
+            this.#acceptAnyKey = false;
+            options.apiKeys.forEach(apiKey => this.addKey(apiKey));
+        }
+    }
+
+    /**
+     * Transport function which can be supplied to the RandomOrgClient
+     * constructor to send requests to this emulator instead of the server.
+     * @param {string} url The URL the request is sent to (ignored).
+     * @param {string} body The JSON-encoded request.
+     * @returns {Promise<{status: number, body: string}>} A Promise which
+     *     represents the emulated HTTP response.
+     */
+    transport = async (url, body) => {
+        let response;
+        try {
+            response = this.handle(JSON.parse(body));
+        } catch (e) {
+            if (!(e instanceof SyntaxError)) {
+                throw e;
+            }
+            response = this.#errorResponse(null, -32700, []);
+        }
+        return { status: 200, body: JSON.stringify(response) };
+    }
+
+    /**
+     * Handles a JSON-RPC request or a batch (array) of requests.
+     * @param {(Object|Object[])} request The JSON-RPC request object(s).
+     * @returns {(Object|Object[])} The JSON-RPC response object(s).
+     */
+    handle(request) {
+        if (Array.isArray(request)) {
+            if (!this.#batchRequests || request.length == 0) {
+                return this.#errorResponse(null, -32600, []);
+            }
+            return request.map(r => this.handle(r));
+        }
+
+        let id = request && request.id !== undefined ? request.id : null;
+
+        if (request == null || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+            return this.#errorResponse(id, -32600, []);
+        }
+
+        let method = this.#methods[request.method];
+        if (method == null) {
+            return this.#errorResponse(id, -32601, []);
+        }
+
+        try {
+            let params = request.params || {};
+            this.#checkInjectedError(request.method, params);
+            return { jsonrpc: '2.0', result: method(params), id: id };
+        } catch (e) {
+            if (e instanceof EmulatedError) {
+                return this.#errorResponse(id, e.code, e.data);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Registers an API key with the emulator. Keys which are already known
+     * are not modified.
+     * @param {string} apiKey The API key.
+     * @param {{status?: string, bitsLeft?: number, requestsLeft?: number}}
+     *     usage Optional initial usage values, see setUsage().
+     */
+    addKey(apiKey, usage = {}) {
+        if (!this.#keys[apiKey]) {
+            this.#keys[apiKey] = {
+                status: 'running',
+                creationTime: this.#timestamp(),
+                bitsLeft: this.#bitsAllowance,
+                requestsLeft: this.#requestsAllowance,
+                totalBits: 0,
+                totalRequests: 0,
+                hashedApiKey: this.#hash(apiKey),
+                serialNumber: 0,
+                results: {}
+            };
+        }
+        this.setUsage(apiKey, usage);
+    }
+
+    /**
+     * Overrides the usage values of an API key, e.g. to simulate a stopped key
+     * or an exhausted allowance.
+     * @param {string} apiKey The API key.
+     * @param {{status?: string, bitsLeft?: number, requestsLeft?: number}}
+     *     usage An object which may contain any of the following values:
+     * @param {string} [usage.status] 'running', 'stopped' or 'paused'.
+     * @param {number} [usage.bitsLeft] The number of bits left.
+     * @param {number} [usage.requestsLeft] The number of requests left.
+     */
+    setUsage(apiKey, usage) {
+        let key = this.#key(apiKey);
+        ['status', 'bitsLeft', 'requestsLeft'].forEach(name => {
+            if (usage[name] != null) {
+                key[name] = usage[name];
+            }
+        });
+    }
+
+    /**
+     * Returns the usage of an API key, as returned by the getUsage method.
+     * @param {string} apiKey The API key.
+     * @returns {{status: string, creationTime: string, bitsLeft: number,
+     *     requestsLeft: number, totalBits: number, totalRequests: number}}
+     *     The usage of the API key.
+     */
+    getUsage(apiKey) {
+        let key = this.#key(apiKey);
+        return {
+            status: key.status,
+            creationTime: key.creationTime,
+            bitsLeft: key.bitsLeft,
+            requestsLeft: key.requestsLeft,
+            totalBits: key.totalBits,
+            totalRequests: key.totalRequests
+        };
+    }
+
+    /**
+     * Makes the emulator return an error instead of the next matching
+     * response(s).
+     *
+     * Error codes 401, 402 and 403 also update the state of the API key
+     * accordingly. See: https://api.random.org/json-rpc/4/error-codes
+     * @param {number} code The error code to return, e.g. 401, 402, 403, 202
+     *     or 420-422.
+     * @param {{method?: string, times?: number, data?: any[]}} options An object
+     *     which may contain any of the following optional parameters:
+     * @param {string} [options.method=null] Only requests for this method
+     *     return the error (default null, i.e. any method).
+     * @param {number} [options.times=1] Number of responses to replace with the
+     *     error (default 1).
+     * @param {any[]} [options.data] The error's data field.
+     */
+    injectError(code, { method = null, times = 1, data = null } = {}) {
+        this.#injectedErrors.push({ code: code, method: method, times: times, data: data });
+    }
+
+    /**
+     * Removes all injected errors which have not been returned yet.
+     */
+    clearErrors() {
+        this.#injectedErrors = [];
+    }
+
+    /**
+     * The PEM-encoded public key of the key pair the emulator signs results
+     * with (NodeJS only). It can be supplied to RandomOrgVerifier or to the
+     * publicKey option of RandomOrgClient to verify signatures offline.
+     * @returns {string} The public key.
+     */
+    get publicKey() {
+        return this.#getKeyPair().publicKey;
+    }
+
+    /**
+     * Creates an HTTP server (NodeJS only) which serves the emulator, e.g.
+     * for clients configured with a custom endpoint. The server still needs
+     * to be started by calling listen().
+     * @returns {Object} A http.Server instance.
+     */
+    createServer() {
+        return http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => body += chunk);
+            req.on('end', async () => {
+                let response = await this.transport(req.url, body);
+                res.writeHead(response.status, { 'Content-Type': 'application/json' });
+                res.end(response.body);
+            });
+        });
+    }
+
+    // Implementations of the API methods
+    #methods = {
+        generateIntegers: params => this.#generate('generateIntegers', params,
+            this.#integers, false),
+        generateIntegerSequences: params => this.#generate('generateIntegerSequences',
+            params, this.#integerSequences, false),
+        generateDecimalFractions: params => this.#generate('generateDecimalFractions',
+            params, this.#decimalFractions, false),
+        generateGaussians: params => this.#generate('generateGaussians', params,
+            this.#gaussians, false),
+        generateStrings: params => this.#generate('generateStrings', params,
+            this.#strings, false),
+        generateUUIDs: params => this.#generate('generateUUIDs', params,
+            this.#uuids, false),
+        generateBlobs: params => this.#generate('generateBlobs', params,
+            this.#blobs, false),
+        generateSignedIntegers: params => this.#generate('generateSignedIntegers',
+            params, this.#integers, true),
+        generateSignedIntegerSequences: params => this.#generate(
+            'generateSignedIntegerSequences', params, this.#integerSequences, true),
+        generateSignedDecimalFractions: params => this.#generate(
+            'generateSignedDecimalFractions', params, this.#decimalFractions, true),
+        generateSignedGaussians: params => this.#generate('generateSignedGaussians',
+            params, this.#gaussians, true),
+        generateSignedStrings: params => this.#generate('generateSignedStrings',
+            params, this.#strings, true),
+        generateSignedUUIDs: params => this.#generate('generateSignedUUIDs', params,
+            this.#uuids, true),
+        generateSignedBlobs: params => this.#generate('generateSignedBlobs', params,
+            this.#blobs, true),
+        getUsage: params => {
+            this.#runningKey(params.apiKey);
+            return this.getUsage(params.apiKey);
+        },
+        getResult: params => {
+            let key = this.#runningKey(params.apiKey);
+            let serialNumber = this.#integer(params, 'serialNumber', 1, Number.MAX_SAFE_INTEGER);
+            if (!key.results[serialNumber]) {
+                throw new EmulatedError(404, []);
+            }
+            return key.results[serialNumber];
+        },
+        createTickets: params => {
+            let key = this.#runningKey(params.apiKey);
+            let n = this.#integer(params, 'n', 1, 50);
+            let showResult = this.#boolean(params, 'showResult');
+            return Array.from({ length: n }, () => {
+                let ticket = this.#createTicket(params.apiKey, key, showResult, null);
+                return {
+                    ticketId: ticket.ticketId,
+                    creationTime: ticket.creationTime,
+                    previousTicketId: null,
+                    nextTicketId: null
+                };
+            });
+        },
+        listTickets: params => {
+            this.#runningKey(params.apiKey);
+            let ticketType = params.ticketType;
+            let filters = {
+                singleton: t => t.previousTicketId == null && t.nextTicketId == null,
+                head: t => t.previousTicketId == null && t.nextTicketId != null,
+                tail: t => t.previousTicketId != null && t.nextTicketId == null
+            };
+            if (!filters[ticketType]) {
+                throw new EmulatedError(-32602, ['ticketType']);
+            }
+            return Object.values(this.#tickets)
+                .filter(t => t.apiKey === params.apiKey && filters[ticketType](t))
+                .slice(0, 2000)
+                .map(t => this.#publicTicket(t, false));
+        },
+        getTicket: params => {
+            let ticket = this.#tickets[params.ticketId];
+            if (!ticket) {
+                throw new EmulatedError(420, [params.ticketId]);
+            }
+            return this.#publicTicket(ticket, true);
+        },
+        verifySignature: params => {
+            if (params.random == null || typeof params.signature !== 'string') {
+                throw new EmulatedError(-32602, ['random, signature']);
+            }
+            let data = JSON.stringify(params.random);
+            if (typeof nodeCrypto === 'undefined') {
+                return { authenticity: this.#signatures[params.signature] === data };
+            }
+            return {
+                authenticity: nodeCrypto.createVerify('RSA-SHA512').update(data)
+                    .verify(this.#getKeyPair().publicKey, params.signature, 'base64')
+            };
+        }
+    };
+
+    /**
+     * Helper function to serve the value-generating methods.
+     * @param {string} method The name of the method.
+     * @param {Object} params The request parameters.
+     * @param {function(Object, function(): number): {params: Object, data:
+     *     any[], bits: number}} generator Function which validates the
+     *     parameters and generates the values.
+     * @param {boolean} signed True for methods of the Signed API.
+     * @returns {Object} The result field of the response.
+     */
+    #generate = (method, params, generator, signed) => {
+        let key = this.#runningKey(params.apiKey);
+
+        let pregeneratedRandomization = params.pregeneratedRandomization || null;
+        let generated = generator(params, this.#rng(method.replace('Signed', ''),
+            pregeneratedRandomization));
+
+        if (signed && params.userData != null
+                && JSON.stringify(params.userData).length > 1000) {
+            throw new EmulatedError(203, ['userData', 1000]);
+        }
+
+        let ticket = null;
+        if (signed && params.ticketId != null) {
+            ticket = this.#tickets[params.ticketId];
+            if (!ticket) {
+                throw new EmulatedError(420, [params.ticketId]);
+            } else if (ticket.apiKey !== params.apiKey) {
+                throw new EmulatedError(421, [params.ticketId]);
+            } else if (ticket.usedTime != null) {
+                throw new EmulatedError(422, [params.ticketId]);
+            }
+        }
+
+        if (key.requestsLeft <= 0) {
+            throw new EmulatedError(402, [params.apiKey, key.requestsLeft]);
+        }
+        let bitsUsed = Math.ceil(generated.bits);
+        if (bitsUsed > key.bitsLeft) {
+            throw new EmulatedError(403, [params.apiKey, key.bitsLeft]);
+        }
+
+        key.requestsLeft--;
+        key.totalRequests++;
+        key.bitsLeft -= bitsUsed;
+        key.totalBits += bitsUsed;
+
+        let completionTime = this.#timestamp();
+        let random;
+
+        if (signed) {
+            random = { method: method, hashedApiKey: key.hashedApiKey };
+            Object.assign(random, generated.params);
+            random.pregeneratedRandomization = pregeneratedRandomization;
+            random.data = generated.data;
+            random.license = RandomOrgEmulator.#LICENSE;
+            random.licenseData = params.licenseData || null;
+            random.userData = params.userData != null ? params.userData : null;
+            random.ticketData = null;
+            random.completionTime = completionTime;
+            random.serialNumber = ++key.serialNumber;
+
+            if (ticket != null) {
+                let next = this.#createTicket(params.apiKey, key, ticket.showResult,
+                    ticket.ticketId);
+                ticket.usedTime = completionTime;
+                ticket.serialNumber = random.serialNumber;
+                ticket.expirationTime = this.#timestamp(24 * 60 * 60 * 1000);
+                ticket.nextTicketId = next.ticketId;
+                random.ticketData = {
+                    ticketId: ticket.ticketId,
+                    previousTicketId: ticket.previousTicketId,
+                    nextTicketId: ticket.nextTicketId
+                };
+            }
+        } else {
+            random = { data: generated.data, completionTime: completionTime };
+        }
+
+        let result = { random: random };
+        if (signed) {
+            result.signature = this.#sign(random);
+            key.results[random.serialNumber] = { random: random, signature: result.signature };
+            if (ticket != null) {
+                ticket.result = key.results[random.serialNumber];
+            }
+        }
+        result.bitsUsed = bitsUsed;
+        result.bitsLeft = key.bitsLeft;
+        result.requestsLeft = key.requestsLeft;
+        result.advisoryDelay = this.#advisoryDelay;
+
+        return result;
+    }
+
+    /** Generator for integers. */
+    #integers = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e4);
+        let min = this.#integer(params, 'min', -1e9, 1e9);
+        let max = this.#integer(params, 'max', -1e9, 1e9);
+        let replacement = this.#boolean(params, 'replacement', true);
+        let base = this.#base(params.base);
+
+        let sequence = this.#integerSequence(n, min, max, replacement, base, rng);
+        return {
+            params: { n: n, min: min, max: max, replacement: replacement, base: base },
+            data: sequence.data,
+            bits: sequence.bits
+        };
+    }
+
+    /** Generator for integer sequences. */
+    #integerSequences = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e3);
+        let lengths = this.#multiform(params, 'length', n);
+        let mins = this.#multiform(params, 'min', n);
+        let maxs = this.#multiform(params, 'max', n);
+        let replacements = this.#multiform(params, 'replacement', n, true);
+        let bases = this.#multiform(params, 'base', n, 10);
+
+        let total = 0;
+        lengths.forEach(length => {
+            this.#checkInteger('length', length, 1, 1e4);
+            total += length;
+        });
+        if (total > 1e4) {
+            throw new EmulatedError(202, ['length', 1, 1e4]);
+        }
+
+        let data = [];
+        let bits = 0;
+        for (let i = 0; i < n; i++) {
+            this.#checkInteger('min', mins[i], -1e9, 1e9);
+            this.#checkInteger('max', maxs[i], -1e9, 1e9);
+            let sequence = this.#integerSequence(lengths[i], mins[i], maxs[i],
+                replacements[i], this.#base(bases[i]), rng);
+            data.push(sequence.data);
+            bits += sequence.bits;
+        }
+
+        return {
+            params: {
+                n: n,
+                length: params.length,
+                min: params.min,
+                max: params.max,
+                replacement: params.replacement != null ? params.replacement : true,
+                base: params.base != null ? params.base : 10
+            },
+            data: data,
+            bits: bits
+        };
+    }
+
+    /** Generator for decimal fractions. */
+    #decimalFractions = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e4);
+        let decimalPlaces = this.#integer(params, 'decimalPlaces', 1, 20);
+        let replacement = this.#boolean(params, 'replacement', true);
+
+        if (!replacement && n > Math.pow(10, decimalPlaces)) {
+            throw new EmulatedError(301, [n, Math.pow(10, decimalPlaces)]);
+        }
+
+        let data = this.#values(n, replacement,
+            () => Number(rng().toFixed(decimalPlaces)));
+        return {
+            params: { n: n, decimalPlaces: decimalPlaces, replacement: replacement },
+            data: data,
+            bits: n * decimalPlaces * Math.log2(10)
+        };
+    }
+
+    /** Generator for Gaussians. */
+    #gaussians = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e4);
+        let mean = this.#number(params, 'mean', -1e6, 1e6);
+        let standardDeviation = this.#number(params, 'standardDeviation', -1e6, 1e6);
+        let significantDigits = this.#integer(params, 'significantDigits', 2, 20);
+
+        let data = Array.from({ length: n }, () => {
+            // Box-Muller transform
+            let z = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+            return Number((mean + z * standardDeviation).toPrecision(significantDigits));
+        });
+        return {
+            params: {
+                n: n,
+                mean: mean,
+                standardDeviation: standardDeviation,
+                significantDigits: significantDigits
+            },
+            data: data,
+            bits: n * significantDigits * Math.log2(10)
+        };
+    }
+
+    /** Generator for strings. */
+    #strings = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e4);
+        let length = this.#integer(params, 'length', 1, 20);
+        let characters = params.characters;
+        let replacement = this.#boolean(params, 'replacement', true);
+
+        if (typeof characters !== 'string') {
+            throw new EmulatedError(-32602, ['characters']);
+        }
+        let chars = Array.from(characters);
+        if (chars.length > 80) {
+            throw new EmulatedError(203, ['characters', 80]);
+        } else if (chars.length < 1) {
+            throw new EmulatedError(204, ['characters', 1]);
+        }
+        if (!replacement && n > Math.pow(chars.length, length)) {
+            throw new EmulatedError(301, [n, Math.pow(chars.length, length)]);
+        }
+
+        let data = this.#values(n, replacement, () => Array.from({ length: length },
+            () => chars[Math.floor(rng() * chars.length)]).join(''));
+        return {
+            params: { n: n, length: length, characters: characters, replacement: replacement },
+            data: data,
+            bits: n * length * Math.log2(chars.length)
+        };
+    }
+
+    /** Generator for UUIDs. */
+    #uuids = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 1e3);
+
+        let data = Array.from({ length: n }, () => {
+            let hex = this.#bytes(16, rng).map(b => b.toString(16).padStart(2, '0'));
+            hex[6] = '4' + hex[6][1];
+            hex[8] = (8 + parseInt(hex[8][0], 16) % 4).toString(16) + hex[8][1];
+            hex = hex.join('');
+            return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4)
+                + '-' + hex.substr(16, 4) + '-' + hex.substr(20, 12);
+        });
+        return { params: { n: n }, data: data, bits: n * 122 };
+    }
+
+    /** Generator for blobs. */
+    #blobs = (params, rng) => {
+        let n = this.#integer(params, 'n', 1, 100);
+        let size = this.#integer(params, 'size', 1, 1048576);
+        let format = params.format || 'base64';
+
+        if (size % 8 != 0) {
+            throw new EmulatedError(202, ['size', 8, 1048576]);
+        }
+        if (format !== 'base64' && format !== 'hex') {
+            throw new EmulatedError(-32602, ['format']);
+        }
+
+        let data = Array.from({ length: n }, () => {
+            let bytes = this.#bytes(size / 8, rng);
+            return format === 'hex' ? bytes.map(b => b.toString(16).padStart(2, '0')).join('')
+                : this.#base64(bytes);
+        });
+        return { params: { n: n, size: size, format: format }, data: data, bits: n * size };
+    }
+
+    /**
+     * Helper function to generate a single sequence of integers.
+     * @returns {{data: any[], bits: number}} The integers and the number of
+     *     bits used.
+     */
+    #integerSequence = (n, min, max, replacement, base, rng) => {
+        if (min > max) {
+            throw new EmulatedError(300, ['min', 'max']);
+        }
+        let range = max - min + 1;
+        if (!replacement && n > range) {
+            throw new EmulatedError(301, [n, range]);
+        }
+
+        let data = this.#values(n, replacement, () => min + Math.floor(rng() * range))
+            .map(value => base == 10 ? value : value.toString(base));
+
+        let bits = 0;
+        for (let i = 0; i < n; i++) {
+            bits += Math.log2(replacement ? range : range - i);
+        }
+
+        return { data: data, bits: bits };
+    }
+
+    /**
+     * Helper function to generate n values, which are unique if replacement
+     * is false.
+     */
+    #values = (n, replacement, next) => {
+        if (replacement) {
+            return Array.from({ length: n }, next);
+        }
+        let values = new Set();
+        while (values.size < n) {
+            values.add(next());
+        }
+        return Array.from(values);
+    }
+
+    /**
+     * Helper function to validate a parameter which may be a single value or,
+     * for multiform sequences, an array with n values.
+     * @returns {any[]} An array with n values.
+     */
+    #multiform = (params, name, n, defaultValue) => {
+        let value = params[name] != null ? params[name] : defaultValue;
+        if (value === undefined) {
+            throw new EmulatedError(-32602, [name]);
+        }
+        if (!Array.isArray(value)) {
+            return Array.from({ length: n }, () => value);
+        }
+        if (value.length > n) {
+            throw new EmulatedError(203, [name, n]);
+        } else if (value.length < n) {
+            throw new EmulatedError(204, [name, n]);
+        }
+        return value;
+    }
+
+    /** Helper function to validate and return an integer parameter. */
+    #integer = (params, name, min, max) => {
+        this.#checkInteger(name, params[name], min, max);
+        return params[name];
+    }
+
+    /** Helper function to validate an integer value. */
+    #checkInteger = (name, value, min, max) => {
+        if (!Number.isInteger(value)) {
+            throw new EmulatedError(-32602, [name]);
+        }
+        if (value < min || value > max) {
+            throw new EmulatedError(202, [name, min, max]);
+        }
+    }
+
+    /** Helper function to validate and return a numeric parameter. */
+    #number = (params, name, min, max) => {
+        let value = params[name];
+        if (typeof value !== 'number' || isNaN(value)) {
+            throw new EmulatedError(-32602, [name]);
+        }
+        if (value < min || value > max) {
+            throw new EmulatedError(202, [name, min, max]);
+        }
+        return value;
+    }
+
+    /** Helper function to validate and return a boolean parameter. */
+    #boolean = (params, name, defaultValue) => {
+        let value = params[name] != null ? params[name] : defaultValue;
+        if (typeof value !== 'boolean') {
+            throw new EmulatedError(-32602, [name]);
+        }
+        return value;
+    }
+
+    /** Helper function to validate a base. */
+    #base = (base = 10) => {
+        if (![2, 8, 10, 16].includes(base)) {
+            throw new EmulatedError(202, ['base', 2, 16]);
+        }
+        return base;
+    }
+
+    /**
+     * Helper function to find an API key, registering it if any key is
+     * accepted.
+     */
+    #key = apiKey => {
+        if (!this.#keys[apiKey] && this.#acceptAnyKey && typeof apiKey === 'string') {
+            this.addKey(apiKey);
+        }
+        if (!this.#keys[apiKey]) {
+            throw new EmulatedError(400, []);
+        }
+        return this.#keys[apiKey];
+    }
+
+    /** Helper function to find an API key which must be running. */
+    #runningKey = apiKey => {
+        let key = this.#key(apiKey);
+        if (key.status === 'stopped') {
+            throw new EmulatedError(401, []);
+        }
+        return key;
+    }
+
+    /** Helper function to create a new ticket. */
+    #createTicket = (apiKey, key, showResult, previousTicketId) => {
+        let ticketId;
+        do {
+            ticketId = this.#bytes(8, Math.random)
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+        } while (this.#tickets[ticketId]);
+
+        let ticket = {
+            ticketId: ticketId,
+            apiKey: apiKey,
+            hashedApiKey: key.hashedApiKey,
+            showResult: showResult,
+            creationTime: this.#timestamp(),
+            usedTime: null,
+            serialNumber: null,
+            expirationTime: null,
+            previousTicketId: previousTicketId,
+            nextTicketId: null,
+            result: null
+        };
+        this.#tickets[ticketId] = ticket;
+
+        return ticket;
+    }
+
+    /** Helper function to return a ticket as returned by the server. */
+    #publicTicket = (ticket, withResult) => {
+        let t = {
+            ticketId: ticket.ticketId,
+            hashedApiKey: ticket.hashedApiKey,
+            showResult: ticket.showResult,
+            creationTime: ticket.creationTime,
+            usedTime: ticket.usedTime,
+            serialNumber: ticket.serialNumber,
+            expirationTime: ticket.expirationTime,
+            previousTicketId: ticket.previousTicketId,
+            nextTicketId: ticket.nextTicketId
+        };
+        if (withResult && ticket.showResult && ticket.result != null) {
+            t.result = ticket.result;
+        }
+        return t;
+    }
+
+    /**
+     * Helper function to replace the next response with an injected error,
+     * if any matches the method.
+     */
+    #checkInjectedError = (method, params) => {
+        let i = this.#injectedErrors.findIndex(e => e.method == null || e.method === method);
+        if (i == -1) {
+            return;
+        }
+
+        let injected = this.#injectedErrors[i];
+        if (--injected.times <= 0) {
+            this.#injectedErrors.splice(i, 1);
+        }
+
+        let key = this.#keys[params.apiKey];
+        let data = injected.data;
+        if (injected.code == 401 && key) {
+            key.status = 'stopped';
+        } else if (injected.code == 402) {
+            if (key) {
+                key.requestsLeft = 0;
+            }
+            data = data || [params.apiKey, 0];
+        } else if (injected.code == 403) {
+            data = data || [params.apiKey, key ? key.bitsLeft : 0];
+        }
+
+        throw new EmulatedError(injected.code, data || []);
+    }
+
+    /** Helper function to create an error response. */
+    #errorResponse = (id, code, data) => {
+        let message = RandomOrgEmulator.#MESSAGES[code];
+        return {
+            jsonrpc: '2.0',
+            error: {
+                code: code,
+                message: message ? message(data) : 'Emulated error ' + code,
+                data: data
+            },
+            id: id
+        };
+    }
+
+    /**
+     * Helper function to return a random number generator. Pregenerated
+     * randomizations always produce the same sequence for the same method.
+     * @returns {function(): number} Function returning numbers in [0, 1).
+     */
+    #rng = (method, pregeneratedRandomization) => {
+        if (pregeneratedRandomization == null) {
+            return Math.random;
+        }
+
+        // mulberry32, seeded with a FNV-1a hash of the randomization
+        let s = method + JSON.stringify(pregeneratedRandomization);
+        let seed = 0x811c9dc5;
+        for (let i = 0; i < s.length; i++) {
+            seed = Math.imul(seed ^ s.charCodeAt(i), 0x01000193);
+        }
+
+        return () => {
+            seed = seed + 0x6D2B79F5 | 0;
+            let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        };
+    }
+
+    /** Helper function to generate n random bytes. */
+    #bytes = (n, rng) => {
+        return Array.from({ length: n }, () => Math.floor(rng() * 256));
+    }
+
+    /** Helper function to base64-encode an array of bytes. */
+    #base64 = bytes => {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        return btoa(String.fromCharCode.apply(null, bytes));
+    }
+
+    /**
+     * Helper function to sign a random object with SHA-512 RSA, as the server
+     * does. Without NodeJS' crypto module, a random signature is recorded so
+     * that it can still be verified by verifySignature.
+     */
+    #sign = random => {
+        let data = JSON.stringify(random);
+        if (typeof nodeCrypto === 'undefined') {
+            let signature = this.#base64(this.#bytes(512, Math.random));
+            this.#signatures[signature] = data;
+            return signature;
+        }
+        return nodeCrypto.createSign('RSA-SHA512').update(data)
+            .sign(this.#getKeyPair().privateKey, 'base64');
+    }
+
+    /** Helper function to return the key pair, creating it if needed. */
+    #getKeyPair = () => {
+        if (this.#keyPair == null) {
+            this.#keyPair = nodeCrypto.generateKeyPairSync('rsa', {
+                modulusLength: 2048,
+                publicKeyEncoding: { type: 'spki', format: 'pem' },
+                privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+            });
+        }
+        return this.#keyPair;
+    }
+
+    /** Helper function to hash an API key, as in the hashedApiKey field. */
+    #hash = apiKey => {
+        if (typeof nodeCrypto !== 'undefined') {
+            return nodeCrypto.createHash('sha512').update(apiKey).digest('base64');
+        }
+        return this.#base64(Array.from(String(apiKey), c => c.charCodeAt(0) & 0xff));
+    }
+
+    /**
+     * Helper function to create a timestamp in the format used by the server,
+     * optionally offset by the supplied number of milliseconds.
+     */
+    #timestamp = (offset = 0) => {
+        return new Date(Date.now() + offset).toISOString().replace('T', ' ')
+            .replace(/\.\d+Z$/, 'Z');
+    }
+}
+
+/**
+ * Error used internally by the emulator to return a JSON-RPC error response.
+ */
+class EmulatedError extends Error {
+    /**
+     * @param {number} code The error code.
+     * @param {any[]} data The error's data field.
+     */
+    constructor(code, data) {
+        super('Error ' + code);
+        this.code = code;
+        this.data = data;
+    }
+}
@@ -6,12 +6,25 @@
  */
 exports.RandomOrgBadHTTPResponseError = class RandomOrgBadHTTPResponseError extends Error
 {
+    // Stores the HTTP status code of the response
+    #status = -1;
+
     /**
      * Constructs a new exception with the specified detail message.
      * @param {string} message The detail message.
+     * @param {number} status The HTTP status code of the response.
      */
-    constructor(message) {
+    constructor(message, status = -1) {
         super(message);
+        this.#status = status;
+    }
+
+    /**
+     * Gets the HTTP status code of the response.
+     * @returns {number} The HTTP status code, or -1 if unknown.
+     */
+    getStatus() {
+        return this.#status;
     }
 }
 
@@ -176,4 +189,21 @@ exports.RandomOrgCacheEmptyError = class RandomOrgCacheEmptyError extends Error
     wasPaused() {
         return this.#paused;
     }
-}
\ No newline at end of file
+}
+/**
+ * Error thrown by the RandomOrgClient and RandomOrgCache classes when a request
+ * or a wait is cancelled through the AbortSignal supplied in its options.
+ */
+exports.RandomOrgAbortError = class RandomOrgAbortError extends Error
+{
+    /**
+     * Error thrown by the RandomOrgClient and RandomOrgCache classes when a
+     * request or a wait is cancelled through the AbortSignal supplied in its
+     * options.
+     * @constructor
+     * @param {string} message The detail message.
+     */
+    constructor(message) {
+        super(message);
+    }
+}
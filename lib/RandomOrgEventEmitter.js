@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Minimal event emitter used by RandomOrgClient, which works both in NodeJS
+ * and in browsers.
+ *
+ * Errors thrown by listeners are caught and ignored, so that they do not
+ * interfere with the requests during which events are emitted; listeners
+ * should handle their own errors.
+ */
+module.exports = class RandomOrgEventEmitter {
+    // registered listeners, indexed by event name
+    #listeners = {};
+
+    /**
+     * Registers a listener for an event.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data
+     *     every time the event is emitted.
+     */
+    on(event, listener) {
+        (this.#listeners[event] = this.#listeners[event] || []).push(listener);
+    }
+
+    /**
+     * Registers a listener which is only called the next time an event is
+     * emitted.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data.
+     */
+    once(event, listener) {
+        let wrapper = data => {
+            this.off(event, wrapper);
+            listener(data);
+        };
+        wrapper.listener = listener;
+        this.on(event, wrapper);
+    }
+
+    /**
+     * Removes a listener registered with on() or once().
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener The listener to remove.
+     */
+    off(event, listener) {
+        let listeners = this.#listeners[event] || [];
+        let i = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (i != -1) {
+            listeners.splice(i, 1);
+        }
+    }
+
+    /**
+     * Calls all listeners registered for an event.
+     * @param {string} event The name of the event.
+     * @param {Object} data The event's data, passed to the listeners.
+     */
+    emit(event, data) {
+        for (let listener of (this.#listeners[event] || []).slice()) {
+            try {
+                listener(data);
+            } catch (e) {
+                // errors are left to the listener, see above
+            }
+        }
+    }
+
+    /**
+     * Gets the number of listeners registered for an event.
+     * @param {string} event The name of the event.
+     * @returns {number} The number of listeners.
+     */
+    listenerCount(event) {
+        return (this.#listeners[event] || []).length;
+    }
+}
@@ -0,0 +1,233 @@
+'use strict';
+/* node-import */
+const fs = require('fs');
+const nodeCrypto = require('crypto');
+/* end-node-import */
+const { FileStateStore } = require('./RandomOrgStateStores.js');
+const { sleep } = require('./RandomOrgUtils.js');
+
+/**
+ * Coordinates the requests of RandomOrgClients in several processes on the
+ * same host which use the same API key, e.g. NodeJS cluster workers, through
+ * a lock file and a JSON state file per API key. See the coordinator
+ * option of RandomOrgClient.
+ *
+ * A coordinator is an object with two methods: acquire(apiKey, signal), which
+ * returns a Promise which is resolved once no other process sends requests for
+ * the API key, with the state of the key last released (or null), and
+ * release(apiKey, state), which saves the state of the key and lets other
+ * processes send requests again. A process holds the lock while it sends a
+ * request and handles its response, so requests are sent one at a time across
+ * all processes and each obeys the advisory delay, back-off and usage of the
+ * response received last by any of them.
+ *
+ *     const coordinator = new RandomOrgFileCoordinator('/tmp/randomorg-shared');
+ *     let roc = new RandomOrgClient('YOUR_API_KEY_HERE', { coordinator: coordinator });
+ *
+ * A lock left behind by a process which crashed is removed once that process
+ * is no longer running, or when the lock is older than the stale timeout.
+ */
+module.exports = class RandomOrgFileCoordinator {
+    /** Default interval in milliseconds at which a lock is polled. */
+    static DEFAULT_POLL_INTERVAL = 10;
+    /** Default age in milliseconds after which a lock is considered stale. */
+    static DEFAULT_STALE_TIMEOUT = 5 * 60 * 1000;
+
+    // path the names of the state and lock files start with
+    #path = null;
+    // store for the state file
+    #store = null;
+    // tokens written into the locks held by this coordinator, indexed by API key
+    #tokens = {};
+    #pollInterval = RandomOrgFileCoordinator.DEFAULT_POLL_INTERVAL;
+    #staleTimeout = RandomOrgFileCoordinator.DEFAULT_STALE_TIMEOUT;
+
+    /**
+     * Constructs a coordinator, which must be constructed with the same path
+     * in all processes.
+     * @param {string} path The path the names of the state and lock files
+     *     start with, e.g. '/var/lib/myapp/randomorg-shared'. The files of an
+     *     API key are named after the path followed by a hash of the key and
+     *     '.json' or '.lock', see FileStateStore.
+     * @param {{pollInterval?: number, staleTimeout?: number}} options An
+     *     object which may contain any of the following optional parameters:
+     * @param {number} [options.pollInterval=10] Interval in milliseconds at
+     *     which a lock held by another process is polled (default 10).
+     * @param {number} [options.staleTimeout=300000] Age in milliseconds after
+     *     which a lock is removed even if the process holding it is still
+     *     running. This must be longer than the time it takes to send a
+     *     request, including retries (default 5 minutes).
+     * @throws {Error} Thrown when the file system is not available, i.e. in
+     *     browsers.
+     */
+    constructor(path, { pollInterval = RandomOrgFileCoordinator.DEFAULT_POLL_INTERVAL,
+            staleTimeout = RandomOrgFileCoordinator.DEFAULT_STALE_TIMEOUT } = {}) {
+        if (typeof fs === 'undefined') {
+            throw new Error('RandomOrgFileCoordinator is only available in NodeJS.');
+        }
+        this.#path = path;
+        this.#store = new FileStateStore(path);
+        this.#pollInterval = pollInterval;
+        this.#staleTimeout = staleTimeout;
+    }
+
+    /**
+     * Waits until the lock of an API key is acquired.
+     * @param {string} apiKey The API key.
+     * @param {AbortSignal} [signal] Signal which cancels the wait when aborted.
+     * @returns {Promise<?Object>} A Promise which, if resolved successfully,
+     *     represents the state of the API key last released, or null.
+     * @throws {RandomOrgAbortError} Thrown when the wait is aborted.
+     */
+    async acquire(apiKey, signal = null) {
+        let lock = this.#lockPath(apiKey);
+        // the pid identifies locks of processes which are no longer running,
+        // the UUID this particular lock, see release()
+        let token = process.pid + ':' + nodeCrypto.randomUUID();
+        while (true) {
+            try {
+                fs.writeFileSync(lock, token, { flag: 'wx' });
+                this.#tokens[apiKey] = token;
+                break;
+            } catch (e) {
+                if (e.code !== 'EEXIST') {
+                    throw e;
+                }
+            }
+
+            let stale = this.#staleLock(lock);
+            if (stale != null) {
+                this.#takeOver(lock, stale);
+            } else {
+                await sleep(this.#pollInterval, signal);
+            }
+        }
+
+        try {
+            return this.#store.load(apiKey);
+        } catch (e) {
+            // a state file which cannot be read is replaced on release, the
+            // state is taken from the next response instead
+            return null;
+        }
+    }
+
+    /**
+     * Saves the state of an API key and releases its lock. If the lock was
+     * taken over by another process in the meantime, because it was held for
+     * longer than the stale timeout, neither the state nor the lock of that
+     * process are touched.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state of the API key.
+     * @returns {Promise<void>} A Promise which is resolved once the lock has
+     *     been released.
+     */
+    async release(apiKey, state) {
+        let lock = this.#lockPath(apiKey);
+        let token = this.#tokens[apiKey];
+        delete this.#tokens[apiKey];
+
+        try {
+            if (this.#readLock(lock) === token) {
+                this.#store.save(apiKey, state);
+            }
+        } finally {
+            this.#removeIf(lock, held => held === token);
+        }
+    }
+
+    /** Helper function to get the path of the lock file of an API key. */
+    #lockPath = apiKey => {
+        return this.#path + '.' + nodeCrypto.createHash('sha256').update(apiKey)
+            .digest('hex').substring(0, 16) + '.lock';
+    }
+
+    /**
+     * Helper function to check whether a lock was left behind by a process
+     * which is no longer running, or is older than the stale timeout. Returns
+     * the token and modification time of a stale lock, else null.
+     */
+    #staleLock = lock => {
+        let token, modified;
+        try {
+            token = fs.readFileSync(lock, 'utf8');
+            modified = fs.statSync(lock).mtimeMs;
+        } catch (e) {
+            // the lock was released in the meantime
+            return null;
+        }
+
+        if (Date.now() - modified > this.#staleTimeout) {
+            return { token: token, modified: modified };
+        }
+        try {
+            // signal 0 only checks whether the process exists
+            process.kill(parseInt(token, 10), 0);
+            return null;
+        } catch (e) {
+            return e.code === 'ESRCH' ? { token: token, modified: modified } : null;
+        }
+    }
+
+    /** Helper function to remove a stale lock, see #removeIf(). */
+    #takeOver = (lock, stale) => {
+        this.#removeIf(lock, (token, modified) =>
+            token === stale.token && modified === stale.modified);
+    }
+
+    /**
+     * Helper function to remove a lock only if it is still the expected lock.
+     * Another process may replace the lock at any time, so the lock is first
+     * renamed atomically and only deleted if the function accepts its token
+     * and modification time, else it is put back.
+     * @param {string} lock The path of the lock.
+     * @param {function(string, number): boolean} expected Function checking
+     *     the token and modification time of the lock.
+     */
+    #removeIf = (lock, expected) => {
+        let claimed = lock + '.' + nodeCrypto.randomUUID();
+        try {
+            fs.renameSync(lock, claimed);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                // the lock was released or taken over in the meantime
+                return;
+            }
+            throw e;
+        }
+
+        try {
+            if (!expected(fs.readFileSync(claimed, 'utf8'), fs.statSync(claimed).mtimeMs)) {
+                // linking fails if yet another lock was created in the
+                // meantime, which must not be replaced either
+                fs.linkSync(claimed, lock);
+            }
+        } catch (e) {
+            if (e.code !== 'EEXIST') {
+                throw e;
+            }
+        } finally {
+            this.#remove(claimed);
+        }
+    }
+
+    /** Helper function to read the token of a lock, or null if there is none. */
+    #readLock = lock => {
+        try {
+            return fs.readFileSync(lock, 'utf8');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /** Helper function to remove a lock file, if it still exists. */
+    #remove = lock => {
+        try {
+            fs.unlinkSync(lock);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw e;
+            }
+        }
+    }
+}
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Internal queue of the result-sets held by a RandomOrgCache, which are taken
+ * either in the order they were added (first in, first out) or in reverse
+ * order (last in, first out). This is not part of the public API.
+ *
+ * Taking the first item does not shift the remaining items: the index of the
+ * first item advances instead, and the array is only compacted once at least
+ * half of it is unused, so that both orders take amortised constant time.
+ */
+module.exports = class RandomOrgQueue {
+    // the items, of which those before #head have been taken
+    #items = [];
+    // index of the first item which has not been taken
+    #head = 0;
+    // whether items are taken in the order they were added
+    #fifo = false;
+
+    /**
+     * Constructs an empty queue.
+     * @param {boolean} fifo True to take the items in the order they were
+     *     added, false to take the item added last first.
+     */
+    constructor(fifo) {
+        this.#fifo = fifo;
+    }
+
+    /**
+     * Gets the number of items in the queue.
+     * @returns {number} The number of items.
+     */
+    get length() {
+        return this.#items.length - this.#head;
+    }
+
+    /**
+     * Adds an item to the queue.
+     * @param {any} item The item.
+     */
+    push(item) {
+        this.#items.push(item);
+    }
+
+    /**
+     * Takes the next item from the queue.
+     * @returns {any} The item, or undefined if the queue is empty.
+     */
+    take() {
+        if (this.length == 0) {
+            return undefined;
+        }
+        if (!this.#fifo) {
+            return this.#items.pop();
+        }
+
+        let item = this.#items[this.#head];
+        // release the item, it may be a large array of values
+        this.#items[this.#head++] = undefined;
+        if (this.#head * 2 >= this.#items.length) {
+            this.#items = this.#items.slice(this.#head);
+            this.#head = 0;
+        }
+        return item;
+    }
+
+    /** Removes all items from the queue. */
+    clear() {
+        this.#items = [];
+        this.#head = 0;
+    }
+}
@@ -0,0 +1,100 @@
+'use strict';
+
+const { abortError } = require('./RandomOrgUtils.js');
+
+/**
+ * Internal request scheduler used by RandomOrgClient.
+ *
+ * Runs the scheduled tasks one at a time, so that requests issued
+ * concurrently, e.g. by caches and direct calls, are sent one after the other
+ * and each can obey the advisory delay returned with the previous response.
+ * Tasks with a higher priority are run first; tasks with the same priority
+ * are run in the order they were scheduled.
+ */
+module.exports = class RandomOrgScheduler {
+    // waiting tasks, sorted by priority (highest first), then by age
+    #queue = [];
+    // true while a task is running
+    #running = false;
+
+    /**
+     * Schedules a task.
+     * @param {function(): Promise<any>} task Function which performs the task.
+     * @param {{priority?: number, signal?: AbortSignal}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {number} [options.priority=0] Priority of the task, higher values
+     *     are run first (default 0).
+     * @param {AbortSignal} [options.signal] Signal which removes the task from
+     *     the queue when aborted before the task has been started.
+     * @returns {Promise<any>} A Promise which settles like the Promise returned
+     *     by the task.
+     * @throws {RandomOrgAbortError} Thrown when the signal is aborted before the
+     *     task has been started.
+     */
+    schedule(task, { priority = 0, signal = null } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            let job = {
+                task: task,
+                priority: priority,
+                resolve: resolve,
+                reject: reject,
+                signal: signal,
+                onAbort: null
+            };
+
+            if (signal) {
+                job.onAbort = () => {
+                    let i = this.#queue.indexOf(job);
+                    if (i != -1) {
+                        this.#queue.splice(i, 1);
+                        reject(abortError());
+                    }
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            // insert behind all tasks with the same or a higher priority
+            let i = this.#queue.findIndex(j => j.priority < priority);
+            this.#queue.splice(i == -1 ? this.#queue.length : i, 0, job);
+
+            this.#next();
+        });
+    }
+
+    /**
+     * Gets the number of tasks waiting to be run.
+     * @returns {number} The number of waiting tasks.
+     */
+    getQueueLength() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Helper function to run the next task, unless a task is already running.
+     */
+    #next = async () => {
+        if (this.#running || this.#queue.length == 0) {
+            return;
+        }
+
+        this.#running = true;
+        let job = this.#queue.shift();
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+
+        try {
+            job.resolve(await job.task());
+        } catch (e) {
+            job.reject(e);
+        }
+
+        this.#running = false;
+        this.#next();
+    }
+}
@@ -0,0 +1,160 @@
+'use strict';
+/* node-import */
+const fs = require('fs');
+const nodeCrypto = require('crypto');
+/* end-node-import */
+
+/**
+ * Built-in state stores, used by RandomOrgClient to persist the rate-limit
+ * state of an API key, i.e. the advisory delay, the time of the last response,
+ * the back-off and the usage, so that it is restored when the process is
+ * restarted. See the stateStore option of RandomOrgClient.
+ *
+ * A state store is an object with two methods: load(apiKey), which returns the
+ * state last saved for an API key, or null if none was saved, and
+ * save(apiKey, state), which saves the state of an API key, a JSON-compatible
+ * object. Both methods may also return a Promise, e.g. for custom stores
+ * backed by a database; requests are only sent once the state has been
+ * loaded.
+ */
+
+/**
+ * State store keeping the state in memory, e.g. to share it between clients
+ * which are replaced, or for tests. The state is lost when the process exits.
+ */
+exports.MemoryStateStore = class MemoryStateStore {
+    // saved states, indexed by API key
+    #states = {};
+
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} A copy of the saved state, or null.
+     */
+    load(apiKey) {
+        let state = this.#states[apiKey];
+        return state != null ? JSON.parse(state) : null;
+    }
+
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey, state) {
+        this.#states[apiKey] = JSON.stringify(state);
+    }
+}
+
+/**
+ * State store keeping the state in JSON files, in NodeJS. The state of each API
+ * key is kept in its own file, named after a SHA-256 hash of the key, so that
+ * the key is not written to disk and saving the state of one key never touches
+ * the state of another. A file is replaced atomically, so that a crash while
+ * saving does not leave it corrupted.
+ */
+exports.FileStateStore = class FileStateStore {
+    // path the names of the files start with
+    #path = null;
+
+    /**
+     * Constructs a store for JSON files, which are created when a state is
+     * first saved.
+     * @param {string} path The path the names of the files start with, e.g.
+     *     '/var/lib/myapp/randomorg-state'. The file of an API key is named
+     *     after the path followed by a hash of the key and '.json'.
+     * @throws {Error} Thrown when the file system is not available, i.e. in
+     *     browsers.
+     */
+    constructor(path) {
+        if (typeof fs === 'undefined') {
+            throw new Error('FileStateStore is only available in NodeJS.');
+        }
+        this.#path = path;
+    }
+
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} The saved state, or null.
+     * @throws {Error} Thrown when the file of the API key cannot be read or
+     *     parsed; it is replaced when the state is next saved.
+     */
+    load(apiKey) {
+        try {
+            return JSON.parse(fs.readFileSync(this.#file(apiKey), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey, state) {
+        let file = this.#file(apiKey);
+        let temporary = file + '.' + process.pid + '.tmp';
+        fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+        fs.renameSync(temporary, file);
+    }
+
+    /** Helper function to get the path of the file of an API key. */
+    #file = apiKey => {
+        return this.#path + '.' + nodeCrypto.createHash('sha256').update(apiKey)
+            .digest('hex').substring(0, 16) + '.json';
+    }
+}
+
+/**
+ * State store keeping the state in the localStorage of a browser, or any
+ * other object implementing the Web Storage API.
+ */
+exports.LocalStorageStateStore = class LocalStorageStateStore {
+    // prefix of the storage items
+    #prefix = '';
+    // the storage
+    #storage = null;
+
+    /**
+     * Constructs a store for a Web Storage object.
+     * @param {{prefix?: string, storage?: Storage}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {string} [options.prefix='randomorg-state:'] Prefix of the names
+     *     of the storage items, which are followed by the API key (default
+     *     'randomorg-state:').
+     * @param {Storage} [options.storage] The storage (default: localStorage).
+     * @throws {Error} Thrown when no storage is supplied and localStorage is
+     *     not available.
+     */
+    constructor({ prefix = 'randomorg-state:', storage = null } = {}) {
+        if (storage == null && typeof localStorage === 'undefined') {
+            throw new Error('localStorage is not available, please supply a storage.');
+        }
+        this.#prefix = prefix;
+        this.#storage = storage || localStorage;
+    }
+
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} The saved state, or null.
+     */
+    load(apiKey) {
+        let state = this.#storage.getItem(this.#prefix + apiKey);
+        return state != null ? JSON.parse(state) : null;
+    }
+
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey, state) {
+        this.#storage.setItem(this.#prefix + apiKey, JSON.stringify(state));
+    }
+}
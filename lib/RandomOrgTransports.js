@@ -0,0 +1,278 @@
+'use strict';
+
+const {
+    RandomOrgSendTimeoutError
+} = require('./RandomOrgErrors.js');
+const { abortError } = require('./RandomOrgUtils.js');
+/* node-import */
+const http = require('http');
+const https = require('https');
+let NodeXMLHttpRequest = null;
+try {
+    NodeXMLHttpRequest = require('xmlhttprequest').XMLHttpRequest;
+} catch (e) {
+    // xmlhttprequest is an optional dependency, only needed for the 'xhr'
+    // transport in NodeJS.
+}
+/* end-node-import */
+
+/**
+ * Built-in transports used by RandomOrgClient to deliver JSON-RPC requests to
+ * the server.
+ *
+ * A transport is a function which posts a JSON-encoded request body to the
+ * supplied URL and returns a Promise which, if resolved successfully,
+ * represents an object with the HTTP status code of the response mapped to
+ * 'status' and the response body (as text) mapped to 'body'. If the server
+ * does not respond within the timeout (in milliseconds) supplied in the
+ * options, the Promise should be rejected with a RandomOrgSendTimeoutError.
+ * If the AbortSignal supplied in the options ('signal') is aborted, the
+ * request should be cancelled and the Promise rejected with a
+ * RandomOrgAbortError. Any other failure to deliver the request should also reject the Promise.
+ *
+ * Custom transports following the same signature can be supplied to the
+ * RandomOrgClient constructor, e.g. to route requests through a proxy or to
+ * replace the server with a fake one in tests.
+ */
+
+/**
+ * Transport using the native fetch() function, available in modern browsers
+ * and NodeJS v18+.
+ * @param {string} url The URL the request is sent to.
+ * @param {string} body The JSON-encoded request.
+ * @param {{timeout?: number, signal?: AbortSignal}} options An object which
+ *     may contain any of the following optional parameters:
+ * @param {number} [options.timeout=0] Maximum time in milliseconds to wait
+ *     for the server response, or 0 to wait indefinitely (default 0).
+ * @param {AbortSignal} [options.signal] Signal which cancels the request when
+ *     aborted.
+ * @returns {Promise<{status: number, body: string}>} A Promise which, if
+ *     resolved successfully, represents the status code and body of the
+ *     server response.
+ * @throws {RandomOrgSendTimeoutError} Thrown when the server does not respond
+ *     within the timeout.
+ * @throws {RandomOrgAbortError} Thrown when the request is aborted.
+ */
+exports.fetch = async function fetchTransport(url, body, { timeout = 0, signal = null } = {}) {
+    if (signal && signal.aborted) {
+        throw abortError();
+    }
+
+    let controller = new AbortController();
+    let timedOut = false;
+    let timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout) : null;
+    let onAbort = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        let response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            signal: controller.signal
+        });
+        return { status: response.status, body: await response.text() };
+    } catch (e) {
+        if (timedOut) {
+            throw timeoutError(timeout);
+        } else if (controller.signal.aborted) {
+            throw abortError();
+        }
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+/**
+ * Transport using NodeJS' https module (or the http module for URLs using the
+ * 'http:' protocol, e.g. a local emulator). This transport is not available in
+ * browsers.
+ * @param {string} url The URL the request is sent to.
+ * @param {string} body The JSON-encoded request.
+ * @param {{timeout?: number, signal?: AbortSignal}} options An object which
+ *     may contain any of the following optional parameters:
+ * @param {number} [options.timeout=0] Maximum time in milliseconds to wait
+ *     for the server response, or 0 to wait indefinitely (default 0).
+ * @param {AbortSignal} [options.signal] Signal which cancels the request when
+ *     aborted.
+ * @returns {Promise<{status: number, body: string}>} A Promise which, if
+ *     resolved successfully, represents the status code and body of the
+ *     server response.
+ * @throws {RandomOrgSendTimeoutError} Thrown when the server does not respond
+ *     within the timeout.
+ * @throws {RandomOrgAbortError} Thrown when the request is aborted.
+ */
+exports.https = function httpsTransport(url, body, { timeout = 0, signal = null } = {}) {
+    let client = String(url).startsWith('http:') ? http : https;
+
+    return new Promise(function(resolve, reject) {
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        let onAbort = () => request.destroy(abortError());
+        let request = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, response => {
+            let chunks = [];
+            response.setEncoding('utf8');
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve({ status: response.statusCode, body: chunks.join('') });
+            });
+            response.on('error', e => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                reject(e);
+            });
+        });
+
+        if (timeout > 0) {
+            request.setTimeout(timeout, () => {
+                request.destroy(timeoutError(timeout));
+            });
+        }
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        request.on('error', e => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            reject(e);
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Transport using XMLHttpRequest. In NodeJS, this requires the optional
+ * xmlhttprequest package to be installed.
+ * @param {string} url The URL the request is sent to.
+ * @param {string} body The JSON-encoded request.
+ * @param {{timeout?: number, signal?: AbortSignal}} options An object which
+ *     may contain any of the following optional parameters:
+ * @param {number} [options.timeout=0] Maximum time in milliseconds to wait
+ *     for the server response, or 0 to wait indefinitely (default 0).
+ * @param {AbortSignal} [options.signal] Signal which cancels the request when
+ *     aborted.
+ * @returns {Promise<{status: number, body: string}>} A Promise which, if
+ *     resolved successfully, represents the status code and body of the
+ *     server response.
+ * @throws {RandomOrgSendTimeoutError} Thrown when the server does not respond
+ *     within the timeout.
+ * @throws {RandomOrgAbortError} Thrown when the request is aborted.
+ */
+exports.xhr = function xhrTransport(url, body, { timeout = 0, signal = null } = {}) {
+    let Xhr = typeof XMLHttpRequest !== 'undefined' ? XMLHttpRequest
+        : (typeof NodeXMLHttpRequest !== 'undefined' ? NodeXMLHttpRequest : null);
+
+    return new Promise(function(resolve, reject) {
+        if (Xhr == null) {
+            reject(new Error('XMLHttpRequest is not available, please install '
+                + 'the xmlhttprequest package or use a different transport.'));
+            return;
+        }
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        // errors must reject the Promise, errors thrown in the callbacks
+        // would not reach the caller
+        let xhr = new Xhr();
+        let onAbort = () => {
+            xhr.abort();
+            reject(abortError());
+        };
+        let removeAbortListener = () => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        xhr.open('POST', url);
+        xhr.setRequestHeader('Content-Type', 'application/json');
+        xhr.ontimeout = function() {
+            removeAbortListener();
+            reject(timeoutError(timeout));
+        };
+        xhr.onload = function() {
+            removeAbortListener();
+            resolve({ status: xhr.status, body: xhr.responseText });
+        };
+        xhr.onerror = function(e) {
+            removeAbortListener();
+            if (e instanceof Error) {
+                reject(e);
+            } else {
+                reject(new Error('An error occurred during the transaction'
+                    + (xhr.responseText ? ': ' + xhr.responseText : '.')));
+            }
+        };
+        xhr.timeout = timeout;
+        xhr.send(body);
+    });
+}
+
+/**
+ * Returns the transport function to be used for the supplied transport
+ * option.
+ * @param {(string|function(string, string, Object): Promise<Object>)} [transport]
+ *     Either the name of one of the built-in transports ('fetch', 'https' or
+ *     'xhr'), a custom transport function or undefined to select the default
+ *     transport for the current environment: the https module in NodeJS,
+ *     fetch() in browsers which support it and XMLHttpRequest otherwise.
+ * @returns {function(string, string, Object): Promise<Object>} The transport
+ *     function.
+ */
+exports.resolve = function resolveTransport(transport) {
+    if (typeof transport === 'function') {
+        return transport;
+    }
+
+    if (transport == null) {
+        if (typeof https !== 'undefined') {
+            return exports.https;
+        } else if (typeof fetch === 'function') {
+            return exports.fetch;
+        } else {
+            return exports.xhr;
+        }
+    }
+
+    if (transport === 'fetch' || transport === 'https' || transport === 'xhr') {
+        return exports[transport];
+    }
+
+    throw new TypeError('Unknown transport: ' + transport);
+}
+
+/** Helper function to create the error thrown when a request times out. */
+function timeoutError(timeout) {
+    return new RandomOrgSendTimeoutError('The maximum allowed blocking time of '
+        + timeout + ' millis has been exceeded while waiting for the server to '
+        + 'respond.');
+}
@@ -0,0 +1,92 @@
+'use strict';
+
+const {
+    RandomOrgAbortError
+} = require('./RandomOrgErrors.js');
+
+/**
+ * Internal helper functions shared by the classes of this library. These are
+ * not part of the public API.
+ */
+
+/**
+ * Creates the error thrown when an operation is cancelled through an
+ * AbortSignal.
+ * @returns {RandomOrgAbortError} The error.
+ */
+exports.abortError = function abortError() {
+    return new RandomOrgAbortError('The operation was aborted.');
+}
+
+/**
+ * Throws a RandomOrgAbortError if the supplied signal has been aborted.
+ * @param {AbortSignal} [signal] The signal to check, may be null.
+ * @throws {RandomOrgAbortError} Thrown when the signal has been aborted.
+ */
+exports.throwIfAborted = function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw exports.abortError();
+    }
+}
+
+/**
+ * Returns a Promise which settles like the supplied Promise, unless the signal
+ * is aborted first, in which case it is rejected with a RandomOrgAbortError.
+ * @param {Promise<any>} promise The Promise to wait for.
+ * @param {AbortSignal} [signal] The signal which cancels the wait, may be null.
+ * @returns {Promise<any>} The Promise.
+ */
+exports.abortable = function abortable(promise, signal) {
+    if (signal == null) {
+        return promise;
+    }
+
+    return new Promise(function(resolve, reject) {
+        if (signal.aborted) {
+            reject(exports.abortError());
+            return;
+        }
+
+        let onAbort = () => reject(exports.abortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(value => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+        }, error => {
+            signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Returns a Promise which is resolved after the supplied time, or rejected
+ * with a RandomOrgAbortError as soon as the signal is aborted.
+ * @param {number} ms Time to wait in milliseconds.
+ * @param {AbortSignal} [signal] The signal which cancels the wait, may be null.
+ * @returns {Promise<void>} The Promise.
+ */
+exports.sleep = function sleep(ms, signal = null) {
+    return new Promise(function(resolve, reject) {
+        if (signal && signal.aborted) {
+            reject(exports.abortError());
+            return;
+        }
+
+        let onAbort = () => {
+            clearTimeout(timer);
+            reject(exports.abortError());
+        };
+        let timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
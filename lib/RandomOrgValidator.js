@@ -0,0 +1,184 @@
+'use strict';
+
+const {
+    RandomOrgRANDOMORGError
+} = require('./RandomOrgErrors.js');
+
+/**
+ * Internal client-side validation of request parameters, used by
+ * RandomOrgClient. This is not part of the public API.
+ *
+ * The documented limits of the generate methods are checked before a request
+ * is sent, throwing the RandomOrgRANDOMORGError the server would return:
+ * 202 (parameter out of range), 203 (parameter too long), 204 (parameter too
+ * short), 300 (min greater than max) and 301 (too many values requested
+ * without replacement). Parameters of an unexpected type are left for the
+ * server to reject.
+ */
+
+// Limits of the parameters of each method, see
+// https://api.random.org/json-rpc/4/basic
+const LIMITS = {
+    generateIntegers: { n: [ 1, 1e4 ], min: [ -1e9, 1e9 ], max: [ -1e9, 1e9 ] },
+    generateIntegerSequences: { n: [ 1, 1e3 ], length: [ 1, 1e4 ], min: [ -1e9, 1e9 ],
+        max: [ -1e9, 1e9 ] },
+    generateDecimalFractions: { n: [ 1, 1e4 ], decimalPlaces: [ 1, 20 ] },
+    generateGaussians: { n: [ 1, 1e4 ], mean: [ -1e6, 1e6 ],
+        standardDeviation: [ -1e6, 1e6 ], significantDigits: [ 2, 20 ] },
+    generateStrings: { n: [ 1, 1e4 ], length: [ 1, 20 ] },
+    generateUUIDs: { n: [ 1, 1e3 ] },
+    generateBlobs: { n: [ 1, 100 ], size: [ 1, 1048576 ] }
+};
+
+const BASES = [ 2, 8, 10, 16 ];
+const MAX_CHARACTERS = 80;
+const MAX_TOTAL_LENGTH = 1e4;
+const MAX_USER_DATA_LENGTH = 1000;
+
+/**
+ * Validates the parameters of a request.
+ * @param {string} method The method of the request, e.g. 'generateIntegers'.
+ *     Methods without client-side validation are ignored.
+ * @param {Object} params The parameters of the request.
+ * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid.
+ */
+exports.validate = function validate(method, params) {
+    let basicMethod = method.replace('Signed', '');
+    let limits = LIMITS[basicMethod];
+    if (!limits) {
+        return;
+    }
+
+    for (let name of Object.keys(limits)) {
+        if (!Array.isArray(params[name])) {
+            checkRange(name, params[name], limits[name]);
+        }
+    }
+
+    if (basicMethod == 'generateIntegers') {
+        checkBase(params.base);
+        checkDomain(params.n, params.min, params.max, params.replacement);
+    } else if (basicMethod == 'generateIntegerSequences') {
+        checkSequences(params, limits);
+    } else if (basicMethod == 'generateDecimalFractions') {
+        if (params.replacement === false) {
+            checkCount(params.n, Math.pow(10, params.decimalPlaces));
+        }
+    } else if (basicMethod == 'generateStrings') {
+        checkStrings(params);
+    } else if (basicMethod == 'generateBlobs') {
+        if (typeof params.size == 'number' && params.size % 8 != 0) {
+            throw error(202, 'Parameter \'size\' is out of range. Allowable values are '
+                + '[8, 1048576] and must be divisible by 8');
+        }
+    }
+
+    if (method != basicMethod && params.userData != null
+            && JSON.stringify(params.userData).length > MAX_USER_DATA_LENGTH) {
+        throw error(203, 'Parameter \'userData\' is too long. The maximum length is '
+            + MAX_USER_DATA_LENGTH);
+    }
+}
+
+/** Helper function to validate the parameters of integer sequences. */
+function checkSequences(params, limits) {
+    let n = params.n;
+    let values = {};
+
+    for (let name of [ 'length', 'min', 'max', 'replacement', 'base' ]) {
+        let value = params[name];
+        if (Array.isArray(value)) {
+            if (typeof n == 'number' && value.length > n) {
+                throw error(203, 'Parameter \'' + name + '\' is too long. The maximum '
+                    + 'length is ' + n);
+            } else if (typeof n == 'number' && value.length < n) {
+                throw error(204, 'Parameter \'' + name + '\' is too short. The minimum '
+                    + 'length is ' + n);
+            }
+            values[name] = value;
+        } else {
+            values[name] = Array.from({ length: n }, () => value);
+        }
+    }
+
+    let total = 0;
+    for (let length of values.length) {
+        checkRange('length', length, limits.length);
+        total += typeof length == 'number' ? length : 0;
+    }
+    if (total > MAX_TOTAL_LENGTH) {
+        throw error(202, 'Parameter \'length\' is out of range. Allowable values are [1, '
+            + MAX_TOTAL_LENGTH + ']');
+    }
+
+    for (let i = 0; i < values.length.length; i++) {
+        checkRange('min', values.min[i], limits.min);
+        checkRange('max', values.max[i], limits.max);
+        checkBase(values.base[i]);
+        checkDomain(values.length[i], values.min[i], values.max[i], values.replacement[i]);
+    }
+}
+
+/** Helper function to validate the parameters of strings. */
+function checkStrings(params) {
+    if (typeof params.characters != 'string') {
+        return;
+    }
+
+    let characters = Array.from(params.characters).length;
+    if (characters > MAX_CHARACTERS) {
+        throw error(203, 'Parameter \'characters\' is too long. The maximum length is '
+            + MAX_CHARACTERS);
+    } else if (characters < 1) {
+        throw error(204, 'Parameter \'characters\' is too short. The minimum length is 1');
+    }
+
+    if (params.replacement === false && typeof params.length == 'number') {
+        checkCount(params.n, Math.pow(characters, params.length));
+    }
+}
+
+/** Helper function to validate that a number is within its limits. */
+function checkRange(name, value, [ min, max ]) {
+    if (typeof value == 'number' && (value < min || value > max)) {
+        throw error(202, 'Parameter \'' + name + '\' is out of range. Allowable values '
+            + 'are [' + min + ', ' + max + ']');
+    }
+}
+
+/** Helper function to validate a base. */
+function checkBase(base) {
+    if (typeof base == 'number' && !BASES.includes(base)) {
+        throw error(202, 'Parameter \'base\' is out of range. Allowable values are '
+            + BASES.join(', '));
+    }
+}
+
+/**
+ * Helper function to validate that min does not exceed max, and that the
+ * range contains enough values if replacement is false.
+ */
+function checkDomain(n, min, max, replacement) {
+    if (typeof min != 'number' || typeof max != 'number') {
+        return;
+    }
+    if (min > max) {
+        throw error(300, 'Parameter \'min\' must be less than or equal to parameter \'max\'');
+    }
+    if (replacement === false) {
+        checkCount(n, max - min + 1);
+    }
+}
+
+/** Helper function to validate the number of values requested without replacement. */
+function checkCount(n, domain) {
+    if (typeof n == 'number' && n > domain) {
+        throw error(301, 'You requested ' + n + ' values without replacement but the '
+            + 'domain you specified only contains ' + domain);
+    }
+}
+
+/** Helper function to create an error in the form thrown by RandomOrgClient. */
+function error(code, message) {
+    return new RandomOrgRANDOMORGError('Error ' + code + ': ' + message, code);
+}
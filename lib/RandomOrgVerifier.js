@@ -0,0 +1,88 @@
+'use strict';
+/* node-import */
+const nodeCrypto = require('crypto');
+/* end-node-import */
+
+/**
+ * Verifies signatures of responses from the Signed API without contacting the
+ * server, e.g. to audit archived results in an environment without network
+ * access.
+ *
+ * Signatures are SHA-512 RSA signatures (RSASSA-PKCS1-v1_5) of the random
+ * object serialized as JSON, exactly as it was returned by the server. The
+ * public key has to be supplied as a PEM-encoded SubjectPublicKeyInfo
+ * ('-----BEGIN PUBLIC KEY-----'), i.e. RANDOM.ORG's public key or, in tests,
+ * the key of a RandomOrgEmulator. The library does not ship RANDOM.ORG's key,
+ * it has to be obtained from RANDOM.ORG and supplied by the application. In
+ * NodeJS, the crypto module is used, otherwise the Web Crypto API.
+ */
+module.exports = class RandomOrgVerifier {
+    #publicKey = null;
+    // Promise for the key imported into the Web Crypto API
+    #cryptoKey = null;
+
+    /**
+     * Constructor.
+     * @param {string} publicKey The PEM-encoded public key used to verify
+     *     signatures.
+     * @throws {TypeError} Thrown when no public key is supplied.
+     */
+    constructor(publicKey) {
+        if (typeof publicKey !== 'string' || !publicKey.includes('-----BEGIN PUBLIC KEY-----')) {
+            throw new TypeError('A PEM-encoded public key (\'-----BEGIN PUBLIC KEY-----\') '
+                + 'is required to verify signatures offline.');
+        }
+        this.#publicKey = publicKey;
+    }
+
+    /**
+     * Verifies the signature of a response previously received from one of
+     * the methods in the Signed API, without contacting the server.
+     * @param {Object} random The random field from a response returned by
+     *     RANDOM.ORG through one of the Signed API methods.
+     * @param {string} signature The base64-encoded signature field from the
+     *     same response that the random field originates from.
+     * @returns {Promise<boolean>} A Promise which, if resolved successfully,
+     *     represents whether the result could be verified (true) or not (false).
+     */
+    async verify(random, signature) {
+        let data = RandomOrgVerifier.serialize(random);
+
+        if (typeof nodeCrypto !== 'undefined') {
+            return nodeCrypto.createVerify('RSA-SHA512').update(data)
+                .verify(this.#publicKey, signature, 'base64');
+        }
+
+        if (this.#cryptoKey == null) {
+            this.#cryptoKey = crypto.subtle.importKey('spki',
+                this.#decodeBase64(this.#publicKey.replace(/-----[^-]+-----|\s/g, '')),
+                { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }, false, [ 'verify' ]);
+        }
+
+        let signatureBytes;
+        try {
+            signatureBytes = this.#decodeBase64(signature);
+        } catch (e) {
+            return false;
+        }
+
+        return crypto.subtle.verify('RSASSA-PKCS1-v1_5', await this.#cryptoKey,
+            signatureBytes, new TextEncoder().encode(data));
+    }
+
+    /**
+     * Returns the serialization of a random object which is signed, i.e. its
+     * JSON encoding with the fields in the order returned by the server.
+     * @param {Object} random The random field from a response returned
+     *     through one of the Signed API methods.
+     * @returns {string} The serialized random object.
+     */
+    static serialize(random) {
+        return JSON.stringify(random);
+    }
+
+    /** Helper function to decode a base64 string. */
+    #decodeBase64 = s => {
+        return Uint8Array.from(atob(s), c => c.charCodeAt(0));
+    }
+}
@@ -6,7 +6,14 @@
  * */
 import RandomOrgClient from '../RandomOrgClient.js';
 import RandomOrgCache from '../RandomOrgCache.js';
+import RandomOrgBatch from '../RandomOrgBatch.js';
+import RandomOrgClientPool from '../RandomOrgClientPool.js';
 import * as Errors from '../RandomOrgErrors.js';
+import * as Transports from '../RandomOrgTransports.js';
+import * as StateStores from '../RandomOrgStateStores.js';
+import RandomOrgFileCoordinator from '../RandomOrgFileCoordinator.js';
+import RandomOrgEmulator from '../RandomOrgEmulator.js';
+import RandomOrgVerifier from '../RandomOrgVerifier.js';
 
 let RandomOrgRANDOMORGError = Errors.default.RandomOrgRANDOMORGError;
 let RandomOrgBadHTTPResponseError = Errors.default.RandomOrgBadHTTPResponseError;
@@ -16,11 +23,22 @@ let RandomOrgJSONRPCError = Errors.default.RandomOrgJSONRPCError;
 let RandomOrgKeyNotRunningError = Errors.default.RandomOrgKeyNotRunningError;
 let RandomOrgSendTimeoutError = Errors.default.RandomOrgSendTimeoutError;
 let RandomOrgCacheEmptyError = Errors.default.RandomOrgCacheEmptyError;
+let RandomOrgAbortError = Errors.default.RandomOrgAbortError;
+
+let RandomOrgTransports = Transports.default;
+let RandomOrgStateStores = StateStores.default;
 
 export {
     RandomOrgClient as default,
     RandomOrgClient,
     RandomOrgCache,
+    RandomOrgBatch,
+    RandomOrgClientPool,
+    RandomOrgTransports,
+    RandomOrgStateStores,
+    RandomOrgFileCoordinator,
+    RandomOrgEmulator,
+    RandomOrgVerifier,
     RandomOrgBadHTTPResponseError,
     RandomOrgInsufficientBitsError,
     RandomOrgInsufficientRequestsError,
@@ -28,5 +46,6 @@ export {
     RandomOrgKeyNotRunningError,
     RandomOrgRANDOMORGError,
     RandomOrgSendTimeoutError,
-    RandomOrgCacheEmptyError
+    RandomOrgCacheEmptyError,
+    RandomOrgAbortError
 };
\ No newline at end of file
@@ -1,5 +1,12 @@
 const RandomOrgClient = require('./RandomOrgClient');
 const RandomOrgCache = require('./RandomOrgCache');
+const RandomOrgBatch = require('./RandomOrgBatch');
+const RandomOrgClientPool = require('./RandomOrgClientPool');
+const RandomOrgTransports = require('./RandomOrgTransports');
+const RandomOrgStateStores = require('./RandomOrgStateStores');
+const RandomOrgFileCoordinator = require('./RandomOrgFileCoordinator');
+const RandomOrgEmulator = require('./RandomOrgEmulator');
+const RandomOrgVerifier = require('./RandomOrgVerifier');
 const {
     RandomOrgBadHTTPResponseError,
     RandomOrgInsufficientBitsError,
@@ -8,13 +15,21 @@ const {
     RandomOrgKeyNotRunningError,
     RandomOrgRANDOMORGError,
     RandomOrgSendTimeoutError,
-    RandomOrgCacheEmptyError
+    RandomOrgCacheEmptyError,
+    RandomOrgAbortError
 } = require('./RandomOrgErrors');
 
 module.exports = {
     //default: RandomOrgClient,
     RandomOrgClient,
     RandomOrgCache,
+    RandomOrgBatch,
+    RandomOrgClientPool,
+    RandomOrgTransports,
+    RandomOrgStateStores,
+    RandomOrgFileCoordinator,
+    RandomOrgEmulator,
+    RandomOrgVerifier,
     RandomOrgBadHTTPResponseError,
     RandomOrgInsufficientBitsError,
     RandomOrgInsufficientRequestsError,
@@ -22,5 +37,6 @@ module.exports = {
     RandomOrgKeyNotRunningError,
     RandomOrgRANDOMORGError,
     RandomOrgSendTimeoutError,
-    RandomOrgCacheEmptyError
+    RandomOrgCacheEmptyError,
+    RandomOrgAbortError
 };
\ No newline at end of file
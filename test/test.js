@@ -2,11 +2,20 @@
 import RandomOrgClient, * as errors from '../lib/esm/index.js';
 /* node-import */
 import { assert } from 'chai';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
 /* end-node-import */
 
-// Add the API key to be used for testing here:
+// Add the API key to be used for testing here. If it is left unchanged, the
+// tests are run offline against a RandomOrgEmulator instead of the server.
 const apiKey = 'YOUR_API_KEY_HERE';
-const roc = new RandomOrgClient(apiKey);
+const otherApiKey = 'emulated-other-api-key';
+const emulator = apiKey == 'YOUR_API_KEY_HERE'
+    ? new errors.RandomOrgEmulator({ apiKeys: [ apiKey, otherApiKey ] }) : null;
+const clientOptions = emulator ? { transport: emulator.transport } : {};
+const roc = new RandomOrgClient(apiKey, clientOptions);
 
 // If this is set to true, output from each test will be logged
 // to the console, e.g. the data returned by the server or the
@@ -110,100 +119,1906 @@ describe('Errors', function() {
     });
 
     it('RandomOrgRANDOMORGError 400: API key does not exist', async function() {
+        let roc2 = new RandomOrgClient('ffffffff-ffff-ffff-ffff-ffffffffffff', clientOptions);
+
+        try {
+            let response = await roc2.generateIntegers(5, 0, 10);
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 400.');
+        } catch(e) {
+            if (logResponses) {
+                console.log(e.message);
+            }
+            assert(e instanceof errors.RandomOrgRANDOMORGError
+                && e.getCode() == 400, 'Should have thrown RandomOrgRANDOMORGError '
+                + '400, instead threw ' + e.message);
+        }
+    });
+
+    it('RandomOrgRANDOMORGError 420: ticket does not exist', async function() {
+        try {
+            let response = await roc.generateSignedUUIDs(1, { ticketId: 'ffffffffffffffff' });
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 420.');
+        } catch(e) {
+            if (logResponses) {
+                console.log(e.message);
+            }
+            assert(e instanceof errors.RandomOrgRANDOMORGError
+                && e.getCode() == 420, 'Should have thrown RandomOrgRANDOMORGError '
+                + '420, instead threw ' + e.message);
+        }
+    });
+
+    it('RandomOrgRANDOMORGError 421: ticket exists, but not for specified API key', async function() {
+        try {
+            let ticketId = 'd5b8f6d03f99a134';
+            if (emulator) {
+                // the emulator only knows tickets created through it
+                let roc2 = new RandomOrgClient(otherApiKey, clientOptions);
+                ticketId = (await roc2.createTickets(1, true))[0].ticketId;
+            }
+            let response = await roc.generateSignedUUIDs(1, { ticketId: ticketId });
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 421.');
+        } catch(e) {
+            if (logResponses) {
+                console.log(e.message);
+            }
+            assert(e instanceof errors.RandomOrgRANDOMORGError
+                && e.getCode() == 421, 'Should have thrown RandomOrgRANDOMORGError '
+                + '421, instead threw ' + e.message);
+        }
+    });
+
+    it('RandomOrgRANDOMORGError 422: ticket has already been used', async function() {
+        try {
+            let tickets = await roc.createTickets(1, true);
+            let ticketId = tickets[0].ticketId;
+            if (logResponses) {
+                console.log('ticket id: ' + ticketId);
+            }
+            // use ticket and then attempt to reuse it
+            let response = await roc.generateSignedUUIDs(1, { ticketId: ticketId });
+            let response2 = await roc.generateSignedUUIDs(1, { ticketId: ticketId });
+
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 422.');
+        } catch(e) {
+            if (logResponses) {
+                console.log(e.message);
+            }
+            assert(e instanceof errors.RandomOrgRANDOMORGError
+                && e.getCode() == 422);
+        }
+    });
+});
+
+describe('General', function() {
+    it('reusing an API key returns a previously created instance', function() {
+        let roc2 = new RandomOrgClient(apiKey);
+        assert(roc == roc2, 'Error: did not return the same instance.');
+    });
+
+    it('a different API key returns a new instance', function() {
         let roc2 = new RandomOrgClient('ffffffff-ffff-ffff-ffff-ffffffffffff');
+        assert(roc != roc2, 'Error: returned the same instance.');
+    });
+
+    it('create() returns a separate instance with its own options', async function() {
+        let roc2 = RandomOrgClient.create(apiKey, { httpTimeout: 1000 });
+        assert(roc != roc2, 'Error: returned the same instance.');
+        assert(new RandomOrgClient(apiKey) == roc, 'Error: create() should not replace '
+            + 'the instance returned by the constructor.');
+        roc2.dispose();
+    });
+
+    it('instances using the same API key share its rate-limit state', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ advisoryDelay: 200 });
+        let roc2 = RandomOrgClient.create('instances-test-shared', { transport: emulator2.transport });
+        let roc3 = RandomOrgClient.create('instances-test-shared', { transport: emulator2.transport });
+        let events = 0;
+        roc3.on('backoffStart', () => events++);
+
+        await roc2.generateIntegers(1, 0, 1);
+        assert(await roc3.getRequestsLeft() == await roc2.getRequestsLeft());
+
+        // the request of roc3 obeys the advisory delay of the response to roc2
+        let start = Date.now();
+        await roc3.generateIntegers(1, 0, 1);
+        assert(Date.now() - start >= 150, 'Error: the advisory delay was not obeyed.');
+
+        emulator2.injectError(402);
+        await assertRejects(roc2.generateIntegers(1, 0, 1),
+            errors.RandomOrgInsufficientRequestsError);
+        assert(roc3.isBackedOff() && events == 1, 'Error: the back-off should be shared.');
+
+        roc2.dispose();
+        roc3.dispose();
+    });
+
+    it('dispose() unregisters the instance and rejects further requests', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('instances-test-dispose', { transport: emulator2.transport });
+        let cache = roc2.createIntegerCache(1, 0, 1, { cacheSize: 2 });
+
+        roc2.dispose();
+        assert(roc2.isDisposed() && cache.isPaused());
+        assert(new RandomOrgClient('instances-test-dispose') != roc2,
+            'Error: the disposed instance should have been unregistered.');
+
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+            assert.fail('Should have thrown an Error.');
+        } catch (e) {
+            assert(/disposed/.test(e.message), 'Should have thrown an Error for the '
+                + 'disposed instance, instead threw ' + e.message);
+        }
+    });
+
+    it('getRequestsLeft()', async function() {
+        let response = await roc.getRequestsLeft();
+        assert(response >= 0, 'Error: should have returned a number '
+            + ' >= 0, instead retuned ' + response);
+        if (logResponses) {
+            console.log('requests remaining: ' + response);
+        }
+    });
+
+    it('getUsage()', async function() {
+        let response = await roc.getUsage();
+        assert(response.status == 'running' && response.bitsLeft >= 0
+            && response.requestsLeft >= 0 && response.totalBits >= 0
+            && response.totalRequests >= 0 && typeof response.creationTime == 'string',
+            'Error: returned incomplete usage ' + JSON.stringify(response));
+        if (logResponses) {
+            console.log(response);
+        }
+    });
+
+    it('getCachedUsage() returns the known usage without contacting the server', async function() {
+        let sent = [];
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('usage-test-cached', {
+            transport: (url, body, options) => {
+                sent.push(JSON.parse(body).method);
+                return emulator2.transport(url, body, options);
+            }
+        });
+
+        assert(roc2.getCachedUsage() == null);
+
+        let usage = await roc2.getUsage();
+        await roc2.getUsage();
+        assert(sent.length == 1, 'Error: recent usage should not be requested again.');
+
+        await roc2.generateIntegers(10, 0, 255);
+        let cached = roc2.getCachedUsage();
+        assert(cached.bitsLeft == usage.bitsLeft - 80 && cached.totalBits == usage.totalBits + 80
+            && cached.totalRequests == usage.totalRequests + 1);
+        assert.deepEqual(cached, await roc2.getUsage({ forceRefresh: true }));
+        assert.deepEqual(sent, [ 'getUsage', 'generateIntegers', 'getUsage' ]);
+    });
+
+    it('getBitsLeft()', async function() {
+        let response = await roc.getBitsLeft();
+        assert(response >= 0, 'Error: should have returned a number '
+            + ' >= 0, instead retuned ' + response);
+        if (logResponses) {
+            console.log('bits remaining: ' + response);
+        }
+    });
+})
+
+describe('Transports', function() {
+    it('requests are delivered through a custom transport', async function() {
+        let sent = [];
+        let roc2 = new RandomOrgClient('transport-test-custom', {
+            httpTimeout: 5000,
+            transport: async (url, body, options) => {
+                sent.push({ url: url, body: JSON.parse(body), options: options });
+                return fakeResponse(sent[0].body, [ 1, 2, 3 ]);
+            }
+        });
+
+        let response = await roc2.generateIntegers(3, 1, 3);
+
+        assert.deepEqual(response, [ 1, 2, 3 ]);
+        assert(sent.length == 1, 'Error: transport should have been called once.');
+        assert(sent[0].url == 'https://api.random.org/json-rpc/4/invoke');
+        assert(sent[0].body.method == 'generateIntegers');
+        assert(sent[0].body.params.apiKey == 'transport-test-custom');
+        assert(sent[0].options.timeout == 5000);
+    });
+
+    it('a non-2xx status from the transport rejects with RandomOrgBadHTTPResponseError', async function() {
+        let roc2 = new RandomOrgClient('transport-test-status', {
+            transport: async () => ({ status: 503, body: 'Service Unavailable' })
+        });
+
+        try {
+            await roc2.generateIntegers(3, 1, 3);
+            assert.fail('Should have thrown RandomOrgBadHTTPResponseError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgBadHTTPResponseError, 'Should have '
+                + 'thrown RandomOrgBadHTTPResponseError, instead threw ' + e.message);
+        }
+    });
+
+    it('requests are sent to the configured endpoint', async function() {
+        let urls = [];
+        let roc2 = new RandomOrgClient('transport-test-endpoint', {
+            endpoint: 'http://localhost:8080/json-rpc/4/invoke',
+            transport: async (url, body) => {
+                urls.push(url);
+                return fakeResponse(JSON.parse(body), [ 1 ]);
+            }
+        });
+
+        await roc2.generateIntegers(1, 1, 1);
+
+        assert.deepEqual(urls, [ 'http://localhost:8080/json-rpc/4/invoke' ]);
+    });
+
+    it('signature verification URLs and forms use the configured signatureFormUrl', function() {
+        let formUrl = 'http://localhost:8080/signatures/form';
+        let roc2 = new RandomOrgClient('transport-test-form', { signatureFormUrl: formUrl });
+
+        let url = roc2.createUrl({ data: [ 1 ] }, 'c2lnbmF0dXJl');
+        assert(url.startsWith(formUrl + '?format=json&random='), 'Error: unexpected URL ' + url);
+
+        let html = roc2.createHtml({ data: [ 1 ] }, 'c2lnbmF0dXJl');
+        assert(html.startsWith('<form action=\'' + formUrl + '\''), 'Error: unexpected form ' + html);
+
+        // attribute values are escaped
+        let roc3 = new RandomOrgClient('transport-test-form-escaped',
+            { signatureFormUrl: formUrl + '?a=1&b=\'><script>' });
+        html = roc3.createHtml({ data: [ 1 ], userData: 'it\'s' }, 'c2lnbmF0dXJl');
+        assert(html.startsWith('<form action=\'' + formUrl + '?a=1&amp;b=&#39;><script>\''),
+            'Error: unexpected form ' + html);
+        assert(html.includes('value=\'{"data":[1],"userData":"it&#39;s"}\''),
+            'Error: unexpected form ' + html);
+    });
+
+    it('transport timeouts, 5xx responses and network errors reject the request', async function() {
+        let failures = {
+            'timeout': [ () => Promise.reject(new errors.RandomOrgSendTimeoutError('timeout')),
+                errors.RandomOrgSendTimeoutError ],
+            '5xx': [ async () => ({ status: 500, body: '' }), errors.RandomOrgBadHTTPResponseError ],
+            'network': [ () => Promise.reject(new TypeError('fetch failed')), TypeError ]
+        };
+
+        for (let name of Object.keys(failures)) {
+            let roc2 = new RandomOrgClient('transport-test-failure-' + name,
+                { transport: failures[name][0] });
+            await assertRejects(roc2.generateIntegers(1, 1, 1), failures[name][1]);
+        }
+    });
+
+    it('XMLHttpRequest timeouts, 5xx responses and errors reject the request', async function() {
+        let outcomes = {
+            'timeout': [ xhr => xhr.ontimeout(), errors.RandomOrgSendTimeoutError ],
+            '5xx': [ xhr => {
+                xhr.status = 502;
+                xhr.responseText = 'Bad Gateway';
+                xhr.onload();
+            }, errors.RandomOrgBadHTTPResponseError ],
+            'error': [ xhr => xhr.onerror({ type: 'error' }), Error,
+                'An error occurred during the transaction.' ]
+        };
+        let OriginalXMLHttpRequest = globalThis.XMLHttpRequest;
+
+        try {
+            for (let name of Object.keys(outcomes)) {
+                globalThis.XMLHttpRequest = fakeXMLHttpRequest(outcomes[name][0]);
+                let roc2 = new RandomOrgClient('transport-test-xhr-' + name,
+                    { transport: RandomOrgClient.TRANSPORT_XHR, httpTimeout: 100 });
+                let e = await assertRejects(roc2.generateIntegers(1, 1, 1), outcomes[name][1]);
+                if (outcomes[name][2]) {
+                    assert(e.message == outcomes[name][2], 'Should have thrown the error of '
+                        + 'the xhr transport, instead threw ' + e.message);
+                }
+            }
+        } finally {
+            globalThis.XMLHttpRequest = OriginalXMLHttpRequest;
+        }
+    });
+
+    it('XMLHttpRequest removes its abort listener once settled', async function() {
+        let outcomes = [
+            xhr => xhr.onload(),
+            xhr => xhr.onerror({ type: 'error' }),
+            xhr => xhr.ontimeout()
+        ];
+        let listeners = new Set();
+        let signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+        let OriginalXMLHttpRequest = globalThis.XMLHttpRequest;
+
+        try {
+            for (let outcome of outcomes) {
+                globalThis.XMLHttpRequest = fakeXMLHttpRequest(outcome);
+                let request = errors.RandomOrgTransports.xhr('https://example.org', '{}',
+                    { timeout: 100, signal: signal });
+                assert(listeners.size == 1);
+                await request.catch(() => {});
+                assert(listeners.size == 0, 'Error: the abort listener should have been removed.');
+            }
+        } finally {
+            globalThis.XMLHttpRequest = OriginalXMLHttpRequest;
+        }
+    });
+
+    it('the https transport removes its abort listener once settled', async function() {
+        let listeners = new Set();
+        let signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+        // the first response fails midway, the second never arrives
+        let server = http.createServer((request, response) => {
+            if (request.url == '/error') {
+                response.writeHead(200, { 'Content-Length': 100 });
+                response.write('{', () => response.destroy());
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        let url = 'http://127.0.0.1:' + server.address().port;
+
+        try {
+            await assertRejects(errors.RandomOrgTransports.https(url + '/error', '{}',
+                { signal: signal }), Error);
+            assert(listeners.size == 0, 'Error: the abort listener should have been removed.');
+
+            let e = await assertRejects(errors.RandomOrgTransports.https(url + '/timeout', '{}',
+                { timeout: 100, signal: signal }), errors.RandomOrgSendTimeoutError);
+            assert(listeners.size == 0, 'Error: the abort listener should have been removed.');
+            assert(e.message.includes(' 100 millis '), 'Error: unexpected message ' + e.message);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('built-in transports are selected by name', function() {
+        assert(typeof errors.RandomOrgTransports.fetch === 'function');
+        assert(typeof errors.RandomOrgTransports.https === 'function');
+        assert(typeof errors.RandomOrgTransports.xhr === 'function');
+        assert.throws(() => new RandomOrgClient('transport-test-unknown',
+            { transport: 'carrier-pigeon' }), TypeError);
+    });
+});
+
+describe('Scheduling', function() {
+    it('concurrent requests are spaced by the advisory delay', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ advisoryDelay: 100 });
+        let times = [];
+        let roc2 = new RandomOrgClient('schedule-test-spacing', {
+            transport: async (url, body, options) => {
+                times.push(Date.now());
+                return emulator2.transport(url, body, options);
+            }
+        });
+
+        await Promise.all([
+            roc2.generateIntegers(1, 0, 1),
+            roc2.generateIntegers(1, 0, 1),
+            roc2.generateIntegers(1, 0, 1)
+        ]);
+
+        assert(times.length == 3);
+        for (let i = 1; i < times.length; i++) {
+            assert(times[i] - times[i - 1] >= 95, 'Error: requests were only '
+                + (times[i] - times[i - 1]) + 'ms apart.');
+        }
+    });
+
+    it('requests with a higher priority are sent first', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let methods = [];
+        let roc2 = new RandomOrgClient('schedule-test-priority', {
+            transport: async (url, body, options) => {
+                methods.push(JSON.parse(body).method);
+                return emulator2.transport(url, body, options);
+            }
+        });
+
+        await Promise.all([
+            roc2.generateIntegers(1, 0, 1),
+            roc2.generateStrings(1, 1, characters,
+                { priority: RandomOrgClient.PRIORITY_BACKGROUND }),
+            roc2.generateUUIDs(1),
+            roc2.generateDecimalFractions(1, 2, { priority: RandomOrgClient.PRIORITY_HIGH })
+        ]);
+
+        assert.deepEqual(methods, [ 'generateIntegers', 'generateDecimalFractions',
+            'generateUUIDs', 'generateStrings' ]);
+    });
+
+    it('aborting a queued request removes it from the queue', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ advisoryDelay: 100 });
+        let sent = 0;
+        let roc2 = new RandomOrgClient('schedule-test-abort', {
+            transport: async (url, body, options) => {
+                sent++;
+                return emulator2.transport(url, body, options);
+            }
+        });
+        let controller = new AbortController();
+
+        let first = roc2.generateIntegers(1, 0, 1);
+        let second = roc2.generateIntegers(1, 0, 1, { signal: controller.signal });
+        controller.abort();
+
+        await first;
+        try {
+            await second;
+            assert.fail('Should have thrown RandomOrgAbortError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgAbortError);
+        }
+        assert(sent == 1, 'Error: the aborted request should not have been sent.');
+    });
+});
+
+describe('Batches', function() {
+    /**
+     * Helper function to create a transport which forwards requests to an
+     * emulator and records the request bodies.
+     */
+    let recordingTransport = function(emulator2, bodies) {
+        return async (url, body, options) => {
+            bodies.push(JSON.parse(body));
+            return emulator2.transport(url, body, options);
+        };
+    };
+
+    it('queued calls are sent as a single request', async function() {
+        let bodies = [];
+        let roc2 = new RandomOrgClient('batch-test-single', {
+            transport: recordingTransport(new errors.RandomOrgEmulator(), bodies)
+        });
+
+        let batch = roc2.batch();
+        let integers = batch.generateIntegers(5, 0, 10);
+        let uuids = batch.generateUUIDs(1);
+        let strings = batch.generateSignedStrings(2, 5, characters);
+        assert(batch.getSize() == 3);
+        await batch.send();
+
+        assert(bodies.length == 1 && Array.isArray(bodies[0]) && bodies[0].length == 3,
+            'Error: the calls should have been sent as one batch.');
+        assert((await integers).length == 5);
+        assert(isUUID((await uuids)[0]));
+        assert((await strings).data.length == 2 && (await strings).signature);
+    });
+
+    it('each call is settled with its own result or error', async function() {
+        let bodies = [];
+        let roc2 = new RandomOrgClient('batch-test-errors',
+            { transport: recordingTransport(new errors.RandomOrgEmulator(), bodies) });
+
+        let batch = roc2.batch();
+        let valid = batch.generateIntegers(1, 0, 10);
+        // rejected by the client before it is queued
+        let invalid = batch.generateIntegers(100000, 0, 10);
+        // rejected by the server within the batch
+        let missing = batch.getResult(999999);
+        let results = await batch.send();
+
+        assert.deepEqual(results.map(r => r.status), [ 'fulfilled', 'rejected', 'rejected' ]);
+        assert(bodies.length == 1 && Array.isArray(bodies[0]) && bodies[0].length == 2,
+            'Error: the valid calls should have been sent as one batch.');
+        assert((await valid).length == 1);
+        let e = await assertRejects(invalid, errors.RandomOrgRANDOMORGError);
+        assert(e.getCode() == 202, 'Should have thrown error 202, instead threw ' + e.message);
+        e = await assertRejects(missing, errors.RandomOrgRANDOMORGError);
+        assert(e.getCode() == 404, 'Should have thrown error 404, instead threw ' + e.message);
+    });
+
+    it('calls are queued after asynchronous middleware', async function() {
+        let bodies = [];
+        let roc2 = new RandomOrgClient('batch-test-middleware', {
+            transport: recordingTransport(new errors.RandomOrgEmulator(), bodies)
+        });
+        roc2.use(async (request, next) => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return next();
+        });
+
+        let batch = roc2.batch();
+        let integers = batch.generateIntegers(5, 0, 10);
+        let uuids = batch.generateUUIDs(1);
+        let results = await batch.send();
+
+        assert.deepEqual(results.map(r => r.status), [ 'fulfilled', 'fulfilled' ]);
+        assert(bodies.length == 1 && Array.isArray(bodies[0]) && bodies[0].length == 2,
+            'Error: the calls should have been sent as one batch.');
+        assert((await integers).length == 5);
+        assert(isUUID((await uuids)[0]));
+    });
+
+    it('calls are sent individually if the server rejects the batch', async function() {
+        let bodies = [];
+        let roc2 = new RandomOrgClient('batch-test-rejected', {
+            transport: recordingTransport(new errors.RandomOrgEmulator(
+                { batchRequests: false }), bodies)
+        });
+
+        let batch = roc2.batch();
+        let integers = batch.generateIntegers(5, 0, 10);
+        let uuids = batch.generateUUIDs(1);
+        await batch.send();
+
+        assert((await integers).length == 5);
+        assert((await uuids).length == 1);
+        assert(bodies.length == 3 && !Array.isArray(bodies[1]) && !Array.isArray(bodies[2]),
+            'Error: the calls should have been sent individually.');
+    });
+
+    it('calls sent individually obey the advisory delay', async function() {
+        this.timeout(10000);
+        let emulator2 = new errors.RandomOrgEmulator({ batchRequests: false, advisoryDelay: 1000 });
+        let times = [];
+        let roc2 = new RandomOrgClient('batch-test-rejected-delay', {
+            transport: (url, body, options) => {
+                times.push(Date.now());
+                return emulator2.transport(url, body, options);
+            }
+        });
+
+        await roc2.generateIntegers(1, 0, 10);
+        let batch = roc2.batch();
+        batch.generateIntegers(5, 0, 10);
+        batch.generateUUIDs(1);
+        await batch.send();
+
+        let gaps = times.slice(1).map((time, i) => time - times[i]);
+        assert(gaps.length == 3 && gaps.every(gap => gap >= 950),
+            'Error: the requests should have been sent at least 1s apart, '
+            + 'instead the gaps were ' + gaps.join(', ') + 'ms.');
+    });
+
+    it('calls aborted before the batch is sent are left out', async function() {
+        let bodies = [];
+        let roc2 = new RandomOrgClient('batch-test-abort', {
+            transport: recordingTransport(new errors.RandomOrgEmulator(), bodies)
+        });
+        let controller = new AbortController();
+
+        let batch = roc2.batch();
+        let integers = batch.generateIntegers(5, 0, 10);
+        let aborted = batch.generateUUIDs(1, { signal: controller.signal });
+        // options of the call cannot replace the batch
+        let strings = batch.generateStrings(2, 5, characters, { batch: null });
+        controller.abort();
+        await assertRejects(aborted, errors.RandomOrgAbortError);
+        await batch.send();
+
+        assert(bodies.length == 1 && Array.isArray(bodies[0]) && bodies[0].length == 2
+            && bodies[0].every(body => body.method != 'generateUUIDs'),
+            'Error: the aborted call should have been left out of the batch.');
+        assert((await integers).length == 5 && (await strings).length == 2);
+    });
+
+    it('a batch can only be sent once', async function() {
+        let roc2 = new RandomOrgClient('batch-test-once',
+            { transport: new errors.RandomOrgEmulator().transport });
+
+        let batch = roc2.batch();
+        await batch.send();
+
+        assert.throws(() => batch.generateIntegers(1, 0, 1));
+        try {
+            await batch.send();
+            assert.fail('Should have thrown an error.');
+        } catch (e) {
+            assert(/already been sent/.test(e.message));
+        }
+    });
+});
+
+describe('Retries', function() {
+    /**
+     * Helper function to create a transport which fails with the supplied
+     * status codes (or errors) before responding successfully.
+     */
+    let flakyTransport = function(failures, calls) {
+        return async (url, body) => {
+            calls.push(JSON.parse(body));
+            let failure = failures.shift();
+            if (failure instanceof Error) {
+                throw failure;
+            } else if (failure) {
+                return { status: failure, body: '' };
+            }
+            return fakeResponse(JSON.parse(body), [ 1 ]);
+        };
+    };
+    let retry = { maxAttempts: 3, initialDelay: 10, maxDelay: 20 };
+
+    it('failed requests are not retried by default', async function() {
+        let calls = [];
+        let roc2 = new RandomOrgClient('retry-test-default',
+            { transport: flakyTransport([ 503 ], calls) });
+
+        try {
+            await roc2.generateIntegers(1, 1, 1);
+            assert.fail('Should have thrown RandomOrgBadHTTPResponseError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgBadHTTPResponseError && e.getStatus() == 503,
+                'Should have thrown RandomOrgBadHTTPResponseError, instead threw ' + e.message);
+        }
+        assert(calls.length == 1);
+    });
+
+    it('retryable status codes and network errors are retried', async function() {
+        let calls = [];
+        let roc2 = new RandomOrgClient('retry-test-retryable', {
+            transport: flakyTransport([ 503, new TypeError('fetch failed') ], calls),
+            retry: retry
+        });
+
+        let response = await roc2.generateIntegers(1, 1, 1);
+
+        assert.deepEqual(response, [ 1 ]);
+        assert(calls.length == 3, 'Error: expected 3 attempts, made ' + calls.length);
+    });
+
+    it('other status codes are not retried', async function() {
+        let calls = [];
+        let roc2 = new RandomOrgClient('retry-test-not-retryable', {
+            transport: flakyTransport([ 400 ], calls),
+            retry: retry
+        });
+
+        try {
+            await roc2.generateIntegers(1, 1, 1);
+            assert.fail('Should have thrown RandomOrgBadHTTPResponseError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgBadHTTPResponseError && e.getStatus() == 400);
+        }
+        assert(calls.length == 1);
+    });
+
+    it('requests using a ticket are only retried if enabled', async function() {
+        let calls = [];
+        let roc2 = new RandomOrgClient('retry-test-ticket', {
+            transport: flakyTransport([ 503, 503 ], calls),
+            retry: retry
+        });
+
+        try {
+            await roc2.generateSignedIntegers(1, 1, 1, { ticketId: 'ffffffffffffffff' });
+            assert.fail('Should have thrown RandomOrgBadHTTPResponseError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgBadHTTPResponseError);
+        }
+        assert(calls.length == 1, 'Error: the request should not have been retried.');
+
+        calls = [];
+        let roc3 = new RandomOrgClient('retry-test-ticket-opt-in', {
+            transport: flakyTransport([ 503 ], calls),
+            retry: Object.assign({ retryNonIdempotent: true }, retry)
+        });
+        await roc3.generateSignedIntegers(1, 1, 1, { ticketId: 'ffffffffffffffff' });
+        assert(calls.length == 2);
+    });
+
+    it('retries stop after maxAttempts', async function() {
+        let calls = [];
+        let roc2 = new RandomOrgClient('retry-test-max', {
+            transport: flakyTransport([ 502, 502, 502, 502 ], calls),
+            retry: retry
+        });
+
+        try {
+            await roc2.generateIntegers(1, 1, 1);
+            assert.fail('Should have thrown RandomOrgBadHTTPResponseError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgBadHTTPResponseError && e.getStatus() == 502);
+        }
+        assert(calls.length == 3);
+    });
+});
+
+describe('Cancellation', function() {
+    it('a request with an aborted signal is not sent', async function() {
+        let sent = 0;
+        let roc2 = new RandomOrgClient('abort-test-before', {
+            transport: async (url, body) => {
+                sent++;
+                return fakeResponse(JSON.parse(body), [ 1 ]);
+            }
+        });
+        let controller = new AbortController();
+        controller.abort();
+
+        try {
+            await roc2.generateIntegers(1, 1, 1, { signal: controller.signal });
+            assert.fail('Should have thrown RandomOrgAbortError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgAbortError, 'Should have thrown '
+                + 'RandomOrgAbortError, instead threw ' + e.message);
+        }
+        assert(sent == 0, 'Error: the request should not have been sent.');
+    });
+
+    it('aborting cancels the wait for the advisory delay', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ advisoryDelay: 60000 });
+        let roc2 = new RandomOrgClient('abort-test-delay', { transport: emulator2.transport });
+        await roc2.generateIntegers(1, 0, 1);
+
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        let start = Date.now();
+
+        try {
+            await roc2.generateIntegers(1, 0, 1, { signal: controller.signal });
+            assert.fail('Should have thrown RandomOrgAbortError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgAbortError, 'Should have thrown '
+                + 'RandomOrgAbortError, instead threw ' + e.message);
+        }
+        assert(Date.now() - start < 1000, 'Error: the wait was not cancelled.');
+    });
+
+    it('aborting cancels the HTTP request', async function() {
+        let transportSignal = null;
+        let roc2 = new RandomOrgClient('abort-test-http', {
+            transport: (url, body, options) => {
+                transportSignal = options.signal;
+                return new Promise(() => {});
+            }
+        });
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        try {
+            await roc2.getTicket('ffffffffffffffff', { signal: controller.signal });
+            assert.fail('Should have thrown RandomOrgAbortError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgAbortError, 'Should have thrown '
+                + 'RandomOrgAbortError, instead threw ' + e.message);
+        }
+        assert(transportSignal == controller.signal && transportSignal.aborted,
+            'Error: the signal should have been passed to the transport.');
+    });
+
+    it('aborting cancels getOrWait() of a cache', async function() {
+        let roc2 = new RandomOrgClient('abort-test-cache', {
+            transport: () => new Promise(() => {})
+        });
+        let cache = roc2.createIntegerCache(1, 0, 1, { cacheSize: 2 });
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        try {
+            await cache.getOrWait({ signal: controller.signal });
+            assert.fail('Should have thrown RandomOrgAbortError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgAbortError, 'Should have thrown '
+                + 'RandomOrgAbortError, instead threw ' + e.message);
+        }
+        cache.stop();
+    });
+});
+
+describe('Back-off', function() {
+    it('an exceeded requests allowance backs off until the next midnight UTC', async function() {
+        let sent = 0;
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('backoff-test-midnight', {
+            transport: (url, body, options) => {
+                sent++;
+                return emulator2.transport(url, body, options);
+            }
+        });
+        let events = [];
+        roc2.on('backoffStart', e => events.push(e));
+
+        assert(!roc2.isBackedOff() && roc2.getBackoffUntil() == null);
+
+        emulator2.injectError(402);
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+            assert.fail('Should have thrown RandomOrgInsufficientRequestsError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError);
+        }
+
+        let midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+        assert(roc2.isBackedOff());
+        assert(roc2.getBackoffUntil().getTime() == midnight.getTime(), 'Error: the back-off '
+            + 'should end at ' + midnight.toISOString() + ', not at '
+            + roc2.getBackoffUntil().toISOString());
+        assert(events.length == 1 && events[0].until.getTime() == midnight.getTime()
+            && events[0].error instanceof errors.RandomOrgInsufficientRequestsError);
+
+        // requests made during the back-off are not sent
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+            assert.fail('Should have thrown RandomOrgInsufficientRequestsError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError);
+        }
+        assert(sent == 1, 'Error: requests should not be sent during the back-off.');
+    });
+
+    it('the back-off ends at midnight UTC', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('backoff-test-end', { transport: emulator2.transport });
+        let ended = 0;
+        roc2.once('backoffEnd', () => ended++);
+
+        emulator2.injectError(402);
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError);
+        }
+        assert(roc2.isBackedOff() && ended == 0);
+
+        let now = Date.now;
+        let until = roc2.getBackoffUntil().getTime();
+        Date.now = () => until;
+        try {
+            assert(!roc2.isBackedOff() && roc2.getBackoffUntil() == null);
+        } finally {
+            Date.now = now;
+        }
+        assert(ended == 1, 'Error: backoffEnd should have been emitted once.');
+
+        let response = await roc2.generateIntegers(1, 0, 1);
+        assert(response.length == 1);
+    });
+
+    it('listeners can be removed', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('backoff-test-off', { transport: emulator2.transport });
+        let called = 0;
+        let listener = () => called++;
+        roc2.on('backoffStart', listener).off('backoffStart', listener);
+
+        emulator2.injectError(402);
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError);
+        }
+        assert(roc2.isBackedOff() && called == 0);
+    });
+});
+
+describe('Events', function() {
+    function record(client, events) {
+        let recorded = [];
+        events.forEach(event => client.on(event, data => recorded.push({ event: event, data: data })));
+        return recorded;
+    }
+
+    it('requests and responses are reported', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ advisoryDelay: 50 });
+        let roc2 = new RandomOrgClient('events-test-response', { transport: emulator2.transport });
+        let recorded = record(roc2, [ 'request', 'response', 'usageUpdated', 'advisoryDelay' ]);
+
+        await roc2.generateIntegers(10, 0, 255);
+        await roc2.generateIntegers(10, 0, 255);
+
+        assert.deepEqual(recorded.map(r => r.event), [ 'request', 'usageUpdated', 'response',
+            'advisoryDelay', 'request', 'usageUpdated', 'response' ]);
+
+        let request = recorded[0].data;
+        let response = recorded[2].data;
+        assert(request.method == 'generateIntegers' && request.attempt == 1);
+        assert(response.id == request.id && response.method == 'generateIntegers');
+        assert(response.latency >= 0 && response.bitsUsed == 80
+            && response.bitsLeft == recorded[1].data.bitsLeft
+            && response.requestsLeft == recorded[1].data.requestsLeft);
+        assert(recorded[3].data.delay > 0 && recorded[3].data.delay <= 50);
+    });
+
+    it('failed requests and stopped keys are reported', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('events-test-error', { transport: emulator2.transport });
+        let recorded = record(roc2, [ 'error', 'keyNotRunning' ]);
+
+        emulator2.injectError(401);
+        try {
+            await roc2.generateUUIDs(1);
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgKeyNotRunningError);
+        }
+
+        assert.deepEqual(recorded.map(r => r.event), [ 'keyNotRunning', 'error' ]);
+        assert(recorded[1].data.method == 'generateUUIDs'
+            && recorded[1].data.error === recorded[0].data.error);
+    });
+
+    it('errors thrown by listeners are ignored', async function() {
+        let roc2 = new RandomOrgClient('events-test-listener',
+            { transport: new errors.RandomOrgEmulator().transport });
+        let responses = 0;
+        roc2.on('response', () => {
+            throw new Error('listener failed');
+        }).on('response', () => responses++);
+
+        let consoleError = console.error;
+        let logged = 0;
+        console.error = () => logged++;
+        try {
+            assert((await roc2.generateIntegers(1, 0, 1)).length == 1);
+        } finally {
+            console.error = consoleError;
+        }
+        assert(responses == 1, 'Error: the other listeners should have been called.');
+        assert(logged == 0, 'Error: nothing should have been logged to the console.');
+    });
+
+    it('the requests of a batch are reported individually', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('events-test-batch', { transport: emulator2.transport });
+        let recorded = record(roc2, [ 'request', 'response', 'error' ]);
+
+        let batch = roc2.batch();
+        batch.generateIntegers(1, 0, 1);
+        batch.getResult(999999);
+        await batch.send();
+
+        assert.deepEqual(recorded.map(r => r.event).sort(),
+            [ 'error', 'request', 'request', 'response' ]);
+        assert(recorded.find(r => r.event == 'error').data.error.getCode() == 404);
+    });
+});
+
+describe('Middleware', function() {
+    it('middleware is run in order and can modify requests and responses', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let sent = null;
+        let roc2 = new RandomOrgClient('middleware-test-order', {
+            transport: (url, body, options) => {
+                sent = JSON.parse(body);
+                return emulator2.transport(url, body, options);
+            }
+        });
+        let order = [];
+
+        roc2.use(async (request, next) => {
+            order.push('first');
+            request.id = 'trace-' + request.id;
+            let response = await next();
+            order.push('first done');
+            return response;
+        }).use(async (request, next) => {
+            order.push('second');
+            let response = await next(Object.assign({}, request,
+                { params: Object.assign({}, request.params, { userData: { tag: 'test' } }) }));
+            order.push('second done');
+            response.result.random.data = response.result.random.data.map(i => i + 100);
+            return response;
+        });
+
+        let response = await roc2.generateSignedIntegers(3, 0, 1);
+
+        assert.deepEqual(order, [ 'first', 'second', 'second done', 'first done' ]);
+        assert(sent.id.startsWith('trace-') && sent.params.userData.tag == 'test');
+        assert(response.data.every(i => i >= 100 && i <= 101));
+    });
+
+    it('middleware can short-circuit with a synthetic response', async function() {
+        let sent = 0;
+        let roc2 = new RandomOrgClient('middleware-test-synthetic', {
+            transport: async (url, body) => {
+                sent++;
+                return fakeResponse(JSON.parse(body), [ 1 ]);
+            }
+        });
+        roc2.use(async (request, next) => {
+            if (request.method == 'generateIntegers') {
+                return JSON.parse(fakeResponse(request, [ 4, 2 ]).body);
+            }
+            return next();
+        });
+
+        assert.deepEqual(await roc2.generateIntegers(2, 0, 9), [ 4, 2 ]);
+        assert(sent == 0, 'Error: the request should not have been sent.');
+    });
+
+    it('errors are thrown through the middleware', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('middleware-test-error', { transport: emulator2.transport });
+        let caught = null;
+        roc2.use(async (request, next) => {
+            try {
+                return await next();
+            } catch (e) {
+                caught = e;
+                throw e;
+            }
+        });
+
+        try {
+            await roc2.getResult(999999);
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 404.');
+        } catch (e) {
+            assert(e === caught && e.getCode() == 404);
+        }
+
+        assert.throws(() => roc2.use('not a function'), TypeError);
+    });
+});
+
+describe('Validation', function() {
+    it('invalid parameters are rejected without sending a request', async function() {
+        let sent = 0;
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('validation-test-local', {
+            transport: (url, body, options) => {
+                sent++;
+                return emulator2.transport(url, body, options);
+            }
+        });
+        let calls = {
+            202: [
+                () => roc2.generateIntegers(1e4 + 1, 0, 10),
+                () => roc2.generateIntegers(5, 0, 10, { base: 3 }),
+                () => roc2.generateIntegerSequences(2, [ 5000, 5001 ], 0, 10),
+                () => roc2.generateDecimalFractions(5, 21),
+                () => roc2.generateGaussians(5, 0, 1, 1),
+                () => roc2.generateStrings(5, 21, characters),
+                () => roc2.generateUUIDs(1001),
+                () => roc2.generateSignedBlobs(1, 12)
+            ],
+            203: [
+                () => roc2.generateStrings(5, 5, characters.repeat(4)),
+                () => roc2.generateSignedIntegers(1, 0, 1, { userData: 'x'.repeat(1000) })
+            ],
+            204: [
+                () => roc2.generateStrings(5, 5, ''),
+                () => roc2.generateIntegerSequences(2, 3, [ 0 ], [ 10, 10 ])
+            ],
+            300: [
+                () => roc2.generateIntegerSequences(2, 3, [ 0, 20 ], [ 10, 10 ])
+            ],
+            301: [
+                () => roc2.generateDecimalFractions(11, 1, { replacement: false }),
+                () => roc2.generateStrings(5, 1, 'ab', { replacement: false }),
+                () => roc2.generateSignedIntegerSequences(1, 5, 0, 3, { replacement: false })
+            ]
+        };
+
+        for (let code of Object.keys(calls)) {
+            for (let call of calls[code]) {
+                try {
+                    await call();
+                    assert.fail('Should have thrown RandomOrgRANDOMORGError ' + code + '.');
+                } catch (e) {
+                    assert(e instanceof errors.RandomOrgRANDOMORGError && e.getCode() == code,
+                        'Should have thrown RandomOrgRANDOMORGError ' + code + ', instead '
+                        + 'threw ' + e.message);
+                }
+            }
+        }
+        assert(sent == 0, 'Error: invalid requests should not have been sent.');
+
+        assert.throws(() => roc2.createIntegerCache(5, 10, 0), errors.RandomOrgRANDOMORGError);
+        assert.throws(() => roc2.createUUIDCache(600, { cacheSize: 4 }),
+            errors.RandomOrgRANDOMORGError);
+    });
+
+    it('validation can be disabled', async function() {
+        let sent = 0;
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('validation-test-disabled', {
+            validation: false,
+            transport: (url, body, options) => {
+                sent++;
+                return emulator2.transport(url, body, options);
+            }
+        });
+
+        try {
+            await roc2.generateIntegers(1e4 + 1, 0, 10);
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 202.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgRANDOMORGError && e.getCode() == 202);
+        }
+        assert(sent == 1, 'Error: the request should have been sent.');
+    });
+});
+
+describe('Bit Estimation', function() {
+    it('estimates are log2 of the number of possible results', function() {
+        let roc2 = new RandomOrgClient('estimation-test-match',
+            { transport: new errors.RandomOrgEmulator().transport });
+
+        let estimates = [
+            // 10 * log2(6)
+            [ 'generateIntegers', { n: 10, min: 1, max: 6 }, 26 ],
+            // log2(10 * 9 * 8 * 7 * 6)
+            [ 'generateIntegers', { n: 5, min: 1, max: 10, replacement: false }, 15 ],
+            // 3 * log2(8) + log2(11 * 10 * 9 * 8)
+            [ 'generateIntegerSequences', { n: 2, length: [ 3, 4 ], min: [ 0, 10 ],
+                max: [ 7, 20 ], replacement: [ true, false ] }, 22 ],
+            // 2 * log2(10^6)
+            [ 'generateDecimalFractions', { n: 2, decimalPlaces: 6 }, 40 ],
+            // log2(10 * 9 * 8 * 7 * 6)
+            [ 'generateDecimalFractions', { n: 5, decimalPlaces: 1, replacement: false }, 15 ],
+            // 4 * 5 * log2(10)
+            [ 'generateGaussians', { n: 4, mean: 0, standardDeviation: 1,
+                significantDigits: 5 }, 67 ],
+            // 3 * 4 * log2(26)
+            [ 'generateStrings', { n: 3, length: 4, characters: characters }, 57 ],
+            // log2(26 * 25 * 24)
+            [ 'generateStrings', { n: 3, length: 1, characters: characters,
+                replacement: false }, 14 ],
+            [ 'generateSignedUUIDs', { n: 2 }, 2 * RandomOrgClient.UUID_SIZE ],
+            [ 'generateSignedBlobs', { n: 2, size: 64 }, 128 ]
+        ];
+
+        for (let [ method, params, bits ] of estimates) {
+            let estimate = roc2.estimateBits(method, params);
+            assert(estimate == bits, 'Error: the estimate for ' + method + ' should be '
+                + bits + ' bits, instead it is ' + estimate + '.');
+        }
+    });
+
+    it('invalid requests cannot be estimated', function() {
+        let roc2 = new RandomOrgClient('estimation-test-invalid',
+            { transport: new errors.RandomOrgEmulator().transport });
+
+        assert.throws(() => roc2.estimateBits('getUsage', {}), TypeError);
+        assert.throws(() => roc2.estimateBits('generateIntegers', { n: 5, min: 10, max: 0 }),
+            errors.RandomOrgRANDOMORGError);
+    });
+
+    it('canAfford() checks the usage known to the client', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('estimation-test-afford',
+            { transport: emulator2.transport });
+        let params = { n: 100, size: 1024 };
+
+        assert(roc2.canAfford('generateBlobs', params) === null);
+
+        emulator2.setUsage('estimation-test-afford', { bitsLeft: 102400 });
+        await roc2.getUsage();
+        assert(roc2.canAfford('generateBlobs', params) === true);
+        assert(roc2.canAfford('generateBlobs', { n: 100, size: 1032 }) === false);
+
+        await roc2.generateBlobs(1, 8);
+        assert(roc2.canAfford('generateBlobs', params) === false);
+    });
+
+    it('caches adjust bulk requests to the bits left', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('estimation-test-cache',
+            { transport: emulator2.transport });
+        let size = roc2.estimateBits('generateIntegerSequences',
+            { n: 2, length: [ 3, 4 ], min: [ 0, 10 ], max: [ 7, 20 ] });
+        emulator2.setUsage('estimation-test-cache', { bitsLeft: 3 * size });
+
+        // the bulk request for 5 result-sets is reduced to 3 result-sets
+        let cache = roc2.createIntegerSequenceCache(2, [ 3, 4 ], [ 0, 10 ], [ 7, 20 ],
+            { cacheSize: 10 });
+        for (let i = 0; i < 50 && cache.getRequestsUsed() == 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        cache.stop();
+        assert(cache.getRequestsUsed() == 1 && cache.getBitsUsed() == 3 * size);
+        assert(cache.getCachedValues() == 3);
+    });
+});
+
+describe('Budgets', function() {
+    /** Helper function to create a client which counts the requests it sends. */
+    let countingClient = (apiKey, emulator2, options = {}) => {
+        let client = RandomOrgClient.create(apiKey, Object.assign({
+            transport: (url, body, options) => {
+                client.sent = (client.sent || 0) + 1;
+                return emulator2.transport(url, body, options);
+            }
+        }, options));
+        return client;
+    };
+
+    it('hard caps reject calls without sending them', async function() {
+        let roc2 = countingClient('budget-test-hard', new errors.RandomOrgEmulator(),
+            { budget: { bits: { hard: 100 }, tags: { a: { requests: { hard: 1 } } } } });
+
+        // each call uses 26 bits
+        let results = await Promise.allSettled([ 1, 2, 3, 4 ].map(() =>
+            roc2.generateIntegers(10, 1, 6)));
+        assert.deepEqual(results.map(r => r.status),
+            [ 'fulfilled', 'fulfilled', 'fulfilled', 'rejected' ]);
+        assert(results[3].reason instanceof errors.RandomOrgInsufficientBitsError);
+        assert(results[3].reason.getBitsLeft() == 22);
+        assert(roc2.sent == 3, 'Error: the rejected call should not have been sent.');
+
+        await roc2.generateIntegers(1, 1, 6, { tag: 'a' });
+        try {
+            await roc2.generateIntegers(1, 1, 6, { tag: 'a' });
+            assert.fail('Should have thrown RandomOrgInsufficientRequestsError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError);
+        }
+        await roc2.generateIntegers(1, 1, 6);
+
+        let usage = roc2.getBudgetUsage();
+        assert(usage.day == new Date().toISOString().slice(0, 10));
+        assert(usage.bits == 3 * 26 + 2 * 3 && usage.requests == 5);
+        assert.deepEqual(usage.tags, { a: { bits: 3, requests: 1 } });
+
+        roc2.setBudget(null);
+        await roc2.generateIntegers(10, 1, 6);
+        assert(roc2.getBudgetUsage().bits == 4 * 26 + 2 * 3);
+        roc2.dispose();
+    });
+
+    it('reservations are not available to other calls', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = countingClient('budget-test-reserve', emulator2);
+        roc2.setBudget({ bits: { hard: 100 }, tags: { critical: { reserve: { bits: 50 } } } });
+
+        await roc2.generateIntegers(10, 1, 6);
+        await assertRejects(roc2.generateIntegers(10, 1, 6),
+            errors.RandomOrgInsufficientBitsError);
+        await roc2.generateSignedIntegers(10, 1, 6, { tag: 'critical' });
+        await roc2.generateSignedIntegers(10, 1, 6, { tag: 'critical' });
+
+        // the reservation has been used, the remaining 22 bits are available
+        await roc2.generateIntegers(5, 1, 6);
+
+        // without a hard cap, the reservation is kept within the key's allowance
+        emulator2.setUsage('budget-test-reserve', { bitsLeft: 150 });
+        await roc2.getUsage({ forceRefresh: true });
+        roc2.setBudget({ tags: { vip: { reserve: { bits: 100 } } } });
+        await roc2.generateIntegers(10, 1, 6);
+        await assertRejects(roc2.generateIntegers(10, 1, 6),
+            errors.RandomOrgInsufficientBitsError);
+        await roc2.generateIntegers(10, 1, 6, { tag: 'vip' });
+        roc2.dispose();
+    });
+
+    it('warnings are emitted once per cap and percentage', async function() {
+        let roc2 = countingClient('budget-test-warnings', new errors.RandomOrgEmulator(), {
+            budget: { bits: { soft: 52, hard: 1000 }, tags: { a: { requests: { soft: 1 } } },
+                warnings: [ 50, 100 ] }
+        });
+        let warnings = [];
+        roc2.on('budgetWarning', warning => warnings.push(warning));
+
+        await roc2.generateIntegers(10, 1, 6);
+        await roc2.generateIntegers(10, 1, 6, { tag: 'a' });
+        await roc2.generateIntegers(10, 1, 6);
+
+        assert.deepEqual(warnings, [
+            { resource: 'bits', tag: null, cap: 'soft', threshold: 50, used: 26, limit: 52 },
+            { resource: 'bits', tag: null, cap: 'soft', threshold: 100, used: 52, limit: 52 },
+            { resource: 'requests', tag: 'a', cap: 'soft', threshold: 50, used: 1, limit: 1 },
+            { resource: 'requests', tag: 'a', cap: 'soft', threshold: 100, used: 1, limit: 1 }
+        ]);
+        roc2.dispose();
+    });
+
+    it('caches and batches are charged to the budget', async function() {
+        let roc2 = countingClient('budget-test-caches', new errors.RandomOrgEmulator(),
+            { budget: { tags: { cache: { bits: { hard: 3 * 26 } } } } });
+
+        // the bulk request for 5 result-sets is reduced to 3 result-sets
+        let cache = roc2.createIntegerCache(10, 1, 6, { cacheSize: 10, tag: 'cache' });
+        for (let i = 0; i < 50 && cache.getRequestsUsed() == 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        cache.stop();
+        assert(cache.getCachedValues() == 3);
+        assert.deepEqual(roc2.getBudgetUsage().tags.cache, { bits: 3 * 26, requests: 1 });
+
+        let batch = roc2.batch();
+        batch.generateIntegers(10, 1, 6, { tag: 'batch' });
+        batch.generateUUIDs(1, { tag: 'batch' });
+        await batch.send();
+        assert.deepEqual(roc2.getBudgetUsage().tags.batch,
+            { bits: 26 + RandomOrgClient.UUID_SIZE, requests: 2 });
+        roc2.dispose();
+    });
+});
+
+describe('State Stores', function() {
+    const { MemoryStateStore, FileStateStore, LocalStorageStateStore } = errors.RandomOrgStateStores;
+
+    /** Helper function to create a saved state. */
+    let savedState = (state = {}) => Object.assign({
+        advisoryDelay: 300,
+        lastResponseReceivedTime: Date.now(),
+        backoff: -1,
+        backoffError: '',
+        bitsLeft: 1234,
+        requestsLeft: 56,
+        usage: null
+    }, state);
+
+    it('the saved state is restored and obeyed', async function() {
+        let store = new MemoryStateStore();
+        store.save('state-test-restore', savedState());
+        let roc2 = RandomOrgClient.create('state-test-restore', {
+            transport: new errors.RandomOrgEmulator().transport,
+            stateStore: store
+        });
+        let delays = [];
+        roc2.on('advisoryDelay', ({ delay }) => delays.push(delay));
+
+        let usage = roc2.getCachedUsage();
+        assert(usage.bitsLeft == 1234 && usage.requestsLeft == 56);
+
+        await roc2.generateIntegers(1, 0, 1);
+        assert(delays.length == 1 && delays[0] > 200,
+            'Error: the restored advisory delay should have been obeyed.');
+
+        let saved = store.load('state-test-restore');
+        assert(saved.advisoryDelay == errors.RandomOrgEmulator.DEFAULT_ADVISORY_DELAY);
+        assert(saved.bitsLeft == errors.RandomOrgEmulator.DEFAULT_BITS_ALLOWANCE - 1);
+        assert(Date.now() - saved.lastResponseReceivedTime < 1000);
+        roc2.dispose();
+    });
+
+    it('a saved back-off is restored until it is over', async function() {
+        let sent = 0;
+        let store = new MemoryStateStore();
+        let until = Date.now() + 60 * 1000;
+        store.save('state-test-backoff', savedState({
+            backoff: until,
+            backoffError: 'Error 402: saved back-off'
+        }));
+        store.save('state-test-backoff-over', savedState({
+            backoff: Date.now() - 1,
+            backoffError: 'Error 402: saved back-off'
+        }));
+
+        let roc2 = RandomOrgClient.create('state-test-backoff', {
+            transport: () => sent++,
+            stateStore: store
+        });
+        assert(roc2.isBackedOff() && roc2.getBackoffUntil().getTime() == until);
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+            assert.fail('Should have thrown RandomOrgInsufficientRequestsError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgInsufficientRequestsError
+                && e.message == 'Error 402: saved back-off');
+        }
+        assert(sent == 0, 'Error: no request should have been sent.');
 
-        try {
-            let response = await roc2.generateIntegers(5, 0, 10);
-            assert.fail('Should have thrown RandomOrgRANDOMORGError 400.');
-        } catch(e) {
-            if (logResponses) {
-                console.log(e.message);
-            }
-            assert(e instanceof errors.RandomOrgRANDOMORGError
-                && e.getCode() == 400, 'Should have thrown RandomOrgRANDOMORGError '
-                + '400, instead threw ' + e.message);
+        let roc3 = RandomOrgClient.create('state-test-backoff-over', { stateStore: store });
+        assert(!roc3.isBackedOff());
+        roc2.dispose();
+        roc3.dispose();
+    });
+
+    it('asynchronous stores are loaded before requests are sent', async function() {
+        let saved = savedState({
+            // the usage of a previous day is not restored
+            lastResponseReceivedTime: Date.now() - 2 * 24 * 60 * 60 * 1000,
+            advisoryDelay: 2 * 24 * 60 * 60 * 1000 + 300
+        });
+        let store = {
+            load: () => new Promise(resolve => setTimeout(() => resolve(saved), 50)),
+            save: async () => {}
+        };
+        let roc2 = RandomOrgClient.create('state-test-async', {
+            transport: new errors.RandomOrgEmulator().transport,
+            stateStore: store
+        });
+        let delays = [];
+        roc2.on('advisoryDelay', ({ delay }) => delays.push(delay));
+
+        await roc2.generateIntegers(1, 0, 1);
+        assert(delays.length == 1 && delays[0] > 200);
+        assert(roc2.getCachedUsage().bitsLeft
+            == errors.RandomOrgEmulator.DEFAULT_BITS_ALLOWANCE - 1);
+        roc2.dispose();
+    });
+
+    it('errors of the store are reported with stateError events', async function() {
+        let store = {
+            load: () => {
+                throw new Error('load failed');
+            },
+            save: async () => {
+                throw new Error('save failed');
+            }
+        };
+        let roc2 = RandomOrgClient.create('state-test-errors', {
+            transport: new errors.RandomOrgEmulator().transport,
+            stateStore: store
+        });
+        let reported = [];
+        roc2.on('stateError', ({ action, error }) => reported.push(action + ': ' + error.message));
+
+        await roc2.generateIntegers(1, 0, 1);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepEqual(reported, [ 'load: load failed', 'save: save failed' ]);
+        roc2.dispose();
+    });
+
+    it('FileStateStore', function() {
+        if (typeof fs === 'undefined') {
+            this.skip();
         }
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdo-'));
+        let store = new FileStateStore(path.join(dir, 'state'));
+        assert(store.load('state-test-file') === null);
+
+        store.save('state-test-file', savedState());
+        store.save('state-test-file-other', savedState({ bitsLeft: 1 }));
+        let store2 = new FileStateStore(path.join(dir, 'state'));
+        assert.deepEqual(store2.load('state-test-file'), store.load('state-test-file'));
+        assert(store2.load('state-test-file-other').bitsLeft == 1);
+
+        let files = fs.readdirSync(dir);
+        assert(files.length == 2 && files.every(name => /^state\.[0-9a-f]{16}\.json$/.test(name)));
+        assert(files.every(name => !fs.readFileSync(path.join(dir, name), 'utf8')
+            .includes('state-test-file')), 'Error: API keys should not be written to the files.');
+
+        // a corrupted file only affects the state of its own API key
+        let corrupted = files.find(name =>
+            JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).bitsLeft == 1234);
+        fs.writeFileSync(path.join(dir, corrupted), '{ corrupted');
+        assert.throws(() => store.load('state-test-file'), SyntaxError);
+        assert(store.load('state-test-file-other').bitsLeft == 1);
+        store.save('state-test-file', savedState());
+        assert(store.load('state-test-file').bitsLeft == 1234);
+        fs.rmSync(dir, { recursive: true });
     });
 
-    it('RandomOrgRANDOMORGError 420: ticket does not exist', async function() {
-        try {
-            let response = await roc.generateSignedUUIDs(1, { ticketId: 'ffffffffffffffff' });
-            assert.fail('Should have thrown RandomOrgRANDOMORGError 420.');
-        } catch(e) {
-            if (logResponses) {
-                console.log(e.message);
-            }
-            assert(e instanceof errors.RandomOrgRANDOMORGError
-                && e.getCode() == 420, 'Should have thrown RandomOrgRANDOMORGError '
-                + '420, instead threw ' + e.message);
+    it('LocalStorageStateStore', function() {
+        let items = {};
+        let storage = {
+            getItem: name => name in items ? items[name] : null,
+            setItem: (name, value) => items[name] = String(value)
+        };
+        let store = new LocalStorageStateStore({ prefix: 'test:', storage: storage });
+
+        assert(store.load('state-test-storage') === null);
+        store.save('state-test-storage', savedState());
+        assert(JSON.parse(items['test:state-test-storage']).bitsLeft == 1234);
+        assert(store.load('state-test-storage').requestsLeft == 56);
+    });
+
+    it('invalid stores are rejected', function() {
+        assert.throws(() => RandomOrgClient.create('state-test-invalid',
+            { stateStore: { load: () => null } }), TypeError);
+    });
+});
+
+describe('Coordinators', function() {
+    let dir, file;
+
+    beforeEach(function() {
+        if (typeof fs === 'undefined') {
+            this.skip();
         }
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdo-'));
+        file = path.join(dir, 'shared');
     });
 
-    it('RandomOrgRANDOMORGError 421: ticket exists, but not for specified API key', async function() {
+    afterEach(function() {
+        if (dir) {
+            fs.rmSync(dir, { recursive: true });
+            dir = null;
+        }
+    });
+
+    it('the state is shared with other processes', async function() {
+        // a coordinator constructed with the same path acts as another process
+        let other = new errors.RandomOrgFileCoordinator(file);
+        assert(await other.acquire('coordinator-test-share') === null);
+        await other.release('coordinator-test-share', {
+            advisoryDelay: 300,
+            lastResponseReceivedTime: Date.now(),
+            backoff: -1,
+            backoffError: '',
+            bitsLeft: 1234,
+            requestsLeft: 56,
+            usage: null
+        });
+
+        let roc2 = RandomOrgClient.create('coordinator-test-share', {
+            transport: new errors.RandomOrgEmulator().transport,
+            coordinator: new errors.RandomOrgFileCoordinator(file)
+        });
+        let delays = [];
+        roc2.on('advisoryDelay', ({ delay }) => delays.push(delay));
+
+        await roc2.generateIntegers(1, 0, 1);
+        assert(delays.length == 1 && delays[0] > 200,
+            'Error: the advisory delay of the other process should have been obeyed.');
+
+        let shared = await other.acquire('coordinator-test-share');
+        assert(shared.bitsLeft == errors.RandomOrgEmulator.DEFAULT_BITS_ALLOWANCE - 1);
+        assert(Date.now() - shared.lastResponseReceivedTime < 1000);
+        await other.release('coordinator-test-share', shared);
+        roc2.dispose();
+    });
+
+    it('requests wait while another process holds the lock', async function() {
+        let other = new errors.RandomOrgFileCoordinator(file);
+        let roc2 = RandomOrgClient.create('coordinator-test-lock', {
+            transport: new errors.RandomOrgEmulator().transport,
+            coordinator: new errors.RandomOrgFileCoordinator(file)
+        });
+        let sent = 0;
+        roc2.on('request', () => sent++);
+
+        let state = await other.acquire('coordinator-test-lock');
+        let request = roc2.generateIntegers(1, 0, 1);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert(sent == 0, 'Error: no request should be sent while the lock is held.');
+
+        await other.release('coordinator-test-lock', state);
+        await request;
+        assert(sent == 1);
+        assert(fs.readdirSync(dir).every(name => !name.endsWith('.lock')),
+            'Error: the lock should have been released.');
+        roc2.dispose();
+    });
+
+    it('stale locks are removed', async function() {
+        let coordinator = new errors.RandomOrgFileCoordinator(file, { staleTimeout: 1000 });
+        await coordinator.acquire('coordinator-test-stale');
+        let lock = fs.readdirSync(dir).find(name => name.endsWith('.lock'));
+        let old = (Date.now() - 2000) / 1000;
+        fs.utimesSync(path.join(dir, lock), old, old);
+
+        // the lock is held by this process, which is running, but too old
+        await coordinator.acquire('coordinator-test-stale');
+        await coordinator.release('coordinator-test-stale', {});
+    });
+
+    it('a stale lock is only taken over by one contender', async function() {
+        let first = new errors.RandomOrgFileCoordinator(file, { staleTimeout: 1000 });
+        let second = new errors.RandomOrgFileCoordinator(file, { staleTimeout: 1000 });
+        await first.acquire('coordinator-test-race');
+        let lock = path.join(dir, fs.readdirSync(dir).find(name => name.endsWith('.lock')));
+        let old = (Date.now() - 2000) / 1000;
+        fs.utimesSync(lock, old, old);
+
+        // the second contender takes over the stale lock right after the
+        // first one has found it to be stale
+        let statSync = fs.statSync;
+        let raced = false;
+        let contender;
+        fs.statSync = function(...args) {
+            let stats = statSync.apply(this, args);
+            if (!raced) {
+                raced = true;
+                contender = second.acquire('coordinator-test-race');
+            }
+            return stats;
+        };
+        let acquired = false;
+        let waiting;
         try {
-            let response = await roc.generateSignedUUIDs(1, { ticketId: 'd5b8f6d03f99a134' });
-            assert.fail('Should have thrown RandomOrgRANDOMORGError 421.');
-        } catch(e) {
-            if (logResponses) {
-                console.log(e.message);
+            waiting = first.acquire('coordinator-test-race').then(() => acquired = true);
+        } finally {
+            fs.statSync = statSync;
+        }
+
+        await contender;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert(!acquired, 'Error: the lock taken over by the other contender should be held.');
+        assert.deepEqual(fs.readdirSync(dir), [ path.basename(lock) ],
+            'Error: only the lock of the other contender should be left.');
+
+        await second.release('coordinator-test-race', {});
+        await waiting;
+        await first.release('coordinator-test-race', {});
+    });
+
+    it('a lock taken over by another process is not released', async function() {
+        let slow = new errors.RandomOrgFileCoordinator(file, { staleTimeout: 1000 });
+        let other = new errors.RandomOrgFileCoordinator(file, { staleTimeout: 1000 });
+        await slow.acquire('coordinator-test-owner');
+        let lock = path.join(dir, fs.readdirSync(dir).find(name => name.endsWith('.lock')));
+        let old = (Date.now() - 2000) / 1000;
+        fs.utimesSync(lock, old, old);
+
+        // the slow process held the lock for longer than the stale timeout
+        await other.acquire('coordinator-test-owner');
+        let token = fs.readFileSync(lock, 'utf8');
+        await slow.release('coordinator-test-owner', { bitsLeft: 1 });
+
+        assert(fs.existsSync(lock) && fs.readFileSync(lock, 'utf8') == token,
+            'Error: the lock of the other process should have been kept.');
+        let store = new errors.RandomOrgStateStores.FileStateStore(file);
+        assert(store.load('coordinator-test-owner') === null,
+            'Error: the state should not have been saved without the lock.');
+
+        await other.release('coordinator-test-owner', { bitsLeft: 2 });
+        assert(!fs.existsSync(lock));
+        assert(store.load('coordinator-test-owner').bitsLeft == 2);
+    });
+
+    it('waiting for a lock can be aborted', async function() {
+        let coordinator = new errors.RandomOrgFileCoordinator(file);
+        await coordinator.acquire('coordinator-test-abort');
+
+        let controller = new AbortController();
+        let waiting = coordinator.acquire('coordinator-test-abort', controller.signal);
+        controller.abort();
+        await assertRejects(waiting, errors.RandomOrgAbortError);
+        await coordinator.release('coordinator-test-abort', {});
+    });
+
+    it('errors releasing the access are reported with stateError events', async function() {
+        let roc2 = RandomOrgClient.create('coordinator-test-errors', {
+            transport: new errors.RandomOrgEmulator().transport,
+            coordinator: {
+                acquire: async () => null,
+                release: async () => {
+                    throw new Error('release failed');
+                }
             }
-            assert(e instanceof errors.RandomOrgRANDOMORGError
-                && e.getCode() == 421, 'Should have thrown RandomOrgRANDOMORGError '
-                + '421, instead threw ' + e.message);
+        });
+        let reported = [];
+        roc2.on('stateError', ({ action, error }) => reported.push(action + ': ' + error.message));
+
+        assert((await roc2.generateIntegers(1, 0, 1)).length == 1);
+        assert.deepEqual(reported, [ 'release: release failed' ]);
+        roc2.dispose();
+    });
+
+    it('invalid coordinators are rejected', function() {
+        assert.throws(() => RandomOrgClient.create('coordinator-test-invalid',
+            { coordinator: { acquire: async () => null } }), TypeError);
+    });
+});
+
+describe('Client Pools', function() {
+    function createPool(name, usage) {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let apiKeys = Object.keys(usage).map(key => 'pool-test-' + name + '-' + key);
+        apiKeys.forEach((apiKey, i) => emulator2.addKey(apiKey, Object.values(usage)[i]));
+        let pool = new errors.RandomOrgClientPool(apiKeys, { transport: emulator2.transport });
+        return { emulator: emulator2, pool: pool, apiKeys: apiKeys };
+    }
+
+    it('calls are routed to the key with the most bits left', async function() {
+        let { emulator: emulator2, pool, apiKeys } = createPool('route',
+            { a: { bitsLeft: 1000 }, b: { bitsLeft: 5000 } });
+
+        await pool.generateIntegers(10, 0, 255);
+
+        assert(emulator2.getUsage(apiKeys[0]).totalBits == 0);
+        assert(emulator2.getUsage(apiKeys[1]).totalBits == 80);
+        pool.dispose();
+    });
+
+    it('calls fail over to the next key and skip stopped keys', async function() {
+        let { emulator: emulator2, pool, apiKeys } = createPool('failover',
+            { a: { bitsLeft: 5000 }, b: { bitsLeft: 4000 }, c: { bitsLeft: 3000 } });
+        for (let apiKey of apiKeys) {
+            await pool.getClient(apiKey).getBitsLeft();
         }
+
+        // the usage known to the clients is outdated
+        emulator2.setUsage(apiKeys[0], { status: 'stopped' });
+        emulator2.setUsage(apiKeys[1], { bitsLeft: 0 });
+
+        let response = await pool.generateIntegers(1, 0, 1);
+        assert(response.length == 1);
+        assert(emulator2.getUsage(apiKeys[2]).totalRequests == 1);
+        assert(!pool.isAvailable(apiKeys[0]) && pool.isAvailable(apiKeys[1]));
+
+        // stopped keys are no longer used
+        emulator2.setUsage(apiKeys[0], { status: 'running' });
+        await pool.generateIntegers(1, 0, 1);
+        assert(emulator2.getUsage(apiKeys[0]).totalRequests == 0);
+        pool.dispose();
     });
 
-    it('RandomOrgRANDOMORGError 422: ticket has already been used', async function() {
+    it('backed off keys are skipped', async function() {
+        let { emulator: emulator2, pool, apiKeys } = createPool('backoff',
+            { a: { bitsLeft: 5000 }, b: { bitsLeft: 4000 } });
+
+        emulator2.injectError(402, { data: [ apiKeys[0], 0 ] });
+        let response = await pool.generateIntegers(1, 0, 1);
+        assert(response.length == 1 && emulator2.getUsage(apiKeys[1]).totalRequests == 1);
+        assert(pool.getClient(apiKeys[0]).isBackedOff() && !pool.isAvailable(apiKeys[0]));
+
+        // the error of the last key tried is thrown, then no key can be used
+        pool.getApiKeys().forEach(apiKey => emulator2.setUsage(apiKey, { status: 'stopped' }));
+        await assertRejects(pool.generateIntegers(1, 0, 1), errors.RandomOrgKeyNotRunningError);
+        await assertRejects(pool.generateIntegers(1, 0, 1),
+            errors.RandomOrgInsufficientRequestsError);
+        pool.dispose();
+    });
+
+    it('keys whose usage cannot be looked up are skipped', async function() {
+        let { emulator: emulator2, pool, apiKeys } = createPool('lookup',
+            { a: { bitsLeft: 5000 }, b: { bitsLeft: 4000 } });
+
+        emulator2.injectError(-32603, { method: 'getUsage' });
+        let response = await pool.generateIntegers(1, 0, 1);
+        assert(response.length == 1 && emulator2.getUsage(apiKeys[1]).totalRequests == 1);
+
+        pool.dispose();
+
+        // the error is thrown if no key is left
+        ({ emulator: emulator2, pool } = createPool('lookup-all', { a: {}, b: {} }));
+        emulator2.injectError(-32603, { method: 'getUsage', times: 2 });
+        await assertRejects(pool.generateIntegers(1, 0, 1), errors.RandomOrgJSONRPCError);
+        pool.dispose();
+    });
+
+    it('tickets and signed results keep the key they were created with', async function() {
+        let { emulator: emulator2, pool, apiKeys } = createPool('affinity',
+            { a: { bitsLeft: 1000 }, b: { bitsLeft: 5000 } });
+
+        let tickets = await pool.createTickets(1, true);
+        let ticketKey = pool.getApiKey(tickets[0]);
+        assert(ticketKey == apiKeys[1]);
+
+        // make the other key the one with the most bits left
+        await pool.generateIntegers(450, 0, 1000, { apiKey: apiKeys[1] });
+
+        let response = await pool.generateSignedIntegers(1, 0, 1,
+            { ticketId: tickets[0].ticketId });
+        assert(pool.getApiKey(response.random) == ticketKey);
+
         try {
-            let tickets = await roc.createTickets(1, true);
-            let ticketId = tickets[0].ticketId;
-            if (logResponses) {
-                console.log('ticket id: ' + ticketId);
-            }
-            // use ticket and then attempt to reuse it
-            let response = await roc.generateSignedUUIDs(1, { ticketId: ticketId });
-            let response2 = await roc.generateSignedUUIDs(1, { ticketId: ticketId });
+            await pool.getResult(response.random.serialNumber);
+            assert.fail('Should have thrown an Error.');
+        } catch (e) {
+            assert(/options.apiKey/.test(e.message));
+        }
+        let result = await pool.getResult(response.random.serialNumber,
+            { apiKey: pool.getApiKey(response.random) });
+        assert.deepEqual(result.data, response.data);
+        pool.dispose();
+    });
+});
 
-            assert.fail('Should have thrown RandomOrgRANDOMORGError 422.');
-        } catch(e) {
-            if (logResponses) {
-                console.log(e.message);
-            }
-            assert(e instanceof errors.RandomOrgRANDOMORGError
-                && e.getCode() == 422);
+describe('Cache Errors', function() {
+    it('transient errors are retried', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let failures = 1;
+        let roc2 = RandomOrgClient.create('cache-errors-test-transient', {
+            transport: (url, body, options) => failures-- > 0
+                ? Promise.resolve({ status: 503, body: '' })
+                : emulator2.transport(url, body, options)
+        });
+        let reported = [];
+        let cache = roc2.createIntegerCache(5, 0, 10, {
+            replacement: false,
+            cacheSize: 2,
+            onError: (e, info) => {
+                reported.push(Object.assign({ error: e }, info));
+                // the cache recovers regardless
+                throw new Error('onError failed');
+            }
+        });
+
+        let got = await cache.getOrWait();
+        assert(got.length == 5);
+        assert(reported.length == 1 && reported[0].type == errors.RandomOrgCache.ERROR_TRANSIENT);
+        assert(reported[0].error instanceof errors.RandomOrgBadHTTPResponseError);
+        assert(reported[0].retryAt.getTime() - Date.now() <= 1000);
+        assert(cache.getError() === null);
+        roc2.dispose();
+    });
+
+    it('quota errors pause the cache until midnight UTC', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        emulator2.injectError(402);
+        let roc2 = RandomOrgClient.create('cache-errors-test-quota',
+            { transport: emulator2.transport });
+        let reported = [];
+        let cache = roc2.createIntegerCache(5, 0, 10, {
+            cacheSize: 2,
+            onError: (e, info) => reported.push(info)
+        });
+
+        await assertRejects(cache.getOrWait(), errors.RandomOrgInsufficientRequestsError);
+        assert(cache.getError().type == errors.RandomOrgCache.ERROR_QUOTA);
+        assert(reported[0].retryAt.getTime() == new Date().setUTCHours(24, 0, 0, 0));
+        roc2.dispose();
+    });
+
+    it('fatal errors are thrown until they are cleared', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        emulator2.injectError(401);
+        let roc2 = RandomOrgClient.create('cache-errors-test-fatal',
+            { transport: emulator2.transport });
+        let cache = roc2.createIntegerCache(5, 0, 10, { replacement: false, cacheSize: 2 });
+
+        await assertRejects(cache.getOrWait(), errors.RandomOrgKeyNotRunningError);
+        assert.throws(() => cache.get(), errors.RandomOrgKeyNotRunningError);
+        assert(cache.getError().type == errors.RandomOrgCache.ERROR_FATAL);
+
+        // the key is running again
+        cache.clearError();
+        assert((await cache.getOrWait()).length == 5);
+
+        for (let i = 0; i < 50 && cache.getCachedValues() < 2; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
         }
+        cache.stop();
+        cache.reset();
+        assert(cache.getCachedValues() == 0 && cache.getError() === null);
+        roc2.dispose();
     });
 });
 
-describe('General', function() {
-    it('reusing an API key returns a previously created instance', function() {
-        let roc2 = new RandomOrgClient(apiKey);
-        assert(roc == roc2, 'Error: did not return the same instance.');
+describe('Emulator', function() {
+    it('usage is tracked for each API key', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ bitsAllowance: 1000, requestsAllowance: 10 });
+        let roc2 = new RandomOrgClient('emulator-test-usage', { transport: emulator2.transport });
+
+        await roc2.generateIntegers(10, 0, 255);
+
+        assert(await roc2.getRequestsLeft() == 9);
+        assert(await roc2.getBitsLeft() == 920);
+        assert.deepEqual(emulator2.getUsage('emulator-test-usage').totalBits, 80);
     });
 
-    it('a different API key returns a new instance', function() {
-        let roc2 = new RandomOrgClient('ffffffff-ffff-ffff-ffff-ffffffffffff');
-        assert(roc != roc2, 'Error: returned the same instance.');
+    it('unknown API keys are rejected if keys are supplied', async function() {
+        let emulator2 = new errors.RandomOrgEmulator({ apiKeys: [ 'emulator-test-known' ] });
+        let roc2 = new RandomOrgClient('emulator-test-unknown', { transport: emulator2.transport });
+
+        try {
+            await roc2.generateIntegers(1, 0, 1);
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 400.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgRANDOMORGError && e.getCode() == 400,
+                'Should have thrown RandomOrgRANDOMORGError 400, instead threw ' + e.message);
+        }
     });
 
-    it('getRequestsLeft()', async function() {
-        let response = await roc.getRequestsLeft();
-        assert(response >= 0, 'Error: should have returned a number '
-            + ' >= 0, instead retuned ' + response);
-        if (logResponses) {
-            console.log('requests remaining: ' + response);
+    it('injected errors are thrown as the corresponding error classes', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let expected = {
+            401: errors.RandomOrgKeyNotRunningError,
+            402: errors.RandomOrgInsufficientRequestsError,
+            403: errors.RandomOrgInsufficientBitsError,
+            202: errors.RandomOrgRANDOMORGError
+        };
+
+        for (let code of Object.keys(expected)) {
+            let roc2 = new RandomOrgClient('emulator-test-inject-' + code,
+                { transport: emulator2.transport });
+            emulator2.injectError(Number(code), { method: 'generateIntegers' });
+
+            try {
+                await roc2.generateIntegers(1, 0, 1);
+                assert.fail('Should have thrown ' + expected[code].name + '.');
+            } catch (e) {
+                assert(e instanceof expected[code], 'Should have thrown '
+                    + expected[code].name + ', instead threw ' + e.message);
+            }
         }
     });
 
-    it('getBitsLeft()', async function() {
-        let response = await roc.getBitsLeft();
-        assert(response >= 0, 'Error: should have returned a number '
-            + ' >= 0, instead retuned ' + response);
-        if (logResponses) {
-            console.log('bits remaining: ' + response);
+    it('injected errors only replace the requested number of responses', async function() {
+        let emulator2 = new errors.RandomOrgEmulator();
+        let roc2 = new RandomOrgClient('emulator-test-times', { transport: emulator2.transport });
+        emulator2.injectError(420, { method: 'generateSignedIntegers', times: 1 });
+
+        // other methods are not affected
+        let response = await roc2.generateIntegers(1, 0, 1);
+        assert(response.length == 1);
+
+        try {
+            await roc2.generateSignedIntegers(1, 0, 1);
+            assert.fail('Should have thrown RandomOrgRANDOMORGError 420.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgRANDOMORGError && e.getCode() == 420);
         }
+
+        response = await roc2.generateSignedIntegers(1, 0, 1);
+        assert(response.data.length == 1);
     });
-})
+});
 
 describe('Basic', function() {
     describe('Integers', function() {
@@ -1045,6 +2860,37 @@ describe('Signed', function() {
             assert(!verification, 'Error: should not have been verified successfully.');
         });
 
+        it('verifySignatureOffline(random, signature)', async function() {
+            if (!emulator) {
+                // RANDOM.ORG's public key is not included in the tests
+                this.skip();
+            }
+            // no requests are sent by this client
+            let roc2 = new RandomOrgClient('verifier-test-offline', { publicKey: emulator.publicKey });
+            let response = await roc.generateSignedIntegers(5, 0, 10, { userData: userData });
+
+            let verification = await roc2.verifySignatureOffline(response.random, response.signature);
+            assert(verification, 'Error: should have been verified successfully.');
+
+            verification = await roc2.verifySignatureOffline(response.random, modifySignature(response.signature));
+            assert(!verification, 'Error: should not have been verified successfully.');
+
+            let random = Object.assign({}, response.random, { data: [ 0, 0, 0, 0, 0 ] });
+            verification = await new errors.RandomOrgVerifier(emulator.publicKey)
+                .verify(random, response.signature);
+            assert(!verification, 'Error: modified data should not have been verified.');
+        });
+
+        it('verifySignatureOffline() requires a public key', async function() {
+            try {
+                await roc.verifySignatureOffline({ data: [ 1 ] }, 'c2lnbmF0dXJl');
+                assert.fail('Should have thrown an error.');
+            } catch (e) {
+                assert(/public key/.test(e.message), 'Unexpected error: ' + e.message);
+            }
+            assert.throws(() => new errors.RandomOrgVerifier(), TypeError);
+        });
+
         it('getResult(serialNumber)', async function() {
             let response = await roc.generateSignedIntegers(5, 0, 10);
             let serialNumber = response.random.serialNumber;
@@ -1612,6 +3458,211 @@ describe('Caches', function() {
             console.log('hex-encoded blob cache, get(): ' + got);
         }
     });
+
+    it('signed integers (bulk requests)', async function() {
+        let cache = roc.createSignedIntegerCache(5, 0, 10, { cacheSize: cacheSize,
+            userData: 'signed cache' });
+        let first = await cache.getOrWait();
+        let second = await cache.getOrWait();
+        cache.stop();
+
+        for (let got of [ first, second ]) {
+            assert(got.data.length == 5 && got.end - got.start == 5);
+            assert.deepEqual(got.data, got.random.data.slice(got.start, got.end));
+            assert(got.random.n == 5 * cacheSize / 2 && got.random.userData == 'signed cache');
+        }
+        // the result-sets of a bulk response share its signature
+        assert(first.signature == second.signature && first.start != second.start);
+        assert(await roc.verifySignature(first.random, first.signature),
+            'Error: the values of a signed cache should be verifiable.');
+
+        if (logResponses) {
+            console.log('signed integer cache, get(): ' + first.data);
+        }
+    });
+
+    it('signed strings without replacement (individual requests)', async function() {
+        let cache = roc.createSignedStringCache(4, 5, 'abcdef', { replacement: false,
+            cacheSize: cacheSize });
+        let got = await cache.getOrWait();
+        cache.stop();
+
+        assert(got.data.length == 4 && got.start == 0 && got.end == 4);
+        assert(got.random.method == 'generateSignedStrings' && got.random.n == 4);
+        assert(await roc.verifySignature(got.random, got.signature));
+
+        if (logResponses) {
+            console.log('signed string cache, get(): ' + got.data);
+        }
+    });
+});
+
+describe('Cache Order', function() {
+    /** Helper function to get all result-sets of a full cache. */
+    let drain = async (order) => {
+        let roc2 = RandomOrgClient.create('cache-order-test-' + order,
+            { transport: new errors.RandomOrgEmulator().transport });
+        let cache = roc2.createSignedIntegerCache(3, 0, 100, { cacheSize: 4, order: order });
+        for (let i = 0; i < 100 && cache.getCachedValues() < 4; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        cache.stop();
+
+        let got = [];
+        while (cache.getCachedValues() > 0) {
+            got.push(cache.get());
+        }
+        roc2.dispose();
+        return got;
+    };
+
+    it('fifo caches return the result-sets in the order they were generated', async function() {
+        let got = await drain(errors.RandomOrgCache.ORDER_FIFO);
+        assert.deepEqual(got.map(item => item.start), [ 0, 3, 0, 3 ]);
+        assert(got[0].signature == got[1].signature && got[1].signature != got[2].signature);
+        assert(got[0].random.serialNumber < got[2].random.serialNumber);
+    });
+
+    it('lifo caches return the result-set obtained last first', async function() {
+        let got = await drain(errors.RandomOrgCache.ORDER_LIFO);
+        assert.deepEqual(got.map(item => item.start), [ 3, 0, 3, 0 ]);
+        assert(got[0].random.serialNumber > got[2].random.serialNumber);
+    });
+
+    it('invalid orders are rejected', function() {
+        assert.throws(() => roc.createIntegerCache(5, 0, 10, { order: 'random' }), TypeError);
+    });
+});
+
+describe('Cache Waiting', function() {
+    /** Helper function to create a client whose responses take 300 ms. */
+    let slowClient = name => {
+        let emulator2 = new errors.RandomOrgEmulator();
+        return RandomOrgClient.create('cache-waiting-test-' + name, {
+            transport: (url, body, options) => new Promise(resolve => setTimeout(resolve, 300))
+                .then(() => emulator2.transport(url, body, options))
+        });
+    };
+
+    it('waiting calls are resumed in order when responses are added', async function() {
+        let roc2 = slowClient('order');
+        let cache = roc2.createSignedIntegerCache(5, 0, 10,
+            { replacement: false, cacheSize: 3, order: 'fifo' });
+
+        let got = await Promise.all([ cache.getOrWait(), cache.getOrWait(), cache.getOrWait() ]);
+        cache.stop();
+        let serialNumbers = got.map(item => item.random.serialNumber);
+        assert.deepEqual(serialNumbers, serialNumbers.slice().sort((a, b) => a - b));
+        assert(new Set(serialNumbers).size == 3);
+        roc2.dispose();
+    });
+
+    it('getOrWait() rejects once the timeout has elapsed', async function() {
+        let roc2 = slowClient('timeout');
+        let cache = roc2.createIntegerCache(5, 0, 10, { cacheSize: 2 });
+
+        let started = Date.now();
+        await assertRejects(cache.getOrWait({ timeout: 100 }), errors.RandomOrgCacheEmptyError);
+        assert(Date.now() - started < 250, 'Error: the wait should have timed out.');
+
+        // the cache continues to populate itself
+        assert((await cache.getOrWait({ timeout: 2000 })).length == 5);
+        cache.stop();
+        roc2.dispose();
+    });
+
+    it('stopping the cache resumes waiting calls', async function() {
+        let roc2 = slowClient('stop');
+        let cache = roc2.createIntegerCache(5, 0, 10, { cacheSize: 2 });
+
+        let waiting = cache.getOrWait();
+        cache.stop();
+        try {
+            await waiting;
+            assert.fail('Should have thrown RandomOrgCacheEmptyError.');
+        } catch (e) {
+            assert(e instanceof errors.RandomOrgCacheEmptyError && e.wasPaused());
+        }
+        roc2.dispose();
+    });
+});
+
+describe('Cache Streams', function() {
+    /** Helper function to create a client with its own emulated API key. */
+    let emulatedClient = name => RandomOrgClient.create('cache-streams-test-' + name,
+        { transport: new errors.RandomOrgEmulator().transport });
+
+    it('caches can be iterated until they are stopped', async function() {
+        let roc2 = emulatedClient('iterator');
+        let cache = roc2.createUUIDCache(2, { cacheSize: 4 });
+
+        let got = [];
+        for await (const values of cache) {
+            assert(values.length == 2 && values.every(isUUID));
+            got.push(values);
+            if (got.length == 3) {
+                cache.stop();
+            }
+        }
+        assert(got.length >= 3, 'Error: the values still cached should have been returned.');
+        roc2.dispose();
+    });
+
+    it('iterating can be aborted', async function() {
+        let roc2 = emulatedClient('iterator-abort');
+        let cache = roc2.createIntegerCache(5, 0, 10, { cacheSize: 2 });
+
+        let controller = new AbortController();
+        controller.abort();
+        let iterator = cache.values({ signal: controller.signal });
+        await assertRejects(iterator.next(), errors.RandomOrgAbortError);
+        cache.stop();
+        roc2.dispose();
+    });
+
+    it('Node streams read the cache on demand until it is stopped', async function() {
+        if (typeof fs === 'undefined') {
+            this.skip();
+        }
+        let roc2 = emulatedClient('readable');
+        let cache = roc2.createIntegerCache(5, 0, 10, { cacheSize: 4 });
+        for (let i = 0; i < 100 && cache.getCachedValues() < 4; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        cache.stop();
+
+        let readable = cache.toReadable();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert(cache.getCachedValues() == 4,
+            'Error: values should only be read when the stream is consumed.');
+
+        let got = [];
+        for await (const values of readable) {
+            got.push(values);
+        }
+        assert(got.length == 4 && got.every(values => values.length == 5));
+        assert(cache.getCachedValues() == 0);
+        roc2.dispose();
+    });
+
+    it('WHATWG streams read the cache', async function() {
+        if (typeof ReadableStream === 'undefined') {
+            this.skip();
+        }
+        let roc2 = emulatedClient('readable-stream');
+        let cache = roc2.createStringCache(3, 4, 'abcd', { cacheSize: 4 });
+        let reader = cache.toReadableStream().getReader();
+
+        let { value, done } = await reader.read();
+        assert(!done && value.length == 3);
+
+        cache.stop();
+        while (!(await reader.read()).done) {
+            // read the values still cached
+        }
+        assert(cache.getCachedValues() == 0);
+        roc2.dispose();
+    });
 });
 
 describe('Final Usage', function() {
@@ -1672,6 +3723,67 @@ let signedTestHelper = async function(response, type, hasUserData = false, messa
     }
 };
 
+/**
+ * Helper function to create a fake XMLHttpRequest class, which calls the
+ * supplied function with the request instead of sending it.
+ * @param {function(Object)} outcome Function which calls the callbacks of the
+ *     request, e.g. ontimeout.
+ * @returns {Function} The fake XMLHttpRequest class.
+ */
+let fakeXMLHttpRequest = function(outcome) {
+    return class {
+        status = 0;
+        responseText = '';
+        open() {}
+        setRequestHeader() {}
+        abort() {}
+        send() {
+            setTimeout(() => outcome(this), 0);
+        }
+    };
+}
+
+/**
+ * Helper function to create the response a fake transport returns for a
+ * basic request.
+ * @param {Object} request The JSON-RPC request received by the transport.
+ * @param {any[]} data The random values to be returned.
+ * @returns {{status: number, body: string}} A successful HTTP response.
+ */
+let fakeResponse = function(request, data) {
+    return {
+        status: 200,
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            result: {
+                random: { data: data, completionTime: '2021-01-01 00:00:00Z' },
+                bitsUsed: 10,
+                bitsLeft: 249990,
+                requestsLeft: 999,
+                advisoryDelay: 10
+            },
+            id: request.id
+        })
+    };
+}
+
+/**
+ * Helper function to assert that a Promise is rejected.
+ * @param {Promise<any>} promise The Promise.
+ * @param {function} errorClass The class of the expected error.
+ * @returns {Promise<Error>} A Promise for the error.
+ */
+let assertRejects = async function(promise, errorClass) {
+    try {
+        await promise;
+    } catch (e) {
+        assert(e instanceof errorClass, 'Should have thrown ' + errorClass.name
+            + ', instead threw ' + e.message);
+        return e;
+    }
+    assert.fail('Should have thrown ' + errorClass.name + '.');
+}
+
 /**
  * Helper function to determine whether a string is a valid UUID.
  * @param {string} val The string to be tested.
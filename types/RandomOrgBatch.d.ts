@@ -0,0 +1,184 @@
+export = RandomOrgBatch;
+declare class RandomOrgBatch {
+    /**
+     * Constructor.
+     *
+     * ** WARNING** Should only be called by RandomOrgClient's batch() method.
+     * @param {RandomOrgClient} client The client creating the requests.
+     * @param {function(Object[], Object): Promise<void>} sendFunction Function
+     *     used to send the queued requests.
+     */
+    constructor(client: any, sendFunction: (arg0: any[], arg1: any) => Promise<void>);
+    /**
+     * Queues a generateIntegers request.
+     * See {@link RandomOrgClient#generateIntegers} for the parameters.
+     * @returns {(Promise<number[]>|Promise<string[]>)} A Promise for the result.
+     */
+    generateIntegers(n: any, min: any, max: any, options?: {}): (Promise<number[]> | Promise<string[]>);
+    /**
+     * Queues a generateIntegerSequences request.
+     * See {@link RandomOrgClient#generateIntegerSequences} for the parameters.
+     * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise for the result.
+     */
+    generateIntegerSequences(n: any, length: any, min: any, max: any, options?: {}): (Promise<number[][]> | Promise<string[][]>);
+    /**
+     * Queues a generateDecimalFractions request.
+     * See {@link RandomOrgClient#generateDecimalFractions} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateDecimalFractions(n: any, decimalPlaces: any, options?: {}): Promise<number[]>;
+    /**
+     * Queues a generateGaussians request.
+     * See {@link RandomOrgClient#generateGaussians} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateGaussians(n: any, mean: any, standardDeviation: any, significantDigits: any, options?: {}): Promise<number[]>;
+    /**
+     * Queues a generateStrings request.
+     * See {@link RandomOrgClient#generateStrings} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateStrings(n: any, length: any, characters: any, options?: {}): Promise<string[]>;
+    /**
+     * Queues a generateUUIDs request.
+     * See {@link RandomOrgClient#generateUUIDs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateUUIDs(n: any, options?: {}): Promise<string[]>;
+    /**
+     * Queues a generateBlobs request.
+     * See {@link RandomOrgClient#generateBlobs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateBlobs(n: any, size: any, options?: {}): Promise<string[]>;
+    /**
+     * Queues a generateSignedIntegers request.
+     * See {@link RandomOrgClient#generateSignedIntegers} for the parameters.
+     * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegers(n: any, min: any, max: any, options?: {}): Promise<{
+        data: number[] | string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedIntegerSequences request.
+     * See {@link RandomOrgClient#generateSignedIntegerSequences} for the parameters.
+     * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegerSequences(n: any, length: any, min: any, max: any, options?: {}): Promise<{
+        data: number[][] | string[][];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedDecimalFractions request.
+     * See {@link RandomOrgClient#generateSignedDecimalFractions} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedDecimalFractions(n: any, decimalPlaces: any, options?: {}): Promise<{
+        data: number[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedGaussians request.
+     * See {@link RandomOrgClient#generateSignedGaussians} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedGaussians(n: any, mean: any, standardDeviation: any, significantDigits: any, options?: {}): Promise<{
+        data: number[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedStrings request.
+     * See {@link RandomOrgClient#generateSignedStrings} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedStrings(n: any, length: any, characters: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedUUIDs request.
+     * See {@link RandomOrgClient#generateSignedUUIDs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedUUIDs(n: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a generateSignedBlobs request.
+     * See {@link RandomOrgClient#generateSignedBlobs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedBlobs(n: any, size: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Queues a verifySignature request.
+     * See {@link RandomOrgClient#verifySignature} for the parameters.
+     * @returns {Promise<boolean>} A Promise for the result.
+     */
+    verifySignature(random: any, signature: any, options?: {}): Promise<boolean>;
+    /**
+     * Queues a getResult request.
+     * See {@link RandomOrgClient#getResult} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getResult(serialNumber: any, options?: {}): Promise<any>;
+    /**
+     * Queues a createTickets request.
+     * See {@link RandomOrgClient#createTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    createTickets(n: any, showResult: any, options?: {}): Promise<any[]>;
+    /**
+     * Queues a listTickets request.
+     * See {@link RandomOrgClient#listTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    listTickets(ticketType: any, options?: {}): Promise<any[]>;
+    /**
+     * Queues a getTicket request.
+     * See {@link RandomOrgClient#getTicket} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getTicket(ticketId: any, options?: {}): Promise<any>;
+    /**
+     * Gets the number of requests queued in this batch.
+     * @returns {number} The number of queued requests.
+     */
+    getSize(): number;
+    /**
+     * Sends all queued requests. A batch can only be sent once.
+     *
+     * The Promise returned by each queued call is settled with the outcome of
+     * its own request; errors of individual requests do not reject send().
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the batch
+     *     when aborted.
+     * @returns {Promise<Object[]>} A Promise which is resolved once all queued
+     *     calls have been settled, with their outcomes in the form returned by
+     *     Promise.allSettled().
+     * @throws {Error} Thrown when the batch has already been sent.
+     */
+    send(options?: {
+        signal?: AbortSignal;
+    }): Promise<any[]>;
+    #private;
+}
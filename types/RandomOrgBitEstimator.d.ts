@@ -0,0 +1,2 @@
+export function supports(method: string): boolean;
+export function estimate(method: string, params: any): number;
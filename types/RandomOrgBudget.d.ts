@@ -0,0 +1,67 @@
+export = RandomOrgBudget;
+declare class RandomOrgBudget {
+    static "__#6@#RESOURCES": string[];
+    static "__#6@#DEFAULT_WARNINGS": number[];
+    /** Helper function to create empty counters. */
+    static "__#6@#counters": () => {
+        bits: number;
+        requests: number;
+        tags: {};
+    };
+    /**
+     * Constructs an empty budget, without any caps.
+     * @param {function(Object)} onWarning Function called with the data of
+     *     every warning, see RandomOrgClient.setBudget().
+     */
+    constructor(onWarning: (arg0: any) => any);
+    /**
+     * Sets the caps, reservations and warning thresholds of the budget. The
+     * usage counted today is kept.
+     * @param {?Object} config The configuration, see RandomOrgClient.setBudget(),
+     *     or null to remove all caps.
+     * @throws {TypeError} Thrown when the configuration is not an object.
+     */
+    configure(config: any | null): void;
+    /**
+     * Charges a request, if it is sent by a generate method.
+     * @param {Object} request The request.
+     * @param {?string} tag The tag of the call.
+     * @param {{bits: number, requests: number}} allowance The bits and requests
+     *     left to the API key, or -1 if unknown.
+     * @returns {?Object} The charge, which must be passed to settle() or
+     *     release(), or null if the request is not charged.
+     * @throws {RandomOrgInsufficientBitsError} Thrown when the request would
+     *     exceed a cap on bits.
+     * @throws {RandomOrgInsufficientRequestsError} Thrown when the request would
+     *     exceed a cap on requests.
+     */
+    charge(request: any, tag: string | null, allowance: {
+        bits: number;
+        requests: number;
+    }): any | null;
+    /**
+     * Settles the charge of a request which was served.
+     * @param {Object} charge The charge returned by charge().
+     * @param {number} [bitsUsed] The bits used according to the response,
+     *     if known. Otherwise, the estimate is used.
+     */
+    settle(charge: any, bitsUsed?: number): void;
+    /**
+     * Releases the charge of a request which failed.
+     * @param {Object} charge The charge returned by charge().
+     */
+    release(charge: any): void;
+    /**
+     * Gets the bits and requests used today.
+     * @returns {{day: string, bits: number, requests: number, tags: Object}}
+     *     The UTC day ('YYYY-MM-DD'), the bits and requests used in total
+     *     and the bits and requests used per tag.
+     */
+    getUsage(): {
+        day: string;
+        bits: number;
+        requests: number;
+        tags: any;
+    };
+    #private;
+}
@@ -1,5 +1,46 @@
 export = RandomOrgCache;
 declare class RandomOrgCache {
+    /**
+     * Type of errors which are likely to be resolved by retrying, e.g. HTTP
+     * timeouts, network errors or HTTP status codes 5xx. Requests are retried
+     * with an exponentially increasing delay, starting at 1 second, up to 1
+     * minute. Meanwhile, the values already cached can still be retrieved.
+     */
+    static ERROR_TRANSIENT: string;
+    /**
+     * Type of errors reporting that the daily allowance of bits or requests of
+     * the API key, or the budget of the client, is exhausted. The cache pauses
+     * until the allowance is reset at midnight UTC. Meanwhile, the values
+     * already cached can still be retrieved, after which get() and getOrWait()
+     * throw the error.
+     */
+    static ERROR_QUOTA: string;
+    /**
+     * Type of errors which cannot be resolved by retrying, e.g. invalid
+     * parameters or an API key which does not exist (error 400) or is not
+     * running (error 401). The error is thrown by every call to get() and
+     * getOrWait() until clearError() or reset() is called.
+     */
+    static ERROR_FATAL: string;
+    /**
+     * Order in which the result-sets are returned: the one obtained last
+     * first. The result-sets of a bulk request are returned in reverse.
+     */
+    static ORDER_LIFO: string;
+    /**
+     * Order in which the result-sets are returned: in the order the server
+     * generated them, e.g. for audit trails.
+     */
+    static ORDER_FIFO: string;
+    static "__#8@#INITIAL_RETRY_DELAY": number;
+    static "__#8@#MAX_RETRY_DELAY": number;
+    static "__#8@#TRANSIENT_STATUS_CODES": number[];
+    /**
+     * Helper function to get the type of an error of a request.
+     * @param {Error} e The error.
+     * @returns {string} ERROR_TRANSIENT, ERROR_QUOTA or ERROR_FATAL.
+     */
+    static "__#8@#classify": (e: Error) => string;
     /**
      * Initialize class and start stack population
      *
@@ -15,8 +56,26 @@ declare class RandomOrgCache {
      *     number of results in a single request, else 0.
      * @param {number} singleRequestSize Size of a single request in bits for
      *     adjusting bulk requests if bits are in short supply on the server.
+     * @param {{onError?: function(Error, Object), signed?: boolean,
+     *     order?: string}} options An object which may contain any of the
+     *     following optional parameters:
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of a request and an object containing its type ('type',
+     *     e.g. ERROR_TRANSIENT) and the time the request is retried ('retryAt',
+     *     a Date, or null for fatal errors). Errors thrown by the function are
+     *     ignored.
+     * @param {boolean} [options.signed=false] Whether the request is signed, in
+     *     which case get() returns the values together with the random object
+     *     and signature they came from, see #addResponse().
+     * @param {string} [options.order='lifo'] The order in which the result-sets
+     *     are returned, ORDER_LIFO or ORDER_FIFO (default 'lifo').
+     * @throws {TypeError} Thrown when the order is invalid.
      */
-    constructor(requestFunction: (arg0: any) => any, request: any, cacheSize: number, bulkRequestNumber: number, requestNumber: number, singleRequestSize: number);
+    constructor(requestFunction: (arg0: any) => any, request: any, cacheSize: number, bulkRequestNumber: number, requestNumber: number, singleRequestSize: number, options?: {
+        onError?: (arg0: Error, arg1: any) => any;
+        signed?: boolean;
+        order?: string;
+    });
     /**
      * The cache will no longer continue to populate itself.
      */
@@ -36,26 +95,115 @@ declare class RandomOrgCache {
      */
     isPaused(): boolean;
     /**
-     * Gets the next response.
+     * Discards the error the cache has not recovered from yet, if any, and
+     * resumes populating the cache immediately, e.g. after a fatal error was
+     * resolved or to retry before the scheduled time.
+     */
+    clearError(): void;
+    /**
+     * Discards the values cached and the error the cache has not recovered
+     * from yet, if any, and starts populating the cache again.
+     */
+    reset(): void;
+    /**
+     * Gets the last error of a request, if the cache has not recovered from
+     * it yet.
+     * @returns {?{error: Error, type: string}} The error and its type, e.g.
+     *     ERROR_TRANSIENT, or null.
+     */
+    getError(): {
+        error: Error;
+        type: string;
+    } | null;
+    /**
+     * Gets the next response. For caches of signed values, see
+     * RandomOrgClient.createSignedIntegerCache(), this is an object containing
+     * the values ('data'), the random object ('random') and signature
+     * ('signature') of the response they came from, and the position of the
+     * values in random.data ('start' and 'end').
      * Note that if the cache is empty, if was constructed with unsuitable parameter
      * values or if the daily allowance of bits/requests has been reached, the appropriate
-     * error will be thrown.
-     * @returns {any[]} The next appropriate response for the request this RandomOrgCache
-     *     represents or, if stack is empty throws an error.
+     * error will be thrown, see ERROR_FATAL and ERROR_QUOTA.
+     * @returns {(any[]|Object)} The next appropriate response for the request
+     *     this RandomOrgCache represents or, if stack is empty throws an error.
      * @throws RandomOrgCacheEmptyError if the cache is empty.
      */
-    get(): any[];
+    get(): (any[] | any);
     /**
      * Get next response or wait until the next value is available. This method
      * will block until a value is available. Note: this method will throw an error
      * if the cache is empty and has been paused, i.e. is not being populated. If
      * the cache was constructed with unsuitable parameter values or the daily allowance
      * of bits/requests has been reached, the appropriate error will also be thrown.
-     * @returns {Promise<any[]>} The next appropriate response for the request this
+     *
+     * Waiting does not poll the cache: the calls waiting are resumed in the
+     * order they were made as soon as a response is added to the cache, the
+     * cache is stopped or an error occurs.
+     * @param {{signal?: AbortSignal, timeout?: number}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {AbortSignal} [options.signal] Signal which cancels the wait when
+     *     aborted. The cache continues to populate itself.
+     * @param {number} [options.timeout] Maximum time in milliseconds to wait
+     *     for a value. The cache continues to populate itself (default: no
+     *     limit).
+     * @returns {Promise<any[]|Object>} The next appropriate response for the request this
      * RandomOrgCache represents.
-     * @throws RandomOrgCacheEmptyError if the cache is empty and is paused.
+     * @throws RandomOrgCacheEmptyError if the cache is empty and is paused, or
+     *     is still empty when options.timeout has elapsed.
+     * @throws RandomOrgAbortError if the wait is aborted through options.signal.
+     */
+    getOrWait(options?: {
+        signal?: AbortSignal;
+        timeout?: number;
+    }): Promise<any[] | any>;
+    /**
+     * Returns an async iterator over the result-sets of the cache. Every
+     * result-set is obtained with getOrWait(), so the iterator waits while
+     * the cache repopulates itself. Once the cache has been stopped, the
+     * iterator returns the values still cached and then ends.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the iteration
+     *     when aborted.
+     * @returns {AsyncGenerator<any[]|Object>} The iterator.
+     * @throws RandomOrgAbortError if the iteration is aborted through
+     *     options.signal.
      */
-    getOrWait(): Promise<any[]>;
+    values(options?: {
+        signal?: AbortSignal;
+    }): AsyncGenerator<any[] | any>;
+    /**
+     * Returns a NodeJS Readable stream in object mode, which reads the
+     * result-sets of the cache like values(). A result-set is only requested
+     * from the cache when the stream's buffer has room for it, so a slow
+     * consumer does not use up the cache. The stream ends once the cache has
+     * been stopped and the values still cached have been read.
+     * @param {{highWaterMark?: number}} options An object which may contain the
+     *     following optional parameter:
+     * @param {number} [options.highWaterMark=1] Number of result-sets the
+     *     stream buffers (default 1).
+     * @returns {stream.Readable} The stream.
+     * @throws {Error} Thrown when NodeJS streams are not available, i.e. in
+     *     browsers.
+     */
+    toReadable(options?: {
+        highWaterMark?: number;
+    }): stream.Readable;
+    /**
+     * Returns a WHATWG ReadableStream, which reads the result-sets of the
+     * cache like values(). A result-set is only requested from the cache when
+     * the stream's queue has room for it. The stream closes once the cache has
+     * been stopped and the values still cached have been read.
+     * @param {{highWaterMark?: number}} options An object which may contain the
+     *     following optional parameter:
+     * @param {number} [options.highWaterMark=1] Number of result-sets the
+     *     stream queues (default 1).
+     * @returns {ReadableStream} The stream.
+     * @throws {Error} Thrown when ReadableStream is not available.
+     */
+    toReadableStream(options?: {
+        highWaterMark?: number;
+    }): ReadableStream;
     /**
      * Gets the number of result sets remaining in the cache.
      *
@@ -74,5 +222,14 @@ declare class RandomOrgCache {
      * @returns {number} Number of requests used.
      */
     getRequestsUsed(): number;
+    /**
+     * Returns an async iterator over the result-sets of the cache, see
+     * values(), so that the cache can be used in for await...of loops:
+     *
+     *     for await (const values of cache) { ... }
+     * @returns {AsyncGenerator<any[]|Object>} The iterator.
+     */
+    [Symbol.asyncIterator](): AsyncGenerator<any[] | any>;
     #private;
 }
+import stream = require("stream");
@@ -1,29 +1,35 @@
 export = RandomOrgClient;
 declare class RandomOrgClient {
-    static "__#5@#INTEGER_METHOD": string;
-    static "__#5@#INTEGER_SEQUENCE_METHOD": string;
-    static "__#5@#DECIMAL_FRACTION_METHOD": string;
-    static "__#5@#GAUSSIAN_METHOD": string;
-    static "__#5@#STRING_METHOD": string;
-    static "__#5@#UUID_METHOD": string;
-    static "__#5@#BLOB_METHOD": string;
-    static "__#5@#GET_USAGE_METHOD": string;
-    static "__#5@#SIGNED_INTEGER_METHOD": string;
-    static "__#5@#SIGNED_INTEGER_SEQUENCE_METHOD": string;
-    static "__#5@#SIGNED_DECIMAL_FRACTION_METHOD": string;
-    static "__#5@#SIGNED_GAUSSIAN_METHOD": string;
-    static "__#5@#SIGNED_STRING_METHOD": string;
-    static "__#5@#SIGNED_UUID_METHOD": string;
-    static "__#5@#SIGNED_BLOB_METHOD": string;
-    static "__#5@#GET_RESULT_METHOD": string;
-    static "__#5@#CREATE_TICKET_METHOD": string;
-    static "__#5@#LIST_TICKET_METHOD": string;
-    static "__#5@#GET_TICKET_METHOD": string;
-    static "__#5@#VERIFY_SIGNATURE_METHOD": string;
+    static "__#12@#INTEGER_METHOD": string;
+    static "__#12@#INTEGER_SEQUENCE_METHOD": string;
+    static "__#12@#DECIMAL_FRACTION_METHOD": string;
+    static "__#12@#GAUSSIAN_METHOD": string;
+    static "__#12@#STRING_METHOD": string;
+    static "__#12@#UUID_METHOD": string;
+    static "__#12@#BLOB_METHOD": string;
+    static "__#12@#GET_USAGE_METHOD": string;
+    static "__#12@#SIGNED_INTEGER_METHOD": string;
+    static "__#12@#SIGNED_INTEGER_SEQUENCE_METHOD": string;
+    static "__#12@#SIGNED_DECIMAL_FRACTION_METHOD": string;
+    static "__#12@#SIGNED_GAUSSIAN_METHOD": string;
+    static "__#12@#SIGNED_STRING_METHOD": string;
+    static "__#12@#SIGNED_UUID_METHOD": string;
+    static "__#12@#SIGNED_BLOB_METHOD": string;
+    static "__#12@#GET_RESULT_METHOD": string;
+    static "__#12@#CREATE_TICKET_METHOD": string;
+    static "__#12@#LIST_TICKET_METHOD": string;
+    static "__#12@#GET_TICKET_METHOD": string;
+    static "__#12@#VERIFY_SIGNATURE_METHOD": string;
     /** Blob format literal, base64 encoding (default). */
     static BLOB_FORMAT_BASE64: string;
     /** Blob format literal, hex encoding. */
     static BLOB_FORMAT_HEX: string;
+    /** Transport literal, native fetch() (browsers and NodeJS v18+). */
+    static TRANSPORT_FETCH: string;
+    /** Transport literal, NodeJS https module (default in NodeJS). */
+    static TRANSPORT_HTTPS: string;
+    /** Transport literal, XMLHttpRequest. */
+    static TRANSPORT_XHR: string;
     /** Default value for the replacement parameter (true). */
     static DEFAULT_REPLACEMENT: boolean;
     /** Default value for the base parameter (10). */
@@ -44,19 +50,79 @@ declare class RandomOrgClient {
     static DEFAULT_HTTP_TIMEOUT: number;
     /** Maximum number of characters allowed in a signature verficiation URL. */
     static MAX_URL_LENGTH: number;
-    static "__#5@#DEFAULT_DELAY": number;
-    static "__#5@#ALLOWANCE_STATE_REFRESH_SECONDS": number;
-    static "__#5@#keyIndexedInstances": {};
-    static "__#5@#ERROR_CODES": number[];
+    /** Default value for the endpoint parameter. */
+    static DEFAULT_ENDPOINT: string;
+    /** Default value for the signatureFormUrl parameter. */
+    static DEFAULT_SIGNATURE_FORM_URL: string;
+    /** Priority of requests which should be sent before any others. */
+    static PRIORITY_HIGH: number;
+    /** Default priority of requests. */
+    static PRIORITY_NORMAL: number;
+    /** Priority of requests which refill caches. */
+    static PRIORITY_BACKGROUND: number;
+    /**
+     * Default values for the retry parameter. By default, failed requests are
+     * not retried (maxAttempts is 1).
+     */
+    static DEFAULT_RETRY_POLICY: {
+        maxAttempts: number;
+        initialDelay: number;
+        maxDelay: number;
+        multiplier: number;
+        jitter: number;
+        retryableStatusCodes: number[];
+        retryableErrors: {
+            new (message: string): RandomOrgSendTimeoutError;
+            captureStackTrace(targetObject: object, constructorOpt?: Function): void;
+            prepareStackTrace?: (err: Error, stackTraces: NodeJS.CallSite[]) => any;
+            stackTraceLimit: number;
+        }[];
+        retryNetworkErrors: boolean;
+        retryNonIdempotent: boolean;
+    };
+    static "__#12@#DEFAULT_DELAY": number;
+    static "__#12@#ALLOWANCE_STATE_REFRESH_SECONDS": number;
+    static "__#12@#keyIndexedInstances": {};
+    static "__#12@#keyIndexedStates": {};
+    static "__#12@#creating": boolean;
+    static "__#12@#ERROR_CODES": number[];
+    /**
+     * Creates a new instance of RandomOrgClient, even if an instance already
+     * exists for the supplied API key. Unlike the constructor, this always
+     * applies the supplied options, e.g. a different httpTimeout or transport.
+     *
+     * The new instance is not returned by the constructor for this API key.
+     * All instances using the same API key share its rate-limit state: their
+     * requests are sent one at a time and obey the advisory delay, back-off and
+     * usage information of responses received by any of them. Call dispose()
+     * once the instance is no longer needed.
+     * @param {string} apiKey API key of the instance to create, obtained from
+     *     RANDOM.ORG, see https://api.random.org/api-keys
+     * @param {Object} options The options of the instance, see the constructor.
+     * @returns {RandomOrgClient} The new instance.
+     */
+    static create(apiKey: string, options?: any): RandomOrgClient;
+    /**
+     * Helper function to get the rate-limit state of an API key, which is
+     * shared by all instances using the key, creating it if necessary.
+     * @param {string} apiKey The API key.
+     * @returns {Object} The state of the API key.
+     */
+    static "__#12@#keyStateFor": (apiKey: string) => any;
     /**
      * Constructor. Ensures only one instance of RandomOrgClient exists per API
      * key. Creates a new instance if the supplied key isn't already known,
-     * otherwise returns the previously instantiated one.
+     * otherwise returns the previously instantiated one and ignores the
+     * supplied options. Use {@link RandomOrgClient.create} to create a
+     * separate instance.
      * @constructor
      * @param {string} apiKey API key of instance to create/find, obtained from
      *     RANDOM.ORG, see https://api.random.org/api-keys
-     * @param {{blockingTimeout?: number, httpTimeout?: number}} options An object
-     *     which may contains any of the following optional parameters:
+     * @param {{blockingTimeout?: number, httpTimeout?: number, transport?: string|
+     *     function(string, string, Object): Promise<Object>, endpoint?: string,
+     *     signatureFormUrl?: string, publicKey?: string, retry?: Object,
+     *     validation?: boolean, budget?: Object, stateStore?: Object,
+     *     coordinator?: Object}} options An object which may contains any of the following optional parameters:
      * @param {number} [options.blockingTimeout = 24 * 60 * 60 * 1000] Maximum
      *     time in milliseconds to wait before being allowed to send a request.
      *     Note this is a hint not a guarantee. The advisory delay from server
@@ -65,10 +131,90 @@ declare class RandomOrgClient {
      * @param {number} [options.httpTimeout = 120 * 1000] Maximum time in
      *     milliseconds to wait for the server response to a request (default
      *     120*1000).
+     * @param {(string|function(string, string, Object): Promise<Object>)}
+     *     [options.transport] The transport used to deliver requests to the
+     *     server. Either one of the built-in transports ('fetch', 'https' or
+     *     'xhr') or a custom function, which is called with the URL, the
+     *     JSON-encoded request and an object containing the httpTimeout
+     *     ('timeout') and the AbortSignal of the request, if any ('signal'),
+     *     and returns a Promise for an object containing the HTTP status code
+     *     ('status') and the response text ('body'). See RandomOrgTransports
+     *     (default: 'https' in NodeJS, otherwise 'fetch' if available and 'xhr'
+     *     as a fallback).
+     * @see {@link RandomOrgClient#TRANSPORT_FETCH} for 'fetch'.
+     * @see {@link RandomOrgClient#TRANSPORT_HTTPS} for 'https'.
+     * @see {@link RandomOrgClient#TRANSPORT_XHR} for 'xhr'.
+     * @param {string} [options.endpoint='https://api.random.org/json-rpc/4/invoke']
+     *     URL of the JSON-RPC endpoint requests are sent to, e.g. a relay or a
+     *     local emulator (default 'https://api.random.org/json-rpc/4/invoke').
+     * @param {string} [options.signatureFormUrl='https://api.random.org/signatures/form']
+     *     URL of the signature verification form used by createUrl() and
+     *     createHtml() (default 'https://api.random.org/signatures/form').
+     * @param {string} [options.publicKey] PEM-encoded public key used by
+     *     verifySignatureOffline(), i.e. RANDOM.ORG's public key. This is not
+     *     included in the library and must be obtained from RANDOM.ORG.
+     * @param {Object} [options.retry] Policy for retrying requests which fail
+     *     to reach the server. Requests are only retried when this contains a
+     *     maxAttempts value greater than 1. Retries still obey the server's
+     *     advisory delay. Any values not supplied are taken from
+     *     DEFAULT_RETRY_POLICY:
+     * * **maxAttempts**: maximum number of attempts per request, including
+     *       the first one (default 1).
+     * * **initialDelay**: delay in milliseconds before the first retry, which
+     *       is multiplied by **multiplier** for every further retry (default
+     *       1000 and 2), up to **maxDelay** (default 30000).
+     * * **jitter**: fraction of the delay by which it is randomly reduced, in
+     *       the [0, 1] range (default 0.5).
+     * * **retryableStatusCodes**: HTTP status codes which are retried (default
+     *       408, 429, 500, 502, 503 and 504).
+     * * **retryableErrors**: error classes thrown by the transport which are
+     *       retried (default [RandomOrgSendTimeoutError], i.e. HTTP timeouts).
+     * * **retryNetworkErrors**: whether other errors thrown by the transport,
+     *       e.g. refused connections, are retried (default true).
+     * * **retryNonIdempotent**: whether createTickets() and signed requests
+     *       using a ticketId are retried. The first attempt may have reached
+     *       the server, so a retry could create tickets twice or fail because
+     *       the ticket was used (default false).
+     * @param {boolean} [options.validation=true] Whether the parameters of the
+     *     generate methods and of the methods creating caches are checked
+     *     before a request is sent. Invalid parameters are rejected with the
+     *     RandomOrgRANDOMORGError the server would return, e.g. error 202 if a
+     *     parameter is out of range, without using a request (default true).
+     * @param {Object} [options.budget] Daily caps on the bits and requests used
+     *     by this instance, see setBudget() (default: no caps).
+     * @param {Object} [options.stateStore] Store which persists the rate-limit
+     *     state of the API key, i.e. the advisory delay, the time of the last
+     *     response, the back-off and the usage, so that a restarted process
+     *     obeys them. The state is restored from the store when the instance
+     *     is constructed, unless the state known to the client is more recent,
+     *     and saved after every response. The store then applies to all
+     *     instances using the API key. See RandomOrgStateStores for the
+     *     built-in stores and the interface of custom stores. Errors of the
+     *     store are reported with a stateError event, see on() (default: the
+     *     state is not persisted).
+     * @param {Object} [options.coordinator] Coordinator which shares the
+     *     rate-limit state of the API key with clients in other processes on
+     *     the same host, e.g. NodeJS cluster workers. A request is only sent
+     *     once the coordinator has granted this process exclusive access to
+     *     the API key, with the advisory delay, back-off and usage of the
+     *     response received last by any process. The coordinator then applies
+     *     to all instances using the API key. See RandomOrgFileCoordinator for
+     *     the built-in coordinator and the interface of custom coordinators.
+     *     Errors releasing the access are reported with a stateError event
+     *     (default: requests are only coordinated within this process).
      */
     constructor(apiKey: string, options?: {
         blockingTimeout?: number;
         httpTimeout?: number;
+        transport?: string | ((arg0: string, arg1: string, arg2: any) => Promise<any>);
+        endpoint?: string;
+        signatureFormUrl?: string;
+        publicKey?: string;
+        retry?: any;
+        validation?: boolean;
+        budget?: any;
+        stateStore?: any;
+        coordinator?: any;
     });
     /**
      * Requests and returns an array of true random integers within a user-defined
@@ -81,9 +227,10 @@ declare class RandomOrgClient {
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the random
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, pregeneratedRandomization?:
-     *     Object}} options An object which may contains any of the following
-     *     optional parameters:
+     * @param {{replacement?: boolean, base?: number,
+     *     pregeneratedRandomization?: Object, signal?: AbortSignal}} options
+     *     An object which may contains any of the following optional
+     *     parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -102,10 +249,14 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {(Promise<number[]>|Promise<string[]>)} A Promise which, if
      *     resolved successfully, represents an array of true random integers.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -122,6 +273,7 @@ declare class RandomOrgClient {
         replacement?: boolean;
         base?: number;
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): (Promise<number[]> | Promise<string[]>);
     /**
      * Requests and returns an array of true random integer sequences within a
@@ -150,8 +302,9 @@ declare class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     pregeneratedRandomization?: Object}} options An object which may contains
-     *     any of the following optional parameters:
+     *     pregeneratedRandomization?: Object, signal?: AbortSignal}} options
+     *     An object which may contains any of the following optional
+     *     parameters:
      * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
      *     the random numbers should be picked with replacement. If true, the
      *     resulting numbers may contain duplicate values, otherwise the numbers
@@ -176,11 +329,15 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise which, if
      *     resolved successfully, represents an array of true random integer
      *     sequences.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -197,6 +354,7 @@ declare class RandomOrgClient {
         replacement?: boolean | boolean[];
         base?: number | number[];
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): (Promise<number[][]> | Promise<string[][]>);
     /**
      * Requests and returns a list (size n) of true random decimal fractions,
@@ -208,8 +366,9 @@ declare class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must be
      *     within the [1,20] range.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     signal?: AbortSignal}} options An object which may contains any of
+     *     the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -226,10 +385,14 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random decimal fractions.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -245,6 +408,7 @@ declare class RandomOrgClient {
     generateDecimalFractions(n: number, decimalPlaces: number, options?: {
         replacement?: boolean;
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): Promise<number[]>;
     /**
      * Requests and returns a list (size n) of true random numbers from a
@@ -261,8 +425,9 @@ declare class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{pregeneratedRandomization?: Object}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, signal?: AbortSignal}}
+     *     options An object which may contains any of the following optional
+     *     parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -275,10 +440,14 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random numbers from a Gaussian distribution.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -293,6 +462,7 @@ declare class RandomOrgClient {
      */
     generateGaussians(n: number, mean: number, standardDeviation: number, significantDigits: number, options?: {
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): Promise<number[]>;
     /**
      * Requests and returns a list (size n) of true random unicode strings from
@@ -304,8 +474,9 @@ declare class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     signal?: AbortSignal}} options An object which may contains any of
+     *     the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
      *     of strings may contain duplicates, otherwise the strings will all be
@@ -322,10 +493,14 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<string[]>} A Promise which, if resolved successfully,
      *     represents an array of true random strings.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -341,6 +516,7 @@ declare class RandomOrgClient {
     generateStrings(n: number, length: number, characters: string, options?: {
         replacement?: boolean;
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): Promise<string[]>;
     /**
      * Requests and returns a list (size n) of version 4 true random Universally
@@ -350,8 +526,9 @@ declare class RandomOrgClient {
      * See: https://api.random.org/json-rpc/4/basic#generateUUIDs
      * @param {number} n How many random UUIDs you need. Must be within the
      *     [1,1e3] range.
-     * @param {{pregeneratedRandomization?: Object}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, signal?: AbortSignal}}
+     *     options An object which may contains any of the following optional
+     *     parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -364,10 +541,14 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<string[]>} A Promise which, if resolved successfully,
      *     represents an array of true random UUIDs.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -382,6 +563,7 @@ declare class RandomOrgClient {
      */
     generateUUIDs(n: number, options?: {
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): Promise<string[]>;
     /**
      * Requests and returns a list (size n) of Binary Large OBjects (BLOBs)
@@ -392,8 +574,9 @@ declare class RandomOrgClient {
      *     [1,100] range.
      * @param {number} size The size of each blob, measured in bits. Must be
      *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, pregeneratedRandomization?: Object}} options
-     *     An object which may contains any of the following optional parameters:
+     * @param {{format?: string, pregeneratedRandomization?: Object, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {string} [options.format='base64'] Specifies the format in which
      *     the blobs will be returned. Values allowed are 'base64' and 'hex'
      *     (default 'base64').
@@ -409,12 +592,16 @@ declare class RandomOrgClient {
      *       corresponding identifier in a deterministic manner. Format: { 'id',
      *       'PERSISTENT-IDENTIFIER' } where 'PERSISTENT-IDENTIFIER' is a string
      *       with length in the [1, 64] range.
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number[]>} A Promise which, if resolved successfully,
      *     represents an array of true random blobs as strings.
      * @see {@link RandomOrgClient#BLOB_FORMAT_BASE64} for 'base64' (default).
      * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -430,6 +617,7 @@ declare class RandomOrgClient {
     generateBlobs(n: number, size: number, options?: {
         format?: string;
         pregeneratedRandomization?: any;
+        signal?: AbortSignal;
     }): Promise<number[]>;
     /**
      * Requests a list (size n) of true random integers within a user-defined
@@ -445,10 +633,11 @@ declare class RandomOrgClient {
      *     random numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the
      *     random numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, pregeneratedRandomization?:
-     *     Object, licenseData?: Object, userData?: Object|number|string, ticketId?:
-     *     string}} options An object which may contains any of the following
-     *     optional parameters:
+     * @param {{replacement?: boolean, base?: number,
+     *     pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -484,6 +673,8 @@ declare class RandomOrgClient {
      *     for ticketId will cause RANDOM.ORG to record that the ticket was used
      *     to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
      *     A Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -492,6 +683,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -511,6 +704,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: number[] | string[];
         random: any;
@@ -547,9 +741,10 @@ declare class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|number|string, ticketId?: string}} options An object which may
-     *     contains any of the following optional parameters:
+     *     pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
      *     the random numbers should be picked with replacement. If true, the
      *     resulting numbers may contain duplicate values, otherwise the numbers
@@ -591,6 +786,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
      *     A Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -599,6 +796,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -618,6 +817,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: number[][] | string[][];
         random: any;
@@ -636,9 +836,10 @@ declare class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must
      *     be within the [1,20] range.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contains
+     *     any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
      *     may contain duplicate values, otherwise the numbers will all be unique
@@ -672,6 +873,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -680,6 +883,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -698,6 +903,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: number[];
         random: any;
@@ -719,9 +925,10 @@ declare class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|number|string, ticketId?: string}} options An object which may
-     *     contains any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|number|string, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contains any of the
+     *     following optional parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -751,6 +958,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: number[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -759,6 +968,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -776,6 +987,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: number[];
         random: any;
@@ -795,9 +1007,10 @@ declare class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contains any of the following optional parameters:
+     * @param {{replacement?: boolean, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contains
+     *     any of the following optional parameters:
      * @param {boolean} [options.replacement=null] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
      *     of strings may contain duplicates, otherwise the strings will all be
@@ -831,6 +1044,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -839,6 +1054,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -857,6 +1074,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: string[];
         random: any;
@@ -873,9 +1091,10 @@ declare class RandomOrgClient {
      * https://api.random.org/json-rpc/4/signed#generateSignedUUIDs
      * @param {number} n How many random UUIDs you need. Must be within the
      *     [1,1e3] range.
-     * @param {{pregeneratedRandomization?: Object, licenseData?: Object, userData?:
-     *     Object|string|number, ticketId?: string}} options An object which may
-     *     contain any of the following optional parameters:
+     * @param {{pregeneratedRandomization?: Object, licenseData?: Object,
+     *     userData?: Object|string|number, ticketId?: string, signal?:
+     *     AbortSignal}} options An object which may contain any of the
+     *     following optional parameters:
      * @param {Object} [options.pregeneratedRandomization=null] A dictionary object
      *     which allows the client to specify that the random values should be
      *     generated from a pregenerated, historical randomization instead of a
@@ -905,6 +1124,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -913,6 +1134,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -930,6 +1153,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | string | number;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: string[];
         random: any;
@@ -947,9 +1171,10 @@ declare class RandomOrgClient {
      *     [1,100] range.
      * @param {number} size The size of each blob, measured in bits. Must be
      *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, pregeneratedRandomization?: Object, licenseData?:
-     *     Object, userData?: Object|number|string, ticketId?: string}} options An
-     *     object which may contain any of the following optional parameters:
+     * @param {{format?: string, pregeneratedRandomization?: Object,
+     *     licenseData?: Object, userData?: Object|number|string, ticketId?:
+     *     string, signal?: AbortSignal}} options An object which may contain
+     *     any of the following optional parameters:
      * @param {string} [options.format='base64'] Specifies the format in which the
      *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
      *     'base64').
@@ -982,6 +1207,8 @@ declare class RandomOrgClient {
      *     a value for ticketId will cause RANDOM.ORG to record that the ticket was
      *     used to generate the requested random values. Each ticket can only be used
      *     once (default null).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<{data: string[], random: Object, signature: string}>} A
      *     Promise which, if resolved successfully, represents an object with the
      *     following structure:
@@ -992,6 +1219,8 @@ declare class RandomOrgClient {
      * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1010,6 +1239,7 @@ declare class RandomOrgClient {
         licenseData?: any;
         userData?: any | number | string;
         ticketId?: string;
+        signal?: AbortSignal;
     }): Promise<{
         data: string[];
         random: any;
@@ -1026,10 +1256,16 @@ declare class RandomOrgClient {
      *     through one of the Signed API methods.
      * @param {string} signature The signature field from the same response that
      *     the random field originates from.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<boolean>} A Promise which, if resolved successfully,
      *     represents whether the result could be verified (true) or not (false).
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1042,15 +1278,165 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    verifySignature(random: any, signature: string): Promise<boolean>;
+    verifySignature(random: any, signature: string, options?: {
+        signal?: AbortSignal;
+    }): Promise<boolean>;
+    /**
+     * Verifies the signature of a response previously received from one of the
+     * methods in the Signed API locally, using the public key supplied in the
+     * constructor options, instead of sending a request to the server.
+     *
+     * No requests are used, so this also works without network access, e.g.
+     * to audit archived results. See RandomOrgVerifier.
+     * @param {Object} random The random field from a response returned by RANDOM.ORG
+     *     through one of the Signed API methods.
+     * @param {string} signature The signature field from the same response that
+     *     the random field originates from.
+     * @returns {Promise<boolean>} A Promise which, if resolved successfully,
+     *     represents whether the result could be verified (true) or not (false).
+     * @throws {Error} Thrown when no public key was supplied in the constructor
+     *     options.
+     */
+    verifySignatureOffline(random: any, signature: string): Promise<boolean>;
+    /**
+     * @typedef {Object} Usage The usage of an API key, as returned by the
+     *     getUsage() and getCachedUsage() methods.
+     * @property {string} status A string indicating the API key's current
+     *     status, which may be 'stopped', 'paused' or 'running'. An API key
+     *     must be running for it to be able to serve requests.
+     * @property {string} creationTime The timestamp in ISO 8601 format at
+     *     which the API key was created.
+     * @property {number} bitsLeft The (estimated) number of remaining true
+     *     random bits available to the API key.
+     * @property {number} requestsLeft The (estimated) number of remaining API
+     *     requests available to the API key.
+     * @property {number} totalBits The number of bits used by the API key
+     *     since it was created.
+     * @property {number} totalRequests The number of requests used by the API
+     *     key since it was created.
+     */
+    /**
+     * Returns the usage of the API key. If cached usage info is older than an
+     * hour, or options.forceRefresh is true, fresh info is obtained from the
+     * server.
+     *
+     * See: https://api.random.org/json-rpc/4/basic#getUsage
+     * @param {{forceRefresh?: boolean, signal?: AbortSignal, priority?: number}}
+     *     options An object which may contain any of the following optional
+     *     parameters:
+     * @param {boolean} [options.forceRefresh=false] Whether to obtain fresh
+     *     info from the server even if the cached info is recent (default false).
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
+     * @returns {Promise<Usage>} A Promise which, if resolved successfully,
+     *     represents the usage of the API key.
+     * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
+     *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
+     * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
+     *     stopped.
+     * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
+     *     requests allowance has been exceeded.
+     * @throws {RandomOrgBadHTTPResponseError} Thrown when a HTTP 200 OK response
+     *     is not received.
+     * @throws {RandomOrgRANDOMORGError} Thrown when the server returns a RANDOM.ORG
+     *     Error.
+     * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
+     */
+    getUsage(options?: {
+        forceRefresh?: boolean;
+        signal?: AbortSignal;
+        priority?: number;
+    }): Promise<{
+        /**
+         * A string indicating the API key's current
+         * status, which may be 'stopped', 'paused' or 'running'. An API key
+         * must be running for it to be able to serve requests.
+         */
+        status: string;
+        /**
+         * The timestamp in ISO 8601 format at
+         * which the API key was created.
+         */
+        creationTime: string;
+        /**
+         * The (estimated) number of remaining true
+         * random bits available to the API key.
+         */
+        bitsLeft: number;
+        /**
+         * The (estimated) number of remaining API
+         * requests available to the API key.
+         */
+        requestsLeft: number;
+        /**
+         * The number of bits used by the API key
+         * since it was created.
+         */
+        totalBits: number;
+        /**
+         * The number of requests used by the API
+         * key since it was created.
+         */
+        totalRequests: number;
+    }>;
+    /**
+     * Returns the usage of the API key known to the client, without contacting
+     * the server. The info is obtained by getUsage(), getBitsLeft() and
+     * getRequestsLeft(), and kept up to date with the usage reported in the
+     * responses to other requests.
+     * @returns {?Usage} The usage of the API key, or null if it is not known
+     *     yet. Before the first getUsage request, only bitsLeft and
+     *     requestsLeft may be known, the other values are null.
+     */
+    getCachedUsage(): {
+        /**
+         * A string indicating the API key's current
+         * status, which may be 'stopped', 'paused' or 'running'. An API key
+         * must be running for it to be able to serve requests.
+         */
+        status: string;
+        /**
+         * The timestamp in ISO 8601 format at
+         * which the API key was created.
+         */
+        creationTime: string;
+        /**
+         * The (estimated) number of remaining true
+         * random bits available to the API key.
+         */
+        bitsLeft: number;
+        /**
+         * The (estimated) number of remaining API
+         * requests available to the API key.
+         */
+        requestsLeft: number;
+        /**
+         * The number of bits used by the API key
+         * since it was created.
+         */
+        totalBits: number;
+        /**
+         * The number of requests used by the API
+         * key since it was created.
+         */
+        totalRequests: number;
+    };
     /**
      * Returns the (estimated) number of remaining true random bits available to
      * the client. If cached usage info is older than an hour, fresh info is
      * obtained from the server.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number>} A Promise which, if resolved successfully,
      *     represents the number of bits remaining.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1063,15 +1449,23 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    getBitsLeft(): Promise<number>;
+    getBitsLeft(options?: {
+        signal?: AbortSignal;
+    }): Promise<number>;
     /**
      * Returns the (estimated) number of remaining API requests available to the
      * client. If cached usage info is older than an hour, fresh info is
      * obtained from the server.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<number>} A Promise which, if resolved successfully,
      *     represents the number of requests remaining.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1084,7 +1478,110 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    getRequestsLeft(): Promise<number>;
+    getRequestsLeft(options?: {
+        signal?: AbortSignal;
+    }): Promise<number>;
+    /**
+     * Estimates the number of true random bits a request would use, without
+     * sending it. The estimate is log2 of the number of possible results,
+     * rounded up, which is how the server counts the bits used: e.g. 10
+     * integers in [1, 6] use ceil(10 * log2(6)) = 26 bits. Values requested
+     * without replacement use fewer bits than values requested with
+     * replacement.
+     * @param {string} method The name of a basic or signed generate method,
+     *     e.g. 'generateIntegers' or 'generateSignedIntegerSequences'.
+     * @param {Object} params The parameters of the request, named as in the
+     *     API, e.g. { n: 10, min: 1, max: 6 }. Optional parameters, e.g.
+     *     replacement, take their default values when missing. Array values
+     *     can be used for the parameters of multiform integer sequences.
+     * @returns {number} The estimated number of bits.
+     * @throws {TypeError} Thrown when the method is not a generate method.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid.
+     */
+    estimateBits(method: string, params?: any): number;
+    /**
+     * Checks whether the API key can serve a request, given its usage known to
+     * the client, see getCachedUsage(). The number of bits the request would
+     * use is estimated with estimateBits() and compared to the bits left. The
+     * request cannot be served either if no requests are left, the client is
+     * backed off or the API key has been stopped.
+     *
+     * No request is sent to the server, so the result is only as recent as the
+     * last response received for the API key. Call getUsage() first to make
+     * sure the usage is known.
+     * @param {string} method The name of a basic or signed generate method,
+     *     see estimateBits().
+     * @param {Object} params The parameters of the request, see estimateBits().
+     * @returns {?boolean} True if the request can be served, false if it
+     *     cannot, or null if the usage of the API key is not known yet.
+     * @throws {TypeError} Thrown when the method is not a generate method.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid.
+     */
+    canAfford(method: string, params?: any): boolean | null;
+    /**
+     * Sets daily caps on the bits and requests used by the generate methods of
+     * this instance, including the requests of its caches and batches. Usage
+     * is counted per UTC day, from the bits used reported in each response,
+     * in total and per tag. Calls are tagged with options.tag, e.g.
+     * generateIntegers(5, 1, 6, { tag: 'game' }), and caches with the tag
+     * option of the method creating them.
+     *
+     * A call which would exceed a hard cap, given the bits it is estimated to
+     * use (see estimateBits()), is rejected without contacting the server,
+     * with a RandomOrgInsufficientBitsError whose getBitsLeft() returns the
+     * bits still available to it, or a RandomOrgInsufficientRequestsError.
+     * Soft caps are never enforced. A 'budgetWarning' event is emitted (see
+     * on()) once per day when the usage reaches each of the warning
+     * percentages of a soft or hard cap.
+     *
+     * A tag can reserve bits and requests, e.g. for critical signed draws.
+     * Until the tag has used its reservation, the reserved amount is not
+     * available to other calls, neither within the hard caps nor within the
+     * allowance of the API key, so that e.g. caches cannot starve the tag:
+     *
+     *     roc.setBudget({
+     *         bits: { soft: 150000, hard: 200000 },
+     *         requests: { hard: 900 },
+     *         tags: {
+     *             cache: { bits: { hard: 50000 } },
+     *             critical: { reserve: { bits: 20000, requests: 50 } }
+     *         },
+     *         warnings: [ 50, 80, 100 ]
+     *     });
+     *
+     * The budget only applies to this instance, not to other instances using
+     * the same API key.
+     * @param {?Object} budget The caps of the budget, or null to remove all
+     *     caps. It may contain any of the following optional parameters:
+     * * **bits**: an object with the soft ('soft') and hard ('hard') cap on
+     *       the bits used per day, in total.
+     * * **requests**: an object with the soft and hard cap on the requests
+     *       used per day, in total.
+     * * **tags**: an object containing, per tag, the caps on the bits
+     *       ('bits') and requests ('requests') used by calls with the tag, in
+     *       the same format, and the bits and requests reserved for the tag
+     *       ('reserve').
+     * * **warnings**: the percentages of the caps at which warnings are
+     *       emitted (default [ 80, 100 ]).
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     * @throws {TypeError} Thrown when the budget is not an object.
+     */
+    setBudget(budget: any | null): RandomOrgClient;
+    /**
+     * Gets the bits and requests used today by the generate methods of this
+     * instance, as counted by its budget, see setBudget(). The usage is
+     * counted also if no caps are set.
+     * @returns {{day: string, bits: number, requests: number, tags: Object}}
+     *     An object containing the UTC day ('day', 'YYYY-MM-DD'), the bits
+     *     ('bits') and requests ('requests') used in total and, per tag, the
+     *     bits and requests used by calls with the tag ('tags').
+     */
+    getBudgetUsage(): {
+        day: string;
+        bits: number;
+        requests: number;
+        tags: any;
+    };
     /**
      * Retrieves signed random values generated within the last 24h, using a
      * serial number.
@@ -1094,6 +1591,10 @@ declare class RandomOrgClient {
      * initially. See: https://api.random.org/json-rpc/4/signed#getResult
      * @param {number} serialNumber An integer containing the serial number
      *     associated with the response you wish to retrieve.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Object>} A Promise which, if resolved successfully,
      *     represents an object with the following structure, identical to that
      *     returned by the original request:
@@ -1102,6 +1603,8 @@ declare class RandomOrgClient {
      * * **signature**: signature string
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1114,7 +1617,9 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    getResult(serialNumber: number): Promise<any>;
+    getResult(serialNumber: number, options?: {
+        signal?: AbortSignal;
+    }): Promise<any>;
     /**
      * @typedef {Object} NewTicket A ticket as it is returned by the createTickets() method.
      * @property {string} ticketId A string value that uniquely identifies the ticket.
@@ -1165,6 +1670,10 @@ declare class RandomOrgClient {
      * * **false**: getTicket will return only the basic ticket information.
      * * **true**: the full random and signature objects from the response that
      *     was used to satisfy the ticket is returned.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<NewTicket[]>} A Promise which, if resolved successfully,
      *     represents an array of ticket objects with the following structure:
      * * **ticketId**: A string value that uniquely identifies the ticket.
@@ -1174,6 +1683,8 @@ declare class RandomOrgClient {
      *     first in their respective chains.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1186,7 +1697,9 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    createTickets(n: number, showResult: boolean): Promise<{
+    createTickets(n: number, showResult: boolean, options?: {
+        signal?: AbortSignal;
+    }): Promise<{
         /**
          * A string value that uniquely identifies the ticket.
          */
@@ -1221,12 +1734,18 @@ declare class RandomOrgClient {
      *     have a next ticket.
      * * **'tail'** returns tickets that have a previous ticket but do not have a
      *       next ticket.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Ticket[]>} A Promise which, if resolved successfully,
      *     represents an array of ticket objects, as returned from the server.
      *     **NOTE:** The objects returned from this method do not contain "result"
      *     fields, even if tickets were created with "showResult" set to true.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1239,7 +1758,9 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    listTickets(ticketType: string): Promise<{
+    listTickets(ticketType: string, options?: {
+        signal?: AbortSignal;
+    }): Promise<{
         /**
          * A string value that uniquely identifies the ticket.
          */
@@ -1304,6 +1825,10 @@ declare class RandomOrgClient {
      * See: https://api.random.org/json-rpc/4/signed#getTicket
      * @param {string} ticketId A string containing a ticket identifier returned
      *     by a prior call to the {@link createTickets} method.
+     * @param {{signal?: AbortSignal}} options An object which may contain the
+     *     following optional parameter:
+     * @param {AbortSignal} [options.signal] Signal which cancels the request
+     *     when aborted, also while waiting for the server's advisory delay.
      * @returns {Promise<Ticket>} A Promise which, if resolved successfully,
      *     represents an object containing the following information:
      * * **ticketId**: A string value that uniquely identifies the ticket.
@@ -1336,6 +1861,8 @@ declare class RandomOrgClient {
      *     data property, and a signature field, required to verify the result.
      * @throws {RandomOrgSendTimeoutError} Thrown when blocking timeout is exceeded
      *     before the request can be sent.
+     * @throws {RandomOrgAbortError} Thrown when the request is aborted through
+     *     options.signal.
      * @throws {RandomOrgKeyNotRunningError} Thrown when the API key has been
      *     stopped.
      * @throws {RandomOrgInsufficientRequestsError} Thrown when the API key's server
@@ -1348,7 +1875,9 @@ declare class RandomOrgClient {
      *     Error.
      * @throws {RandomOrgJSONRPCError} Thrown when the server returns a JSON-RPC Error.
      */
-    getTicket(ticketId: string): Promise<{
+    getTicket(ticketId: string, options?: {
+        signal?: AbortSignal;
+    }): Promise<{
         /**
          * A string value that uniquely identifies the ticket.
          */
@@ -1404,6 +1933,149 @@ declare class RandomOrgClient {
          */
         result?: any;
     }>;
+    /**
+     * Creates a builder for a JSON-RPC 2.0 batch request.
+     *
+     * Calls queued in the batch are sent to the server as a single HTTP
+     * request when its send() method is called, so the advisory delay is only
+     * waited for once instead of after every request. If the server rejects
+     * the batch, the requests are sent individually. Each queued call returns a
+     * Promise which is settled with the result or error of its own request.
+     * @returns {RandomOrgBatch} An empty batch.
+     */
+    batch(): RandomOrgBatch;
+    /**
+     * Gets the time until which this client backs off, because the server
+     * reported that the API key's daily requests allowance is exceeded. During
+     * the back-off, requests are rejected with a
+     * RandomOrgInsufficientRequestsError without contacting the server. The
+     * back-off ends at the next midnight UTC, when the allowance is reset.
+     * @returns {?Date} The end of the back-off, or null if the client is not
+     *     backing off.
+     */
+    getBackoffUntil(): Date | null;
+    /**
+     * Checks whether this client is backing off, see getBackoffUntil().
+     * @returns {boolean} True if requests are currently rejected because of a
+     *     back-off, false otherwise.
+     */
+    isBackedOff(): boolean;
+    /**
+     * Registers a middleware, which is run around every request sent by this
+     * client, including requests of caches and batches. Middleware is run in
+     * the order it was registered.
+     *
+     * A middleware is a function receiving the JSON-RPC request object and a
+     * function next(). It may modify the request, e.g. to add userData or to
+     * tag the request id, before calling next(), optionally with a different
+     * request object, which passes the request on to the next middleware or
+     * sends it to the server. next() returns a Promise for the JSON-RPC
+     * response, which the middleware may inspect, modify or replace before
+     * returning it. Errors returned by the server are thrown by next() as the
+     * corresponding error classes, e.g. RandomOrgInsufficientBitsError.
+     *
+     * A middleware may also return a response without calling next(), e.g. a
+     * cached or synthetic response for tests, in which case no request is
+     * sent to the server.
+     *
+     *     roc.use(async (request, next) => {
+     *         request.id = traceId + '-' + request.id;
+     *         let response = await next();
+     *         log(request.method, response.result);
+     *         return response;
+     *     });
+     * @param {function(Object, function(Object=): Promise<Object>): Promise<Object>}
+     *     middleware The middleware to register.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     * @throws {TypeError} Thrown when the middleware is not a function.
+     */
+    use(middleware: (arg0: any, arg1: (arg0: any | undefined) => Promise<any>) => Promise<any>): RandomOrgClient;
+    /**
+     * Registers a listener for an event emitted by this client. The following
+     * events are emitted:
+     * * **request**: a request is sent to the server, which happens again
+     *       for every retry. The listener receives an object containing the
+     *       JSON-RPC id ('id') and method ('method') of the request and the
+     *       number of the attempt ('attempt', starting at 1). The requests of
+     *       a batch are reported individually.
+     * * **response**: a successful response was received. The listener
+     *       receives an object containing the 'id' and 'method' of the request,
+     *       the time in milliseconds the server took to respond ('latency') and,
+     *       for methods which report them, the 'bitsUsed', 'bitsLeft' and
+     *       'requestsLeft' values of the response.
+     * * **error**: a request sent by this client failed. The listener
+     *       receives an object containing the 'id' and 'method' of the request
+     *       and the error it is rejected with ('error').
+     * * **advisoryDelay**: the client waits for the server's advisory delay
+     *       before sending a request. The listener receives an object
+     *       containing the time in milliseconds it waits ('delay').
+     * * **usageUpdated**: the usage of the API key known to the client has
+     *       changed. The listener receives the usage, as returned by
+     *       getCachedUsage().
+     * * **keyNotRunning**: the server reported that the API key is stopped.
+     *       The listener receives an object containing the error ('error').
+     * * **backoffStart**: the server reported that the API key's daily
+     *       requests allowance is exceeded, and the client backs off until the
+     *       next midnight UTC. The listener receives an object containing the
+     *       end of the back-off ('until', a Date) and the error thrown for
+     *       requests made during the back-off ('error').
+     * * **backoffEnd**: the back-off is over and requests are sent to the
+     *       server again. The listener receives an empty object.
+     * * **budgetWarning**: the bits or requests used today have reached a
+     *       warning percentage of a cap of the budget, see setBudget(). The
+     *       listener receives an object containing the resource ('resource',
+     *       'bits' or 'requests'), the tag of the cap ('tag', null for the
+     *       caps in total), the kind of cap ('cap', 'soft' or 'hard'), the
+     *       percentage ('threshold'), the amount used ('used') and the cap
+     *       ('limit').
+     * * **stateError**: the state store or the coordinator failed, see the
+     *       stateStore and coordinator options. The listener receives an
+     *       object containing the action which failed ('action', 'load' or
+     *       'save' for the state store, 'release' for the coordinator) and the
+     *       error ('error'). Requests are sent regardless.
+     *
+     * The usageUpdated, keyNotRunning, backoffStart, backoffEnd and stateError
+     * events concern the API key, and are emitted by all instances using the
+     * key.
+     * Errors thrown by listeners are ignored, so listeners should handle
+     * their own errors.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data
+     *     every time the event is emitted.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    on(event: string, listener: (arg0: any) => any): RandomOrgClient;
+    /**
+     * Registers a listener which is only called the next time an event is
+     * emitted, see on() for the events.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    once(event: string, listener: (arg0: any) => any): RandomOrgClient;
+    /**
+     * Removes a listener registered with on() or once().
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener The listener to remove.
+     * @returns {RandomOrgClient} This client, to allow chaining.
+     */
+    off(event: string, listener: (arg0: any) => any): RandomOrgClient;
+    /**
+     * Disposes of this instance. Its caches are stopped, requests which have
+     * not been sent yet are rejected, and further requests are rejected with
+     * an Error. If this instance is the one returned by the constructor for its
+     * API key, it is unregistered, so the next construction with this key
+     * creates a new instance.
+     *
+     * The rate-limit state of the API key, e.g. a back-off, is kept for the
+     * other and future instances using the key.
+     */
+    dispose(): void;
+    /**
+     * Checks whether this instance has been disposed, see dispose().
+     * @returns {boolean} True if this instance has been disposed.
+     */
+    isDisposed(): boolean;
     /**
      * Create the URL for the signature verification page of a response previously
      * received from one of the methods in the Signed API with the server. The
@@ -1411,7 +2083,8 @@ declare class RandomOrgClient {
      * used in this method, provided that the signature can be verified. This
      * URL is also shown under "Show Technical Details" when the online Signature
      * Verification Form is used to validate a signature. See:
-     * https://api.random.org/signatures/form
+     * https://api.random.org/signatures/form (or the signatureFormUrl supplied
+     * to the constructor).
      * @param {Object} random The random field from a response returned by
      *     RANDOM.ORG through one of the Signed API methods.
      * @param {string} signature The signature field from the same response
@@ -1429,6 +2102,7 @@ declare class RandomOrgClient {
      * the signature can be verified. The same HTML form is also shown under
      * "Show Technical Details" when the online Signature Verification Form is
      * used to validate a signature. See: https://api.random.org/signatures/form
+     * (or the signatureFormUrl supplied to the constructor).
      * @param {Object} random The random field from a response returned by
      *     RANDOM.ORG through one of the Signed API methods.
      * @param {string} signature The signature field from the same response
@@ -1447,7 +2121,9 @@ declare class RandomOrgClient {
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
      * @param {number} max The upper boundary for the range from which the random
      *     numbers will be picked. Must be within the [-1e9,1e9] range.
-     * @param {{replacement?: boolean, base?: number, cacheSize?: number}} options
+     * @param {{replacement?: boolean, base?: number, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
      *     An object which may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
@@ -1457,13 +2133,27 @@ declare class RandomOrgClient {
      *     numbers. Values allowed are 2, 8, 10 and 16 (default 10).
      * @param {number} [options.cacheSize=20] The number of result-sets for the
      *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random integers.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createIntegerCache(n: number, min: number, max: number, options?: {
         replacement?: boolean;
         base?: number;
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain random integer sequences.
@@ -1492,8 +2182,10 @@ declare class RandomOrgClient {
      *     sequence identified by its index. In this case, each value in max must
      *     be within the [-1e9, 1e9] range.
      * @param {{replacement?: boolean|boolean[], base?: number|number[],
-     *     cacheSize?: number}} options An object which may contain any of the
-     *     following optional parameters:
+     *     cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object
+     *     which may contain any of the following optional parameters:
      * @param {boolean|boolean[]} replacement Specifies whether the random numbers
      *     should be picked with replacement. If true, the resulting numbers may
      *     contain duplicate values, otherwise the numbers will all be unique. For
@@ -1507,13 +2199,27 @@ declare class RandomOrgClient {
      *     by its index (default 10).
      * @param {number} cacheSize The number of result-sets for the cache to try
      *     to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random integer sequences.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createIntegerSequenceCache(n: number, length: (number | number[]), min: (number | number[]), max: (number | number[]), options?: {
         replacement?: boolean | boolean[];
         base?: number | number[];
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain random decimal fractions.
@@ -1524,7 +2230,9 @@ declare class RandomOrgClient {
      *     within the [1,1e4] range.
      * @param {number} decimalPlaces The number of decimal places to use. Must
      *     be within the [1,20] range.
-     * @param {{replacement?: boolean, cacheSize?: number}} options An object which
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object which
      *     may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     numbers should be picked with replacement. If true, the resulting numbers
@@ -1532,12 +2240,26 @@ declare class RandomOrgClient {
      *     (default true).
      * @param {number} [options.cacheSize=20] The number of result-sets for the cache
      *     to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random decimal fractions.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createDecimalFractionCache(n: number, decimalPlaces: number, options?: {
         replacement?: boolean;
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain random numbers from a Gaussian distribution.
@@ -1552,16 +2274,32 @@ declare class RandomOrgClient {
      *     Must be within the [-1e6,1e6] range.
      * @param {number} significantDigits The number of significant digits to use.
      *     Must be within the [2,20] range.
-     * @param {{cacheSize?: number}} options An object which may contain the following
-     *     optional parameter:
+     * @param {{cacheSize?: number, tag?: string,
+     *     onError?: function(Error, Object),
+     *     order?: string}} options An object which may contain
+     *     any of the following optional parameters:
      * @param {number} [options.cacheSize=20] The number of result-sets for the cache
      *     to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random numbers from a Gaussian
      *     distribution.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createGaussianCache(n: number, mean: number, standardDeviation: number, significantDigits: number, options?: {
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain random strings.
@@ -1575,7 +2313,9 @@ declare class RandomOrgClient {
      * @param {string} characters A string that contains the set of characters
      *     that are allowed to occur in the random strings. The maximum number
      *     of characters is 80.
-     * @param {{replacement?: boolean, cacheSize?: number}} options An object which
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object which
      *     may contain any of the following optional parameters:
      * @param {boolean} [options.replacement=true] Specifies whether the random
      *     strings should be picked with replacement. If true, the resulting list
@@ -1583,12 +2323,26 @@ declare class RandomOrgClient {
      *     unique (default true).
      * @param {number} [options.cacheSize=20] The number of result-sets for the
      *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random strings.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createStringCache(n: number, length: number, characters: string, options?: {
         replacement?: boolean;
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain UUIDs.
@@ -1597,15 +2351,31 @@ declare class RandomOrgClient {
      * format of the input request.
      * @param {number} n How many random UUIDs you need. Must be within the
      *     [1,1e3] range.
-     * @param {{cacheSize?: number}} options An object which may contain the following
-     *     optional parameter:
+     * @param {{cacheSize?: number, tag?: string,
+     *     onError?: function(Error, Object),
+     *     order?: string}} options An object which may contain
+     *     any of the following optional parameters:
      * @param {number} [options.cacheSize=10] The number of result-sets for the cache
      *     to try to maintain at any given time (default 10, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random UUIDs.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createUUIDCache(n: number, options?: {
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     /**
      * Gets a RandomOrgCache to obtain random blobs.
@@ -1616,22 +2386,431 @@ declare class RandomOrgClient {
      *     within the [1,100] range.
      * @param {number} size The size of each blob, measured in bits. Must be
      *     within the [1,1048576] range and must be divisible by 8.
-     * @param {{format?: string, cacheSize?: number}} options An object which may
-     *     contain any of the following optional parameters:
+     * @param {{format?: string, cacheSize?: number,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options An object
+     *     which may contain any of the following optional parameters:
      * @param {string} [options.format=base64] Specifies the format in which the
      *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
      *     'base64').
      * @param {number} [options.cacheSize=10] The number of result-sets for the cache
      *     to try to maintain at any given time (default 10, minimum 2).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
      * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
      *     can be polled for arrays of true random blobs as strings.
      * @see {@link RandomOrgClient#BLOB_FORMAT_BASE64} for 'base64' (default).
      * @see {@link RandomOrgClient#BLOB_FORMAT_HEX} for 'hex'.
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
      */
     createBlobCache(n: number, size: number, options?: {
         format?: string;
         cacheSize?: number;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random integers.
+     *
+     * Like createIntegerCache(), but the values are obtained with signed
+     * requests. The cache returns the values together with the random object
+     * and signature of the response they came from. A bulk response holds the
+     * values of several calls to get() under one signature, so the position
+     * of the values within random.data is returned as well. The values can be
+     * verified with verifySignature(random, signature). The ticketId option
+     * is not supported, as every ticket can only be used once.
+     * @param {number} n How many random integers you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} min The lower boundary for the range from which the random
+     *     numbers will be picked. Must be within the [-1e9,1e9] range.
+     * @param {number} max The upper boundary for the range from which the random
+     *     numbers will be picked. Must be within the [-1e9,1e9] range.
+     * @param {{replacement?: boolean, base?: number, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     numbers should be picked with replacement (default true).
+     * @param {number} [options.base=10] The base that will be used to display the
+     *     numbers. Values allowed are 2, 8, 10 and 16 (default 10).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random integers
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedIntegerCache(n: number, min: number, max: number, options?: {
+        replacement?: boolean;
+        base?: number;
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random integer sequences.
+     *
+     * Like createIntegerSequenceCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random integer sequences you need. Must be within
+     *     the [1,1e3] range.
+     * @param {(number|number[])} length The length of each array of random
+     *     integers requested, or an array with n lengths for multiform
+     *     sequences, see createIntegerSequenceCache().
+     * @param {(number|number[])} min The lower boundary for the range from which
+     *     the random numbers will be picked, or an array with n boundaries for
+     *     multiform sequences.
+     * @param {(number|number[])} max The upper boundary for the range from which
+     *     the random numbers will be picked, or an array with n boundaries for
+     *     multiform sequences.
+     * @param {{replacement?: boolean|boolean[], base?: number|number[],
+     *     cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {(boolean|boolean[])} [options.replacement=true] Specifies whether
+     *     the random numbers should be picked with replacement, or an array with
+     *     n values for multiform sequences (default true).
+     * @param {(number|number[])} [options.base=10] The base that will be used to
+     *     display the numbers, or an array with n bases for multiform sequences.
+     *     Values allowed are 2, 8, 10 and 16 (default 10).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random integer sequences
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedIntegerSequenceCache(n: number, length: (number | number[]), min: (number | number[]), max: (number | number[]), options?: {
+        replacement?: boolean | boolean[];
+        base?: number | number[];
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random decimal fractions.
+     *
+     * Like createDecimalFractionCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random decimal fractions you need. Must be
+     *     within the [1,1e4] range.
+     * @param {number} decimalPlaces The number of decimal places to use. Must
+     *     be within the [1,20] range.
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     numbers should be picked with replacement (default true).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random decimal fractions
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedDecimalFractionCache(n: number, decimalPlaces: number, options?: {
+        replacement?: boolean;
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random numbers from a Gaussian distribution.
+     *
+     * Like createGaussianCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random numbers you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} mean The distribution's mean. Must be within the
+     *     [-1e6,1e6] range.
+     * @param {number} standardDeviation The distribution's standard deviation.
+     *     Must be within the [-1e6,1e6] range.
+     * @param {number} significantDigits The number of significant digits to use.
+     *     Must be within the [2,20] range.
+     * @param {{cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random numbers from a Gaussian distribution
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedGaussianCache(n: number, mean: number, standardDeviation: number, significantDigits: number, options?: {
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random strings.
+     *
+     * Like createStringCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random strings you need. Must be within the
+     *     [1,1e4] range.
+     * @param {number} length The length of each string. Must be within the [1,20]
+     *     range. All strings will be of the same length.
+     * @param {string} characters A string that contains the set of characters
+     *     that are allowed to occur in the random strings. The maximum number
+     *     of characters is 80.
+     * @param {{replacement?: boolean, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {boolean} [options.replacement=true] Specifies whether the random
+     *     strings should be picked with replacement (default true).
+     * @param {number} [options.cacheSize=20] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 20, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random strings
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedStringCache(n: number, length: number, characters: string, options?: {
+        replacement?: boolean;
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed UUIDs.
+     *
+     * Like createUUIDCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random UUIDs you need. Must be within the
+     *     [1,1e3] range.
+     * @param {{cacheSize?: number, licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {number} [options.cacheSize=10] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 10, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random UUIDs
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedUUIDCache(n: number, options?: {
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
+    }): RandomOrgCache;
+    /**
+     * Gets a RandomOrgCache to obtain signed random blobs.
+     *
+     * Like createBlobCache(), but the values are obtained with signed
+     * requests, see createSignedIntegerCache().
+     * @param {number} n How many random blobs you need. n*(cacheSize/2) must be
+     *     within the [1,100] range.
+     * @param {number} size The size of each blob, measured in bits. Must be
+     *     within the [1,1048576] range and must be divisible by 8.
+     * @param {{format?: string, cacheSize?: number,
+     *     licenseData?: Object, userData?: Object|number|string,
+     *     tag?: string, onError?: function(Error, Object),
+     *     order?: string}} options
+     *     An object which may contain any of the following optional parameters:
+     * @param {string} [options.format=base64] Specifies the format in which the
+     *     blobs will be returned. Values allowed are 'base64' and 'hex' (default
+     *     'base64').
+     * @param {number} [options.cacheSize=10] The number of result-sets for the
+     *     cache to try to maintain at any given time (default 10, minimum 2).
+     * @param {Object} [options.licenseData=null] A dictionary object which allows
+     *     the caller to include data of relevance to the license that is
+     *     associated with the API Key, see generateSignedIntegers(). This is
+     *     mandatory for API Keys with the license type 'Flexible Gambling'.
+     * @param {(string|number|Object)} [options.userData=null] Object that will be
+     *     included in unmodified form in every response. Its maximum size in
+     *     encoded (string) form is 1,000 characters (default null).
+     * @param {string} [options.tag] Tag of the cache's requests, which they are
+     *     charged to in the budget, see setBudget().
+     * @param {function(Error, Object)} [options.onError] Function called with
+     *     every error of the cache's requests and its type, see
+     *     RandomOrgCache (default: errors are only thrown by get()).
+     * @param {string} [options.order='lifo'] The order in which the cache
+     *     returns the result-sets: 'lifo' returns the one obtained last first,
+     *     'fifo' returns them in the order the server generated them (default
+     *     'lifo').
+     * @returns {RandomOrgCache} An instance of the RandomOrgCache class which
+     *     can be polled for objects with the following structure:
+     * * **data**: array of true random blobs as strings
+     * * **random**: random field of the signed response the values came from
+     * * **signature**: signature string of that response
+     * * **start**, **end**: position of the values in random.data, i.e.
+     *       data equals random.data.slice(start, end)
+     * @throws {RandomOrgRANDOMORGError} Thrown when a parameter is invalid,
+     *     unless validation is disabled.
+     */
+    createSignedBlobCache(n: number, size: number, options?: {
+        format?: string;
+        cacheSize?: number;
+        licenseData?: any;
+        userData?: any | number | string;
+        tag?: string;
+        onError?: (arg0: Error, arg1: any) => any;
+        order?: string;
     }): RandomOrgCache;
     #private;
 }
+import RandomOrgBatch = require("./RandomOrgBatch.js");
 import RandomOrgCache = require("./RandomOrgCache.js");
+import { RandomOrgSendTimeoutError } from "./RandomOrgErrors.js";
@@ -0,0 +1,207 @@
+export = RandomOrgClientPool;
+declare class RandomOrgClientPool {
+    /**
+     * Constructor. Creates a separate RandomOrgClient for each API key, see
+     * {@link RandomOrgClient.create}.
+     * @param {string[]} apiKeys The API keys of the pool, obtained from
+     *     RANDOM.ORG, see https://api.random.org/api-keys
+     * @param {Object} options The options of the clients, see the constructor
+     *     of RandomOrgClient.
+     * @throws {TypeError} Thrown when no API keys are supplied.
+     */
+    constructor(apiKeys: string[], options?: any);
+    /**
+     * Routes a generateIntegers request.
+     * See {@link RandomOrgClient#generateIntegers} for the parameters.
+     * @returns {(Promise<number[]>|Promise<string[]>)} A Promise for the result.
+     */
+    generateIntegers(n: any, min: any, max: any, options?: {}): (Promise<number[]> | Promise<string[]>);
+    /**
+     * Routes a generateIntegerSequences request.
+     * See {@link RandomOrgClient#generateIntegerSequences} for the parameters.
+     * @returns {(Promise<number[][]>|Promise<string[][]>)} A Promise for the result.
+     */
+    generateIntegerSequences(n: any, length: any, min: any, max: any, options?: {}): (Promise<number[][]> | Promise<string[][]>);
+    /**
+     * Routes a generateDecimalFractions request.
+     * See {@link RandomOrgClient#generateDecimalFractions} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateDecimalFractions(n: any, decimalPlaces: any, options?: {}): Promise<number[]>;
+    /**
+     * Routes a generateGaussians request.
+     * See {@link RandomOrgClient#generateGaussians} for the parameters.
+     * @returns {Promise<number[]>} A Promise for the result.
+     */
+    generateGaussians(n: any, mean: any, standardDeviation: any, significantDigits: any, options?: {}): Promise<number[]>;
+    /**
+     * Routes a generateStrings request.
+     * See {@link RandomOrgClient#generateStrings} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateStrings(n: any, length: any, characters: any, options?: {}): Promise<string[]>;
+    /**
+     * Routes a generateUUIDs request.
+     * See {@link RandomOrgClient#generateUUIDs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateUUIDs(n: any, options?: {}): Promise<string[]>;
+    /**
+     * Routes a generateBlobs request.
+     * See {@link RandomOrgClient#generateBlobs} for the parameters.
+     * @returns {Promise<string[]>} A Promise for the result.
+     */
+    generateBlobs(n: any, size: any, options?: {}): Promise<string[]>;
+    /**
+     * Routes a generateSignedIntegers request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedIntegers} for the parameters.
+     * @returns {Promise<{data: number[]|string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegers(n: any, min: any, max: any, options?: {}): Promise<{
+        data: number[] | string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedIntegerSequences request. A request using a
+     * ticketId is sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedIntegerSequences} for the parameters.
+     * @returns {Promise<{data: number[][]|string[][], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedIntegerSequences(n: any, length: any, min: any, max: any, options?: {}): Promise<{
+        data: number[][] | string[][];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedDecimalFractions request. A request using a
+     * ticketId is sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedDecimalFractions} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedDecimalFractions(n: any, decimalPlaces: any, options?: {}): Promise<{
+        data: number[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedGaussians request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedGaussians} for the parameters.
+     * @returns {Promise<{data: number[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedGaussians(n: any, mean: any, standardDeviation: any, significantDigits: any, options?: {}): Promise<{
+        data: number[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedStrings request. A request using a ticketId is
+     * sent with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedStrings} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedStrings(n: any, length: any, characters: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedUUIDs request. A request using a ticketId is sent
+     * with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedUUIDs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedUUIDs(n: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a generateSignedBlobs request. A request using a ticketId is sent
+     * with the key which created the ticket.
+     * See {@link RandomOrgClient#generateSignedBlobs} for the parameters.
+     * @returns {Promise<{data: string[], random: Object, signature: string}>}
+     *     A Promise for the result.
+     */
+    generateSignedBlobs(n: any, size: any, options?: {}): Promise<{
+        data: string[];
+        random: any;
+        signature: string;
+    }>;
+    /**
+     * Routes a verifySignature request. Signatures can be verified with any key.
+     * See {@link RandomOrgClient#verifySignature} for the parameters.
+     * @returns {Promise<boolean>} A Promise for the result.
+     */
+    verifySignature(random: any, signature: any, options?: {}): Promise<boolean>;
+    /**
+     * Sends a getResult request with the key supplied in options.apiKey, which
+     * must be the key that created the result, see getApiKey().
+     * See {@link RandomOrgClient#getResult} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     * @throws {Error} Thrown when the pool has several keys and options.apiKey
+     *     is not supplied.
+     */
+    getResult(serialNumber: any, options?: {}): Promise<any>;
+    /**
+     * Routes a createTickets request. The tickets can be used by signed calls
+     * through this pool, which are then sent with the same key.
+     * See {@link RandomOrgClient#createTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     */
+    createTickets(n: any, showResult: any, options?: {}): Promise<any[]>;
+    /**
+     * Sends a listTickets request with the key supplied in options.apiKey.
+     * See {@link RandomOrgClient#listTickets} for the parameters.
+     * @returns {Promise<Object[]>} A Promise for the result.
+     * @throws {Error} Thrown when the pool has several keys and options.apiKey
+     *     is not supplied.
+     */
+    listTickets(ticketType: any, options?: {}): Promise<any[]>;
+    /**
+     * Routes a getTicket request. Tickets can be looked up with any key.
+     * See {@link RandomOrgClient#getTicket} for the parameters.
+     * @returns {Promise<Object>} A Promise for the result.
+     */
+    getTicket(ticketId: any, options?: {}): Promise<any>;
+    /**
+     * Gets the API key a signed response or ticket was created with, if it
+     * was returned by this pool.
+     * @param {Object} random The random field of a signed response, or a
+     *     ticket, i.e. an object containing a hashedApiKey or ticketId field.
+     * @returns {?string} The API key, or null if it is not known.
+     */
+    getApiKey(random: any): string | null;
+    /**
+     * Gets the API keys of the pool.
+     * @returns {string[]} The API keys.
+     */
+    getApiKeys(): string[];
+    /**
+     * Gets the client used for an API key of the pool, e.g. to create caches
+     * or to register event listeners.
+     * @param {string} apiKey The API key.
+     * @returns {?RandomOrgClient} The client, or null if the key is not part of
+     *     the pool.
+     */
+    getClient(apiKey: string): RandomOrgClient | null;
+    /**
+     * Checks whether an API key is used for calls, i.e. whether it has not been
+     * reported as stopped and is not backed off.
+     * @param {string} apiKey The API key.
+     * @returns {boolean} True if the key is available.
+     */
+    isAvailable(apiKey: string): boolean;
+    /** Disposes of the clients of the pool, see {@link RandomOrgClient#dispose}. */
+    dispose(): void;
+    #private;
+}
+import RandomOrgClient = require("./RandomOrgClient.js");
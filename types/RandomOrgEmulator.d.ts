@@ -0,0 +1,158 @@
+export = RandomOrgEmulator;
+declare class RandomOrgEmulator {
+    /** Default daily bits allowance of an emulated API key. */
+    static DEFAULT_BITS_ALLOWANCE: number;
+    /** Default daily requests allowance of an emulated API key. */
+    static DEFAULT_REQUESTS_ALLOWANCE: number;
+    /** Default advisory delay returned by the emulator, in milliseconds. */
+    static DEFAULT_ADVISORY_DELAY: number;
+    static "__#14@#MESSAGES": {
+        202: (d: any) => string;
+        203: (d: any) => string;
+        204: (d: any) => string;
+        300: (d: any) => string;
+        301: (d: any) => string;
+        400: () => string;
+        401: () => string;
+        402: () => string;
+        403: (d: any) => string;
+        404: () => string;
+        420: (d: any) => string;
+        421: (d: any) => string;
+        422: (d: any) => string;
+        [-32600]: () => string;
+        [-32601]: () => string;
+        [-32602]: (d: any) => string;
+        [-32700]: () => string;
+    };
+    static "__#14@#LICENSE": {
+        type: string;
+        text: string;
+        infoUrl: any;
+    };
+    /**
+     * Constructor.
+     * @param {{apiKeys?: string[], bitsAllowance?: number, requestsAllowance?:
+     *     number, advisoryDelay?: number, batchRequests?: boolean}} options An
+     *     object which may contain any of the following optional parameters:
+     * @param {string[]} [options.apiKeys] The API keys known to the emulator.
+     *     Requests using other keys fail with error 400. If not supplied, any
+     *     API key is accepted.
+     * @param {number} [options.bitsAllowance=250000] Bits allowance of each
+     *     API key (default 250000).
+     * @param {number} [options.requestsAllowance=1000] Requests allowance of
+     *     each API key (default 1000).
+     * @param {number} [options.advisoryDelay=10] Advisory delay in milliseconds
+     *     returned with every response (default 10).
+     * @param {boolean} [options.batchRequests=true] Whether JSON-RPC batch
+     *     requests are accepted. If false, batches are rejected with error
+     *     -32600 (default true).
+     */
+    constructor(options?: {
+        apiKeys?: string[];
+        bitsAllowance?: number;
+        requestsAllowance?: number;
+        advisoryDelay?: number;
+        batchRequests?: boolean;
+    });
+    /**
+     * Transport function which can be supplied to the RandomOrgClient
+     * constructor to send requests to this emulator instead of the server.
+     * @param {string} url The URL the request is sent to (ignored).
+     * @param {string} body The JSON-encoded request.
+     * @returns {Promise<{status: number, body: string}>} A Promise which
+     *     represents the emulated HTTP response.
+     */
+    transport: (url: string, body: string) => Promise<{
+        status: number;
+        body: string;
+    }>;
+    /**
+     * Handles a JSON-RPC request or a batch (array) of requests.
+     * @param {(Object|Object[])} request The JSON-RPC request object(s).
+     * @returns {(Object|Object[])} The JSON-RPC response object(s).
+     */
+    handle(request: (any | any[])): (any | any[]);
+    /**
+     * Registers an API key with the emulator. Keys which are already known
+     * are not modified.
+     * @param {string} apiKey The API key.
+     * @param {{status?: string, bitsLeft?: number, requestsLeft?: number}}
+     *     usage Optional initial usage values, see setUsage().
+     */
+    addKey(apiKey: string, usage?: {
+        status?: string;
+        bitsLeft?: number;
+        requestsLeft?: number;
+    }): void;
+    /**
+     * Overrides the usage values of an API key, e.g. to simulate a stopped key
+     * or an exhausted allowance.
+     * @param {string} apiKey The API key.
+     * @param {{status?: string, bitsLeft?: number, requestsLeft?: number}}
+     *     usage An object which may contain any of the following values:
+     * @param {string} [usage.status] 'running', 'stopped' or 'paused'.
+     * @param {number} [usage.bitsLeft] The number of bits left.
+     * @param {number} [usage.requestsLeft] The number of requests left.
+     */
+    setUsage(apiKey: string, usage: {
+        status?: string;
+        bitsLeft?: number;
+        requestsLeft?: number;
+    }): void;
+    /**
+     * Returns the usage of an API key, as returned by the getUsage method.
+     * @param {string} apiKey The API key.
+     * @returns {{status: string, creationTime: string, bitsLeft: number,
+     *     requestsLeft: number, totalBits: number, totalRequests: number}}
+     *     The usage of the API key.
+     */
+    getUsage(apiKey: string): {
+        status: string;
+        creationTime: string;
+        bitsLeft: number;
+        requestsLeft: number;
+        totalBits: number;
+        totalRequests: number;
+    };
+    /**
+     * Makes the emulator return an error instead of the next matching
+     * response(s).
+     *
+     * Error codes 401, 402 and 403 also update the state of the API key
+     * accordingly. See: https://api.random.org/json-rpc/4/error-codes
+     * @param {number} code The error code to return, e.g. 401, 402, 403, 202
+     *     or 420-422.
+     * @param {{method?: string, times?: number, data?: any[]}} options An object
+     *     which may contain any of the following optional parameters:
+     * @param {string} [options.method=null] Only requests for this method
+     *     return the error (default null, i.e. any method).
+     * @param {number} [options.times=1] Number of responses to replace with the
+     *     error (default 1).
+     * @param {any[]} [options.data] The error's data field.
+     */
+    injectError(code: number, { method, times, data }?: {
+        method?: string;
+        times?: number;
+        data?: any[];
+    }): void;
+    /**
+     * Removes all injected errors which have not been returned yet.
+     */
+    clearErrors(): void;
+    /**
+     * The PEM-encoded public key of the key pair the emulator signs results
+     * with (NodeJS only). It can be supplied to RandomOrgVerifier or to the
+     * publicKey option of RandomOrgClient to verify signatures offline.
+     * @returns {string} The public key.
+     */
+    get publicKey(): string;
+    /**
+     * Creates an HTTP server (NodeJS only) which serves the emulator, e.g.
+     * for clients configured with a custom endpoint. The server still needs
+     * to be started by calling listen().
+     * @returns {Object} A http.Server instance.
+     */
+    createServer(): any;
+    #private;
+}
@@ -2,8 +2,15 @@ export class RandomOrgBadHTTPResponseError extends Error {
     /**
      * Constructs a new exception with the specified detail message.
      * @param {string} message The detail message.
+     * @param {number} status The HTTP status code of the response.
      */
-    constructor(message: string);
+    constructor(message: string, status?: number);
+    /**
+     * Gets the HTTP status code of the response.
+     * @returns {number} The HTTP status code, or -1 if unknown.
+     */
+    getStatus(): number;
+    #private;
 }
 export class RandomOrgInsufficientBitsError extends Error {
     /**
@@ -88,3 +95,13 @@ export class RandomOrgCacheEmptyError extends Error {
     wasPaused(): boolean;
     #private;
 }
+export class RandomOrgAbortError extends Error {
+    /**
+     * Error thrown by the RandomOrgClient and RandomOrgCache classes when a
+     * request or a wait is cancelled through the AbortSignal supplied in its
+     * options.
+     * @constructor
+     * @param {string} message The detail message.
+     */
+    constructor(message: string);
+}
@@ -0,0 +1,36 @@
+export = RandomOrgEventEmitter;
+declare class RandomOrgEventEmitter {
+    /**
+     * Registers a listener for an event.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data
+     *     every time the event is emitted.
+     */
+    on(event: string, listener: (arg0: any) => any): void;
+    /**
+     * Registers a listener which is only called the next time an event is
+     * emitted.
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener Function called with the event's data.
+     */
+    once(event: string, listener: (arg0: any) => any): void;
+    /**
+     * Removes a listener registered with on() or once().
+     * @param {string} event The name of the event.
+     * @param {function(Object)} listener The listener to remove.
+     */
+    off(event: string, listener: (arg0: any) => any): void;
+    /**
+     * Calls all listeners registered for an event.
+     * @param {string} event The name of the event.
+     * @param {Object} data The event's data, passed to the listeners.
+     */
+    emit(event: string, data: any): void;
+    /**
+     * Gets the number of listeners registered for an event.
+     * @param {string} event The name of the event.
+     * @returns {number} The number of listeners.
+     */
+    listenerCount(event: string): number;
+    #private;
+}
@@ -0,0 +1,50 @@
+export = RandomOrgFileCoordinator;
+declare class RandomOrgFileCoordinator {
+    /** Default interval in milliseconds at which a lock is polled. */
+    static DEFAULT_POLL_INTERVAL: number;
+    /** Default age in milliseconds after which a lock is considered stale. */
+    static DEFAULT_STALE_TIMEOUT: number;
+    /**
+     * Constructs a coordinator, which must be constructed with the same path
+     * in all processes.
+     * @param {string} path The path the names of the state and lock files
+     *     start with, e.g. '/var/lib/myapp/randomorg-shared'. The files of an
+     *     API key are named after the path followed by a hash of the key and
+     *     '.json' or '.lock', see FileStateStore.
+     * @param {{pollInterval?: number, staleTimeout?: number}} options An
+     *     object which may contain any of the following optional parameters:
+     * @param {number} [options.pollInterval=10] Interval in milliseconds at
+     *     which a lock held by another process is polled (default 10).
+     * @param {number} [options.staleTimeout=300000] Age in milliseconds after
+     *     which a lock is removed even if the process holding it is still
+     *     running. This must be longer than the time it takes to send a
+     *     request, including retries (default 5 minutes).
+     * @throws {Error} Thrown when the file system is not available, i.e. in
+     *     browsers.
+     */
+    constructor(path: string, { pollInterval, staleTimeout }?: {
+        pollInterval?: number;
+        staleTimeout?: number;
+    });
+    /**
+     * Waits until the lock of an API key is acquired.
+     * @param {string} apiKey The API key.
+     * @param {AbortSignal} [signal] Signal which cancels the wait when aborted.
+     * @returns {Promise<?Object>} A Promise which, if resolved successfully,
+     *     represents the state of the API key last released, or null.
+     * @throws {RandomOrgAbortError} Thrown when the wait is aborted.
+     */
+    acquire(apiKey: string, signal?: AbortSignal): Promise<any | null>;
+    /**
+     * Saves the state of an API key and releases its lock. If the lock was
+     * taken over by another process in the meantime, because it was held for
+     * longer than the stale timeout, neither the state nor the lock of that
+     * process are touched.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state of the API key.
+     * @returns {Promise<void>} A Promise which is resolved once the lock has
+     *     been released.
+     */
+    release(apiKey: string, state: any): Promise<void>;
+    #private;
+}
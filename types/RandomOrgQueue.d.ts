@@ -0,0 +1,27 @@
+export = RandomOrgQueue;
+declare class RandomOrgQueue {
+    /**
+     * Constructs an empty queue.
+     * @param {boolean} fifo True to take the items in the order they were
+     *     added, false to take the item added last first.
+     */
+    constructor(fifo: boolean);
+    /**
+     * Gets the number of items in the queue.
+     * @returns {number} The number of items.
+     */
+    get length(): number;
+    /**
+     * Adds an item to the queue.
+     * @param {any} item The item.
+     */
+    push(item: any): void;
+    /**
+     * Takes the next item from the queue.
+     * @returns {any} The item, or undefined if the queue is empty.
+     */
+    take(): any;
+    /** Removes all items from the queue. */
+    clear(): void;
+    #private;
+}
@@ -0,0 +1,27 @@
+export = RandomOrgScheduler;
+declare class RandomOrgScheduler {
+    /**
+     * Schedules a task.
+     * @param {function(): Promise<any>} task Function which performs the task.
+     * @param {{priority?: number, signal?: AbortSignal}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {number} [options.priority=0] Priority of the task, higher values
+     *     are run first (default 0).
+     * @param {AbortSignal} [options.signal] Signal which removes the task from
+     *     the queue when aborted before the task has been started.
+     * @returns {Promise<any>} A Promise which settles like the Promise returned
+     *     by the task.
+     * @throws {RandomOrgAbortError} Thrown when the signal is aborted before the
+     *     task has been started.
+     */
+    schedule(task: () => Promise<any>, { priority, signal }?: {
+        priority?: number;
+        signal?: AbortSignal;
+    }): Promise<any>;
+    /**
+     * Gets the number of tasks waiting to be run.
+     * @returns {number} The number of waiting tasks.
+     */
+    getQueueLength(): number;
+    #private;
+}
@@ -0,0 +1,72 @@
+export class MemoryStateStore {
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} A copy of the saved state, or null.
+     */
+    load(apiKey: string): any | null;
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey: string, state: any): void;
+    #private;
+}
+export class FileStateStore {
+    /**
+     * Constructs a store for JSON files, which are created when a state is
+     * first saved.
+     * @param {string} path The path the names of the files start with, e.g.
+     *     '/var/lib/myapp/randomorg-state'. The file of an API key is named
+     *     after the path followed by a hash of the key and '.json'.
+     * @throws {Error} Thrown when the file system is not available, i.e. in
+     *     browsers.
+     */
+    constructor(path: string);
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} The saved state, or null.
+     * @throws {Error} Thrown when the file of the API key cannot be read or
+     *     parsed; it is replaced when the state is next saved.
+     */
+    load(apiKey: string): any | null;
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey: string, state: any): void;
+    #private;
+}
+export class LocalStorageStateStore {
+    /**
+     * Constructs a store for a Web Storage object.
+     * @param {{prefix?: string, storage?: Storage}} options An object which
+     *     may contain any of the following optional parameters:
+     * @param {string} [options.prefix='randomorg-state:'] Prefix of the names
+     *     of the storage items, which are followed by the API key (default
+     *     'randomorg-state:').
+     * @param {Storage} [options.storage] The storage (default: localStorage).
+     * @throws {Error} Thrown when no storage is supplied and localStorage is
+     *     not available.
+     */
+    constructor({ prefix, storage }?: {
+        prefix?: string;
+        storage?: Storage;
+    });
+    /**
+     * Loads the state of an API key.
+     * @param {string} apiKey The API key.
+     * @returns {?Object} The saved state, or null.
+     */
+    load(apiKey: string): any | null;
+    /**
+     * Saves the state of an API key.
+     * @param {string} apiKey The API key.
+     * @param {Object} state The state.
+     */
+    save(apiKey: string, state: any): void;
+    #private;
+}
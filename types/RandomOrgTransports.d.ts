@@ -0,0 +1,22 @@
+export function fetch(url: string, body: string, { timeout, signal }?: {
+    timeout?: number;
+    signal?: AbortSignal;
+}): Promise<{
+    status: number;
+    body: string;
+}>;
+export function https(url: string, body: string, { timeout, signal }?: {
+    timeout?: number;
+    signal?: AbortSignal;
+}): Promise<{
+    status: number;
+    body: string;
+}>;
+export function xhr(url: string, body: string, { timeout, signal }?: {
+    timeout?: number;
+    signal?: AbortSignal;
+}): Promise<{
+    status: number;
+    body: string;
+}>;
+export function resolve(transport?: (string | ((arg0: string, arg1: string, arg2: any) => Promise<any>))): (arg0: string, arg1: string, arg2: any) => Promise<any>;
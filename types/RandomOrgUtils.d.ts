@@ -0,0 +1,5 @@
+export function abortError(): RandomOrgAbortError;
+export function throwIfAborted(signal?: AbortSignal): void;
+export function abortable(promise: Promise<any>, signal?: AbortSignal): Promise<any>;
+export function sleep(ms: number, signal?: AbortSignal): Promise<void>;
+import { RandomOrgAbortError } from "./RandomOrgErrors.js";
@@ -0,0 +1 @@
+export function validate(method: string, params: any): void;
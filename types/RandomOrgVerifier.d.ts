@@ -0,0 +1,30 @@
+export = RandomOrgVerifier;
+declare class RandomOrgVerifier {
+    /**
+     * Returns the serialization of a random object which is signed, i.e. its
+     * JSON encoding with the fields in the order returned by the server.
+     * @param {Object} random The random field from a response returned
+     *     through one of the Signed API methods.
+     * @returns {string} The serialized random object.
+     */
+    static serialize(random: any): string;
+    /**
+     * Constructor.
+     * @param {string} publicKey The PEM-encoded public key used to verify
+     *     signatures.
+     * @throws {TypeError} Thrown when no public key is supplied.
+     */
+    constructor(publicKey: string);
+    /**
+     * Verifies the signature of a response previously received from one of
+     * the methods in the Signed API, without contacting the server.
+     * @param {Object} random The random field from a response returned by
+     *     RANDOM.ORG through one of the Signed API methods.
+     * @param {string} signature The base64-encoded signature field from the
+     *     same response that the random field originates from.
+     * @returns {Promise<boolean>} A Promise which, if resolved successfully,
+     *     represents whether the result could be verified (true) or not (false).
+     */
+    verify(random: any, signature: string): Promise<boolean>;
+    #private;
+}
@@ -1,5 +1,12 @@
 import RandomOrgClient = require("./RandomOrgClient");
 import RandomOrgCache = require("./RandomOrgCache");
+import RandomOrgBatch = require("./RandomOrgBatch");
+import RandomOrgClientPool = require("./RandomOrgClientPool");
+import RandomOrgTransports = require("./RandomOrgTransports");
+import RandomOrgStateStores = require("./RandomOrgStateStores");
+import RandomOrgFileCoordinator = require("./RandomOrgFileCoordinator");
+import RandomOrgEmulator = require("./RandomOrgEmulator");
+import RandomOrgVerifier = require("./RandomOrgVerifier");
 import { RandomOrgBadHTTPResponseError } from "./RandomOrgErrors";
 import { RandomOrgInsufficientBitsError } from "./RandomOrgErrors";
 import { RandomOrgInsufficientRequestsError } from "./RandomOrgErrors";
@@ -8,4 +15,5 @@ import { RandomOrgKeyNotRunningError } from "./RandomOrgErrors";
 import { RandomOrgRANDOMORGError } from "./RandomOrgErrors";
 import { RandomOrgSendTimeoutError } from "./RandomOrgErrors";
 import { RandomOrgCacheEmptyError } from "./RandomOrgErrors";
-export { RandomOrgClient, RandomOrgCache, RandomOrgBadHTTPResponseError, RandomOrgInsufficientBitsError, RandomOrgInsufficientRequestsError, RandomOrgJSONRPCError, RandomOrgKeyNotRunningError, RandomOrgRANDOMORGError, RandomOrgSendTimeoutError, RandomOrgCacheEmptyError };
\ No newline at end of file
+import { RandomOrgAbortError } from "./RandomOrgErrors";
+export { RandomOrgClient, RandomOrgCache, RandomOrgBatch, RandomOrgClientPool, RandomOrgTransports, RandomOrgStateStores, RandomOrgFileCoordinator, RandomOrgEmulator, RandomOrgVerifier, RandomOrgBadHTTPResponseError, RandomOrgInsufficientBitsError, RandomOrgInsufficientRequestsError, RandomOrgJSONRPCError, RandomOrgKeyNotRunningError, RandomOrgRANDOMORGError, RandomOrgSendTimeoutError, RandomOrgCacheEmptyError, RandomOrgAbortError };